@@ -36,10 +36,6 @@ async function awaitResponseAndShow(url) {
 	};
 };
 
-XHR.prototype.setFormCT = function() {
-	return this.setHeader('Content-Type', 'application/x-www-form-urlencoded');
-};
-
 const examples = [
 
 	// .onReady().send()
@@ -62,21 +58,21 @@ const examples = [
 	()=>XHR(url_error).onSuccess(                                                       ).send(),
 
 	// With POST
-	()=>XHR(url, 'q=1234').setFormCT()        .onSuccess(showText, showError).send(),
-	()=>XHR(url).setFormCT()                  .onSuccess(showText, showError).send('q=1234'),
-	()=>XHR().reset(url, 'q=1234').setFormCT().onSuccess(showText, showError).send(),
+	()=>XHR(url, {q: 1234}).bodyType('form')      .onSuccess(showText, showError).send(),
+	()=>XHR(url).bodyType('form')                .onSuccess(showText, showError).send({q: 1234}),
+	()=>XHR().reset(url, 'q=1234').bodyType('form').onSuccess(showText, showError).send(),
 	()=>XHR().reset(url_error, 'q=1234')      .onSuccess(showText, showError).send(),
 
 	// .responseType('json').onReady().send()
 	()=>XHR(url_json).responseType('json').onReady(jsonReady).send(),
-	()=>XHR(url_json, 'q=1234').setFormCT().responseType('json').onReady(jsonReady).send(),
+	()=>XHR(url_json, {q: 1234}).bodyType('form').responseType('json').onReady(jsonReady).send(),
 	()=>XHR(url_json).onReady(jsonReady).send(),
 	()=>XHR(url_json_invalid).responseType('json').onReady(jsonReady).send(),
 	()=>XHR(url_error).responseType('json').onReady(jsonReady).send(),
 
 	// .responseType('json').onSuccess().send()
 	()=>XHR(url_json).responseType('json').onSuccess(jsonReady, showError).send(),
-	()=>XHR(url_json, 'q=1234').setFormCT().responseType('json').onSuccess(jsonReady, showError).send(),
+	()=>XHR(url_json, {q: 1234}).bodyType('form').responseType('json').onSuccess(jsonReady, showError).send(),
 	()=>XHR(url_json).onSuccess(jsonReady, showError).send(),
 	()=>XHR(url_json_invalid).responseType('json').onSuccess(jsonReady, showError).send(),
 	()=>XHR(url_error).responseType('json').onSuccess(jsonReady, showError).send(),
@@ -86,16 +82,25 @@ const examples = [
 	()=>XHR(url_error)    .promise().then(function(x){showText(x)}).catch(function(x){showError(x)}),
 	()=>XHR(url)          .promise().then(x=>showText(x))          .catch(x=>showError(x)),
 	()=>XHR(url_error)    .promise().then(x=>showText(x))          .catch(x=>showError(x)),
-	()=>XHR(url, 'q=1234').setFormCT().promise().then(showText).catch(showError),
-	()=>XHR(url).setFormCT().promise('q=1234')  .then(showText).catch(showError),
+	()=>XHR(url, {q: 1234}).bodyType('form').promise().then(showText).catch(showError),
+	()=>XHR(url).bodyType('form').promise({q: 1234})  .then(showText).catch(showError),
 	()=>XHR(url_error).promise(), // throws
+	()=>XHR(url_error).setRejectWithError(true).promise().catch(e=>console.log(e.name+': '+e.message)),
 
 	// .promise(), async/await
 	()=>awaitResponseAndShow(url),
 	()=>awaitResponseAndShow(url_error),
 
-	// .setData(), .setHeader()
+	// XHR.all(), XHR.allSettled(), XHR.race(), XHR.sequence()
+	()=>XHR.all([XHR(url), {url: url_json, responseType: 'json'}]).then(outcomes=>outcomes.forEach(x=>showText(x.xhr))).catch(x=>showError(x.xhr)),
+	()=>XHR.all([XHR(url), XHR(url_error)]).then(outcomes=>outcomes.forEach(x=>showText(x.xhr))).catch(x=>console.log('Request #'+x.index+' failed:', x.error.message)),
+	()=>XHR.allSettled([url, url_error, url_json].map(url=>({url: url})), {concurrency: 2}).then(outcomes=>outcomes.forEach(x=>console.log(x.index, x.ok, x.status, x.metrics.total+'ms'))),
+	()=>XHR.race([XHR(url), XHR(url_json)]).then(x=>showText(x.xhr)),
+	()=>XHR.sequence([{url: url}, x=>({url: url, query: {previous: x.status}})]).then(outcomes=>outcomes.forEach(x=>showText(x.xhr))),
+
+	// .setData(), .setQuery(), .setHeader()
 	()=>XHR(url).setData('one', 1).setData('two', 2).setData('three', 3).setData('two').onReady(x=>console.log(JSON.stringify(x.data))).send(),
+	()=>XHR(url_json).setQuery('a', [1, 2]).setQueryParams({b: {c: 3}, d: 'x y'}).responseType('json').onReady(jsonReady).send(),
 	()=>XHR(url_headers).setHeader('X-One', '1').setHeader('X-Two', '2').setHeader('X-Three', '3').setHeader('X-Two').onSuccess(showText, showError).send(),
 
 	// .setCookie(), .setCookies() (does not work in browser)
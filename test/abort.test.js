@@ -0,0 +1,40 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const XHR = require('../xhrless.js');
+
+const mock = new XHR.MockTransport().install();
+test.beforeEach(() => mock.reset().route('GET', '/slow', {body: 'late', delay: 50}));
+
+test('aborts the request by AbortSignal', async () => {
+	const controller = new AbortController();
+	const promise = XHR('/slow').signal(controller.signal).promise().catch(xhr => xhr);
+	controller.abort();
+	const xhr = await promise;
+	assert.strictEqual(xhr.errorState(), xhr.ERR_ABORTED);
+	assert.strictEqual(xhr.errorState(true), 'Request aborted');
+});
+
+test('does not send the request with the aborted signal', async () => {
+	const controller = new AbortController();
+	controller.abort();
+	const xhr = await XHR('/slow').signal(controller.signal).promise().catch(xhr => xhr);
+	assert.strictEqual(xhr.errorState(), xhr.ERR_ABORTED);
+	assert.strictEqual(mock.history.length, 0);
+});
+
+test('aborts all requests sharing the CancelToken', async () => {
+	const token = new XHR.CancelToken();
+	const promises = [XHR('/slow'), XHR('/slow')].map(xhr => xhr.signal(token).promise().catch(xhr => xhr.errorState()));
+	token.cancel('Navigated away');
+	assert.deepStrictEqual(await Promise.all(promises), [XHR.prototype.ERR_ABORTED, XHR.prototype.ERR_ABORTED]);
+	assert.strictEqual(token.reason, 'Navigated away');
+});
+
+test('aborts the request by this.abort()', async () => {
+	const xhr = XHR('/slow'), ready = [];
+	const promise = xhr.onReady(xhr => ready.push(xhr.errorState())).promise().catch(xhr => xhr);
+	xhr.abort();
+	await promise;
+	assert.deepStrictEqual(ready, [xhr.ERR_ABORTED]);
+});
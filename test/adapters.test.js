@@ -0,0 +1,113 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const stream = require('stream');
+const XHR = require('../xhrless.js');
+
+// The local servers: /echo responds with the request as JSON, /redirect responds with the redirect given, /large with 1MB body
+const handler = (request, response) => {
+	const url = new URL(request.url, 'http://localhost'), chunks = [];
+	request.on('data', chunk => chunks.push(chunk)).on('end', () => {
+		if (url.pathname == '/large') {
+			response.writeHead(200, {'Content-Type': 'application/octet-stream'});
+			for (let i = 0; i < 64; i++)
+				response.write(Buffer.alloc(16384, i));
+			return response.end();
+		};
+		if (url.pathname == '/redirect') {
+			response.writeHead(parseInt(url.searchParams.get('code')), {'Location': url.searchParams.get('to')});
+			return response.end();
+		};
+		response.writeHead(200, {'Content-Type': 'application/json', 'Set-Cookie': 'sid=1'});
+		response.end(JSON.stringify({method: request.method, url: request.url, headers: request.headers, body: Buffer.concat(chunks).toString()}));
+	});
+};
+const server = http.createServer(handler), otherServer = http.createServer(handler);
+var base = '', other = '';
+// Start the server, resolve with its base URL
+const listen = (server) => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve('http://127.0.0.1:' + server.address().port)));
+test.before(async () => {
+	base = await listen(server);
+	other = await listen(otherServer);
+});
+test.after(() => (server.close(), otherServer.close()));
+
+['http', 'fetch', 'xhr2'].forEach(name => {
+	const transport = XHR.adapters[name];
+
+	test(name + ': sends the request and receives the response', async () => {
+		const xhr = await XHR(base + '/echo', {a: 1}, 'PUT').bodyType('json').setHeader('X-Test', 'ok').useTransport(transport).responseType('json').promise();
+		assert.strictEqual(xhr.status(), 200);
+		assert.strictEqual(xhr.response().method, 'PUT');
+		assert.strictEqual(xhr.response().body, '{"a":1}');
+		assert.strictEqual(xhr.response().headers['x-test'], 'ok');
+		assert.strictEqual(xhr.response().headers['content-type'], 'application/json; charset=UTF-8');
+		assert.strictEqual(xhr.responseHeader('Content-Type'), 'application/json');
+	});
+
+	// The "xhr2" module handles the authentication and the redirects by itself
+	(name != 'xhr2') && test(name + ': sends the basic authentication', async () => {
+		const xhr = await XHR(base + '/echo').httpAuth('user', 'secret').useTransport(transport).responseType('json').promise();
+		assert.strictEqual(xhr.response().headers['authorization'], 'Basic ' + Buffer.from('user:secret').toString('base64'));
+	});
+
+	(name != 'xhr2') && test(name + ': follows the redirects', async () => {
+		const xhr = await XHR(base + '/redirect?code=302&to=/echo', 'data').useTransport(transport).responseType('json').promise();
+		assert.strictEqual(xhr.response().method, 'GET');
+		assert.strictEqual(xhr.response().url, '/echo');
+		const kept = await XHR(base + '/redirect?code=307&to=/echo', 'data').useTransport(transport).responseType('json').promise();
+		assert.strictEqual(kept.response().method, 'POST');
+		assert.strictEqual(kept.response().body, 'data');
+	});
+
+	(name != 'xhr2') && test(name + ': waits for the writable stream to drain', async () => {
+		var written = 0, lag = 0;
+		const xhr = XHR(base + '/large').useTransport(transport);
+		const writable = new stream.Writable({highWaterMark: 1024, write: (chunk, encoding, callback) => {
+			written += chunk.length;
+			lag = Math.max(lag, xhr.xhr.loaded - written);
+			setTimeout(callback, 1);
+		}});
+		await xhr.pipe(writable);
+		await new Promise(resolve => writable.on('finish', resolve));
+		assert.strictEqual(written, 1 << 20);
+		assert.ok(lag < 1 << 18, 'received ' + lag + ' bytes ahead');
+	});
+
+	test(name + ': fails with the connection error', async () => {
+		const xhr = await XHR('http://127.0.0.1:1/').useTransport(transport).promise().catch(xhr => xhr);
+		assert.strictEqual(xhr.errorState(), xhr.ERR_CONNECTION);
+	});
+});
+
+test('http: does not send the credentials to another origin after redirect', async () => {
+	const redirect = (to) => XHR(base + '/redirect?code=302&to=' + encodeURIComponent(to)).httpAuth('user', 'secret')
+		.setHeader('Cookie', 'sid=1').setHeader('Proxy-Authorization', 'Basic x').useTransport(XHR.adapters.http).responseType('json').promise();
+	const same = (await redirect('/echo')).response().headers;
+	assert.strictEqual(same['authorization'], 'Basic ' + Buffer.from('user:secret').toString('base64'));
+	assert.strictEqual(same['cookie'], 'sid=1');
+	const cross = (await redirect(other + '/echo')).response().headers;
+	assert.strictEqual(cross['authorization'], undefined);
+	assert.strictEqual(cross['proxy-authorization'], undefined);
+	assert.strictEqual(cross['cookie'], undefined);
+});
+
+test('http: does not send the body headers after redirect to GET', async () => {
+	const xhr = await XHR(base + '/redirect?code=303&to=/echo', {a: 1}).bodyType('json').useTransport(XHR.adapters.http).responseType('json').promise();
+	assert.strictEqual(xhr.response().method, 'GET');
+	assert.strictEqual(xhr.response().headers['content-type'], undefined);
+	assert.strictEqual(xhr.response().headers['content-length'], undefined);
+});
+
+test('http: stores the cookies into the jar', async () => {
+	const jar = new XHR.CookieJar();
+	await XHR(base + '/echo').useTransport(XHR.adapters.http).useCookieJar(jar).promise();
+	const xhr = await XHR(base + '/echo').useTransport(XHR.adapters.http).useCookieJar(jar).responseType('json').promise();
+	assert.strictEqual(xhr.response().headers['cookie'], 'sid=1');
+});
+
+test('selects the default transport', () => {
+	assert.strictEqual(typeof XHR.transport, 'function');
+	assert.ok([XHR.adapters.xhr2, XHR.adapters.http].indexOf(XHR.transport) >= 0);
+});
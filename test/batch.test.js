@@ -0,0 +1,80 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const XHR = require('../xhrless.js');
+
+const mock = new XHR.MockTransport().install();
+test.beforeEach(() => mock.reset()
+	.route('GET', /\/item\/\d+$/, request => ({delay: 5, body: {id: parseInt(request.url.split('/').pop())}}))
+	.route('GET', '/slow', {delay: 50, body: 'slow'})
+	.route('GET', '/missing', {status: 404}));
+
+test('all: resolves with the outcomes in the order of the list', async () => {
+	const outcomes = await XHR.all([XHR('/item/1').responseType('json'), {url: '/item/2', responseType: 'json'}]);
+	assert.deepStrictEqual(outcomes.map(outcome => [outcome.index, outcome.ok, outcome.status, outcome.response.id]), [[0, true, 200, 1], [1, true, 200, 2]]);
+	assert.strictEqual(typeof outcomes[0].metrics.total, 'number');
+});
+
+test('all: rejects with the first failed request and aborts the others', async () => {
+	const slow = XHR('/slow');
+	const failed = await XHR.all([slow, {url: '/missing'}, {url: '/item/3'}], {concurrency: 2}).catch(outcome => outcome);
+	assert.strictEqual(failed.index, 1);
+	assert.strictEqual(failed.status, 404);
+	assert.strictEqual(slow.errorState(), slow.ERR_ABORTED);
+	assert.deepStrictEqual(mock.history.map(request => request.url), ['/slow', '/missing']);
+});
+
+test('all: completes all requests without failFast', async () => {
+	const failed = await XHR.all([{url: '/missing'}, {url: '/item/2'}], {failFast: false}).catch(outcome => outcome);
+	assert.strictEqual(failed.index, 0);
+	assert.strictEqual(mock.history.length, 2);
+});
+
+test('allSettled: limits the number of requests in progress', async () => {
+	var running = 0, max = 0;
+	mock.route('GET', '/count', () => (running++, max = Math.max(max, running), new Promise(resolve => setTimeout(() => (running--, resolve({})), 5))));
+	const outcomes = await XHR.allSettled([1, 2, 3, 4, 5].map(() => ({url: '/count'})).concat({url: '/missing'}), {concurrency: 2});
+	assert.strictEqual(max, 2);
+	assert.deepStrictEqual(outcomes.map(outcome => outcome.ok), [true, true, true, true, true, false]);
+});
+
+test('race: settles with the first completed request', async () => {
+	const slow = XHR('/slow');
+	const outcome = await XHR.race([slow, {url: '/item/7', responseType: 'json'}]);
+	assert.strictEqual(outcome.index, 1);
+	assert.strictEqual(slow.errorState(), slow.ERR_ABORTED);
+	const failed = await XHR.race([{url: '/slow'}, {url: '/missing'}]).catch(outcome => outcome);
+	assert.strictEqual(failed.status, 404);
+});
+
+test('race: rejects the empty list', async () => {
+	await assert.rejects(XHR.race([]), TypeError);
+});
+
+test('all: stops the batch when the request cannot be sent', async () => {
+	const slow = XHR('/slow'), broken = XHR('/item/2');
+	broken.send = () => { throw new Error('Cannot send'); };
+	await assert.rejects(XHR.allSettled([slow, broken, {url: '/item/3'}]), /Cannot send/);
+	assert.strictEqual(slow.errorState(), slow.ERR_ABORTED);
+	assert.deepStrictEqual(mock.history.map(request => request.url), ['/slow']);
+});
+
+test('allSettled: settles the requests rejecting with XHRError', async () => {
+	const outcomes = await XHR.allSettled([XHR('/missing').setRejectWithError(true), XHR('/item/1').setRejectWithError(true)]);
+	assert.deepStrictEqual(outcomes.map(outcome => [outcome.ok, outcome.status]), [[false, 404], [true, 200]]);
+});
+
+test('sequence: sends the requests one by one', async () => {
+	const outcomes = await XHR.sequence([
+		{url: '/item/1', responseType: 'json'},
+		previous => ({url: '/item/' + (previous.response.id + 1), responseType: 'json'}),
+	]);
+	assert.deepStrictEqual(outcomes.map(outcome => outcome.response.id), [1, 2]);
+	const failed = await XHR.sequence([{url: '/missing'}, {url: '/item/1'}]).catch(outcome => outcome);
+	assert.strictEqual(failed.index, 0);
+	assert.strictEqual(mock.history.length, 3);
+});
+
+test('rejects the invalid request', async () => {
+	await assert.rejects(XHR.all(['/item/1']), TypeError);
+});
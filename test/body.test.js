@@ -0,0 +1,71 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const XHR = require('../xhrless.js');
+
+const mock = new XHR.MockTransport().install();
+test.beforeEach(() => mock.reset().route('*', '/echo', {}));
+
+test('encodes the body as JSON', async () => {
+	await XHR('/echo', {name: 'test', tags: ['a']}).bodyType('json').promise();
+	const request = mock.history[0];
+	assert.strictEqual(request.method, 'POST');
+	assert.strictEqual(request.body, '{"name":"test","tags":["a"]}');
+	assert.strictEqual(request.headers['Content-Type'], 'application/json; charset=UTF-8');
+});
+
+test('encodes the body as URL-encoded form', async () => {
+	await XHR('/echo', {q: 'a b', ids: [1, 2]}).bodyType('form').setQueryFormat('repeat').promise();
+	const request = mock.history[0];
+	assert.strictEqual(request.body, 'q=a%20b&ids=1&ids=2');
+	assert.strictEqual(request.headers['Content-Type'], 'application/x-www-form-urlencoded; charset=UTF-8');
+});
+
+test('encodes the body as multipart form data', async () => {
+	await XHR('/echo', {name: 'test', file: Buffer.from('content')}).bodyType('multipart').promise();
+	const request = mock.history[0],
+		boundary = /^multipart\/form-data; boundary=(.+)$/.exec(request.headers['Content-Type'])[1],
+		body = request.body.toString();
+	assert.ok(body.indexOf('--' + boundary + '\r\nContent-Disposition: form-data; name="name"\r\n\r\ntest\r\n') >= 0);
+	assert.ok(body.indexOf('name="file"; filename="file"\r\nContent-Type: application/octet-stream\r\n\r\ncontent\r\n') >= 0);
+	assert.ok(body.endsWith('--' + boundary + '--\r\n'));
+});
+
+test('keeps the "Content-Type" set by the user', async () => {
+	await XHR('/echo', {a: 1}).bodyType('json').setHeader('Content-Type', 'application/vnd.api+json').promise();
+	assert.strictEqual(mock.history[0].headers['Content-Type'], 'application/vnd.api+json');
+});
+
+test('sends the body as is without body type', async () => {
+	await XHR('/echo', 'raw', 'PUT').promise();
+	assert.strictEqual(mock.history[0].method, 'PUT');
+	assert.strictEqual(mock.history[0].body, 'raw');
+	assert.strictEqual(mock.history[0].headers['Content-Type'], undefined);
+});
+
+test('sends GET without body', async () => {
+	await XHR('/echo').bodyType('json').promise();
+	assert.strictEqual(mock.history[0].method, 'GET');
+	assert.strictEqual(mock.history[0].body, null);
+});
+
+test('sends POST with the empty form', async () => {
+	await XHR('/echo', {}).bodyType('form').promise();
+	assert.strictEqual(mock.history[0].method, 'POST');
+	assert.strictEqual(mock.history[0].headers['Content-Type'], 'application/x-www-form-urlencoded; charset=UTF-8');
+});
+
+test('does not set "Content-Type" for the binary body', async () => {
+	await XHR('/echo', new ArrayBuffer(4)).bodyType('json').promise();
+	assert.strictEqual(mock.history[0].headers['Content-Type'], undefined);
+	await XHR('/echo', '{"a":1}').bodyType('json').promise();
+	assert.strictEqual(mock.history[1].headers['Content-Type'], 'application/json; charset=UTF-8');
+});
+
+test('sends the nested multipart values as JSON', async () => {
+	await XHR('/echo', {meta: {a: 1}, tags: ['x', ['y']]}).bodyType('multipart').promise();
+	const body = mock.history[0].body.toString();
+	assert.ok(body.indexOf('name="meta"\r\n\r\n{"a":1}\r\n') >= 0);
+	assert.ok(body.indexOf('name="tags"\r\n\r\nx\r\n') >= 0);
+	assert.ok(body.indexOf('name="tags"\r\n\r\n["y"]\r\n') >= 0);
+});
@@ -0,0 +1,146 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XHR = require('../xhrless.js');
+
+const mock = new XHR.MockTransport().install();
+test.beforeEach(() => mock.reset());
+
+// The route answering "304 Not Modified" for the matching "If-None-Match", the versioned body otherwise
+function versioned(cacheControl) {
+	const state = {version: 1};
+	mock.route('GET', '/data', request => request.headers['If-None-Match'] == '"v' + state.version + '"'
+		? {status: 304, headers: {'ETag': '"v' + state.version + '"', 'Cache-Control': cacheControl}}
+		: {body: {version: state.version}, headers: {'ETag': '"v' + state.version + '"', 'Cache-Control': cacheControl}});
+	return state;
+};
+
+test('returns the fresh response without request', async () => {
+	versioned('max-age=60');
+	const cache = new XHR.Cache();
+	await XHR('/data').responseType('json').useCache(cache).promise();
+	const xhr = await XHR('/data').responseType('json').useCache(cache).promise();
+	assert.strictEqual(xhr.cacheStatus, 'hit');
+	assert.strictEqual(xhr.status(), 200);
+	assert.deepStrictEqual(xhr.response(), {version: 1});
+	assert.strictEqual(mock.history.length, 1);
+});
+
+test('revalidates the stale response', async () => {
+	const state = versioned('no-cache'), cache = new XHR.Cache();
+	await XHR('/data').useCache(cache).promise();
+	var xhr = await XHR('/data').useCache(cache).promise();
+	assert.strictEqual(mock.history[1].headers['If-None-Match'], '"v1"');
+	assert.strictEqual(xhr.cacheStatus, 'revalidated');
+	assert.strictEqual(xhr.status(), 200);
+	assert.strictEqual(xhr.responseText(), '{"version":1}');
+	state.version = 2;
+	xhr = await XHR('/data').useCache(cache).promise();
+	assert.strictEqual(xhr.cacheStatus, '');
+	assert.strictEqual(xhr.responseText(), '{"version":2}');
+});
+
+test('does not store the "no-store" responses', async () => {
+	versioned('no-store');
+	const cache = new XHR.Cache();
+	await XHR('/data').useCache(cache).promise();
+	await XHR('/data').useCache(cache).promise();
+	assert.strictEqual(mock.history.length, 2);
+	assert.strictEqual(mock.history[1].headers['If-None-Match'], undefined);
+});
+
+test('returns the stale response while revalidating', async () => {
+	const state = versioned('max-age=0, stale-while-revalidate=60'), cache = new XHR.Cache();
+	await XHR('/data').responseType('json').useCache(cache).promise();
+	state.version = 2;
+	const xhr = await XHR('/data').responseType('json').useCache(cache).promise();
+	assert.strictEqual(xhr.cacheStatus, 'stale');
+	assert.deepStrictEqual(xhr.response(), {version: 1});
+	await new Promise(resolve => setTimeout(resolve, 20));
+	assert.strictEqual(cache.lookup(xhr).body, '{"version":2}');
+});
+
+test('keeps the variants by "Vary" headers', async () => {
+	mock.route('GET', '/text', request => ({body: request.headers['Accept-Language'], headers: {'Cache-Control': 'max-age=60', 'Vary': 'Accept-Language'}}));
+	const cache = new XHR.Cache(), get = (lang) => XHR('/text').setHeader('Accept-Language', lang).useCache(cache).promise();
+	await get('en');
+	await get('fr');
+	assert.strictEqual((await get('en')).responseText(), 'en');
+	assert.strictEqual((await get('fr')).responseText(), 'fr');
+	assert.strictEqual(mock.history.length, 2);
+});
+
+test('does not cache the non-GET requests', async () => {
+	mock.route('POST', '/data', {body: 'ok', headers: {'Cache-Control': 'max-age=60'}});
+	const cache = new XHR.Cache();
+	await XHR('/data', 'a').useCache(cache).promise();
+	await XHR('/data', 'a').useCache(cache).promise();
+	assert.strictEqual(mock.history.length, 2);
+});
+
+test('returns the copy of the cached body', async () => {
+	versioned('max-age=60');
+	const cache = new XHR.Cache();
+	(await XHR('/data').responseType('json').useCache(cache).promise()).response().version = 10;
+	const first = await XHR('/data').responseType('json').useCache(cache).promise();
+	first.response().version = 20;
+	const second = await XHR('/data').responseType('json').useCache(cache).promise();
+	assert.deepStrictEqual(second.response(), {version: 1});
+});
+
+test('revalidates with the settings of the request', async () => {
+	const other = new XHR.MockTransport(), state = {version: 1}, cache = new XHR.Cache();
+	other.route('GET', '/data', request => ({body: 'v' + state.version, headers: {'Cache-Control': 'max-age=0, stale-while-revalidate=60'}}));
+	const request = () => {
+		const xhr = XHR('/data').setQueryFormat('repeat').setQuery('ids', [1, 2]).useTransport(other.transport).useCache(cache);
+		xhr.interceptors.request.use(xhr => { xhr.setHeader('X-Token', 'secret'); });
+		return xhr.promise();
+	};
+	await request();
+	state.version = 2;
+	assert.strictEqual((await request()).cacheStatus, 'stale');
+	await new Promise(resolve => setTimeout(resolve, 20));
+	assert.strictEqual(mock.history.length, 0);
+	assert.strictEqual(other.history.length, 2);
+	assert.strictEqual(other.history[1].url, '/data?ids=1&ids=2');
+	assert.strictEqual(other.history[1].headers['X-Token'], 'secret');
+	assert.strictEqual((await request()).responseText(), 'v2');
+});
+
+test('revalidates the request of the client with the relative base URL', async () => {
+	const state = {version: 1}, cache = new XHR.Cache(), api = XHR.create({baseURL: '/api/v1', cache: cache});
+	mock.route('GET', '/api/v1/users', () => ({body: 'v' + state.version, headers: {'Cache-Control': 'max-age=0, stale-while-revalidate=60'}}));
+	await api('users').promise();
+	state.version = 2;
+	assert.strictEqual((await api('users').promise()).cacheStatus, 'stale');
+	await new Promise(resolve => setTimeout(resolve, 20));
+	assert.deepStrictEqual(mock.history.map(request => request.url), ['/api/v1/users', '/api/v1/users']);
+	assert.strictEqual((await api('users').promise()).responseText(), 'v2');
+});
+
+test('does not store the responses to the authenticated requests', async () => {
+	mock.route('GET', '/private', {body: 'private', headers: {'Cache-Control': 'max-age=60'}});
+	mock.route('GET', '/public', {body: 'public', headers: {'Cache-Control': 'public, max-age=60'}});
+	const cache = new XHR.Cache();
+	await XHR('/private').setHeader('Authorization', 'Bearer token').useCache(cache).promise();
+	await XHR('/private').httpAuth('user', 'secret').useCache(cache).promise();
+	await XHR('/public').httpAuth('user', 'secret').useCache(cache).promise();
+	assert.strictEqual(cache.lookup(XHR('/private')), null);
+	assert.strictEqual(cache.lookup(XHR('/public')).body, 'public');
+});
+
+test('keeps the entries in the directory of the file store', async () => {
+	const root = fs.mkdtempSync(path.join(os.tmpdir(), 'xhrless-')), dir = path.join(root, 'cache', 'http');
+	try {
+		versioned('max-age=60');
+		await XHR('/data').useCache(new XHR.Cache({store: new XHR.Cache.FileStore(dir)})).promise();
+		const xhr = await XHR('/data').useCache(new XHR.Cache({store: new XHR.Cache.FileStore(dir)})).promise();
+		assert.strictEqual(xhr.cacheStatus, 'hit');
+		assert.strictEqual(fs.readdirSync(dir).length, 1);
+	} finally {
+		fs.rmSync(root, {recursive: true, force: true});
+	};
+});
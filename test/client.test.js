@@ -0,0 +1,41 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const XHR = require('../xhrless.js');
+
+const mock = new XHR.MockTransport().install();
+test.beforeEach(() => mock.reset().route('*', /\/api\//, {body: {ok: true}}));
+
+test('creates the requests with the defaults', async () => {
+	const api = XHR.create({baseURL: 'https://example.com/api/v1/', headers: {'X-Client': 'test'}, query: {lang: 'en'}, responseType: 'json'});
+	const xhr = await api('users/1').promise();
+	assert.ok(xhr instanceof XHR);
+	assert.ok(xhr instanceof api);
+	assert.strictEqual(mock.history[0].url, 'https://example.com/api/v1/users/1?lang=en');
+	assert.strictEqual(mock.history[0].headers['X-Client'], 'test');
+	assert.deepStrictEqual(xhr.response(), {ok: true});
+});
+
+test('copies the defaults into every instance', () => {
+	const api = XHR.create({headers: {'X-Client': 'test'}});
+	const first = api('a').setHeader('X-Client', 'other'), second = api('b');
+	assert.strictEqual(first.headers['X-Client'], 'other');
+	assert.strictEqual(second.headers['X-Client'], 'test');
+	assert.strictEqual(api.defaults.headers['X-Client'], 'test');
+});
+
+test('merges the defaults of the derived client', () => {
+	const api = XHR.create({baseURL: 'https://example.com/api', headers: {'X-Client': 'test'}});
+	const admin = api.create({headers: {'X-Role': 'admin'}, auth: {userName: 'admin', password: 'secret'}});
+	const xhr = admin('users');
+	assert.deepStrictEqual(xhr.headers, {'X-Client': 'test', 'X-Role': 'admin'});
+	assert.strictEqual(xhr.userName, 'admin');
+	assert.strictEqual(xhr.requestURL(), 'https://example.com/api/users');
+});
+
+test('joins the base URL and the relative URL', () => {
+	const api = XHR.create({baseURL: 'https://example.com/api/'});
+	assert.strictEqual(api('/users').requestURL(), 'https://example.com/api/users');
+	assert.strictEqual(api('').requestURL(), 'https://example.com/api/');
+	assert.strictEqual(api('https://other.com/x').requestURL(), 'https://other.com/x');
+});
@@ -0,0 +1,62 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XHR = require('../xhrless.js');
+
+const mock = new XHR.MockTransport().install();
+test.beforeEach(() => mock.reset());
+
+test('stores the "Set-Cookie" cookies and sends them back', async () => {
+	const jar = new XHR.CookieJar();
+	mock.route('POST', '/login', {headers: {'Set-Cookie': ['sid=abc; Path=/; HttpOnly', 'lang=en']}});
+	mock.route('GET', '/profile', {body: 'me'});
+	await XHR('http://example.com/login', 'user').useCookieJar(jar).promise();
+	await XHR('http://example.com/profile').useCookieJar(jar).setCookie('extra', '1').promise();
+	assert.strictEqual(mock.history[1].headers['Cookie'], 'extra=1; sid=abc; lang=en');
+	assert.strictEqual(jar.cookies[0].httpOnly, true);
+});
+
+test('matches the cookies by domain, path and secure attribute', () => {
+	const jar = new XHR.CookieJar()
+		.setCookie('a=1; Domain=example.com; Path=/api', 'http://www.example.com/')
+		.setCookie('b=2; Secure', 'https://example.com/')
+		.setCookie('c=3; Domain=other.com', 'http://example.com/');
+	assert.strictEqual(jar.getCookieHeader('http://sub.example.com/api/users'), 'a=1');
+	assert.strictEqual(jar.getCookieHeader('http://example.com/'), '');
+	assert.strictEqual(jar.getCookieHeader('https://example.com/'), 'b=2');
+	assert.strictEqual(jar.cookies.length, 2);
+});
+
+test('ignores the cookies for the public suffix domains', () => {
+	const jar = new XHR.CookieJar()
+		.setCookie('a=1; Domain=com', 'http://example.com/')
+		.setCookie('b=2; Domain=.co.uk', 'http://shop.example.co.uk/')
+		.setCookie('c=3; Domain=github.io', 'http://user.github.io/')
+		.setCookie('d=4; Domain=localhost', 'http://localhost/');
+	assert.strictEqual(jar.getCookieHeader('http://other.com/'), '');
+	assert.strictEqual(jar.getCookieHeader('http://other.co.uk/'), '');
+	assert.strictEqual(jar.getCookieHeader('http://another.github.io/'), '');
+	assert.deepStrictEqual(jar.cookies.map(cookie => [cookie.name, cookie.domain, cookie.hostOnly]), [['d', 'localhost', true]]);
+	assert.strictEqual(jar.getCookieHeader('http://localhost/'), 'd=4');
+});
+
+test('removes the expired cookies', () => {
+	const jar = new XHR.CookieJar().setCookie('a=1', 'http://example.com/').setCookie('a=1; Max-Age=0', 'http://example.com/');
+	assert.strictEqual(jar.getCookieHeader('http://example.com/'), '');
+	jar.setCookie('b=2; Expires=Thu, 01 Jan 1970 00:00:00 GMT', 'http://example.com/');
+	assert.strictEqual(jar.cookies.length, 0);
+});
+
+test('saves and loads the jar', () => {
+	const file = path.join(os.tmpdir(), 'xhrless-cookies-' + process.pid + '.json');
+	try {
+		new XHR.CookieJar().setCookie('sid=abc; Max-Age=3600', 'http://example.com/').save(file);
+		assert.strictEqual(XHR.CookieJar.load(file).getCookieHeader('http://example.com/'), 'sid=abc');
+		assert.strictEqual(XHR.CookieJar.fromJSON(fs.readFileSync(file, 'utf8')).cookies[0].name, 'sid');
+	} finally {
+		fs.unlinkSync(file);
+	};
+});
@@ -0,0 +1,178 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const {JSDOM} = require('jsdom');
+
+// The browser environment: the library exports XHR into window
+const dom = new JSDOM('<!DOCTYPE html><body></body>', {url: 'http://example.com/page', runScripts: 'dangerously'});
+Object.assign(global, {window: dom.window, document: dom.window.document, Element: dom.window.Element,
+	CustomEvent: dom.window.CustomEvent, location: dom.window.location});
+require('../xhrless.js');
+const XHR = window.XHR;
+
+const mock = new XHR.MockTransport().install();
+test.beforeEach(() => {
+	mock.reset()
+		.route('GET', '/fragment', {body: '<h1>Title</h1><ul id="list"><li>1</li><li>2</li></ul>'})
+		.route('GET', '/missing', {status: 404})
+		.route('GET', '/script', {body: '<p>text</p><script>window.scriptRun = (window.scriptRun || 0) + 1;</script>'});
+	document.body.innerHTML = '';
+});
+
+// Set the body HTML, return the element found by the selector
+function render(html, selector) {
+	document.body.innerHTML = html;
+	return document.querySelector(selector);
+};
+
+// Resolve with the DOM event of the type given when it is dispatched on the node (or bubbles to it)
+function nextEvent(node, type) {
+	return new Promise(resolve => node.addEventListener(type, resolve, {once: true}));
+};
+
+test('loadInto: replaces the node content', async () => {
+	const node = render('<div id="content">old</div>', '#content');
+	const loaded = nextEvent(node, 'xhr:load');
+	XHR('/fragment').loadInto('#content');
+	assert.strictEqual((await loaded).detail.xhr.status(), 200);
+	assert.strictEqual(node.innerHTML, '<h1>Title</h1><ul id="list"><li>1</li><li>2</li></ul>');
+});
+
+test('loadInto: inserts the selected elements by the swap strategy', async () => {
+	const node = render('<ul id="list"><li>0</li></ul>', '#list');
+	const loaded = nextEvent(node, 'xhr:load');
+	XHR('/fragment').loadInto(node, {select: '#list > li', swap: 'append'});
+	await loaded;
+	assert.strictEqual(node.innerHTML, '<li>0</li><li>1</li><li>2</li>');
+});
+
+test('loadInto: replaces the node itself', async () => {
+	const node = render('<main><div id="content">old</div></main>', '#content'), parent = node.parentNode;
+	const loaded = nextEvent(parent, 'xhr:load');
+	XHR('/fragment').loadInto(node, {select: 'h1', swap: 'outerHTML'});
+	await loaded;
+	assert.strictEqual(parent.innerHTML, '<h1>Title</h1>');
+});
+
+test('loadInto: puts the error content', async () => {
+	const node = render('<div id="content">old</div>', '#content');
+	const failed = nextEvent(node, 'xhr:error');
+	XHR('/missing').loadInto(node, {onError: xhr => 'Failed: ' + xhr.errorState(true)});
+	await failed;
+	assert.strictEqual(node.innerHTML, 'Failed: HTTP 404');
+});
+
+test('loadInto: restores the node content on failure', async () => {
+	const node = render('<div id="content">old</div>', '#content');
+	const failed = nextEvent(node, 'xhr:error');
+	XHR('/missing').loadInto(node, {showPreloader: true, restore: true});
+	assert.ok(node.querySelector('.xhr_preloader'));
+	await failed;
+	assert.strictEqual(node.innerHTML, 'old');
+});
+
+test('loadInto: is cancelled by the xhr:beforeload event', () => {
+	const node = render('<div id="content">old</div>', '#content');
+	node.addEventListener('xhr:beforeload', event => event.preventDefault());
+	XHR('/fragment').loadInto(node);
+	assert.strictEqual(mock.history.length, 0);
+});
+
+test('loadInto: runs the scripts if enabled', async () => {
+	const node = render('<div id="content"></div>', '#content');
+	var loaded = nextEvent(node, 'xhr:load');
+	XHR('/script').loadInto(node);
+	await loaded;
+	assert.strictEqual(window.scriptRun, undefined);
+	loaded = nextEvent(node, 'xhr:load');
+	XHR('/script').loadInto(node, {scripts: true});
+	await loaded;
+	assert.strictEqual(window.scriptRun, 1);
+});
+
+test('autoBind: loads the link target on click', async () => {
+	const link = render('<a href="#" data-xhr-get="/fragment" data-xhr-target="#out" data-xhr-select="h1">Load</a><div id="out"></div>', 'a');
+	const unbind = XHR.autoBind();
+	const loaded = nextEvent(document.body, 'xhr:load'), click = new window.MouseEvent('click', {bubbles: true, cancelable: true});
+	link.dispatchEvent(click);
+	await loaded;
+	unbind();
+	assert.strictEqual(click.defaultPrevented, true);
+	assert.strictEqual(document.querySelector('#out').innerHTML, '<h1>Title</h1>');
+});
+
+test('autoBind: sends the GET form data as query string', async () => {
+	mock.route('GET', '/search', request => ({body: '<p>' + request.url + '</p>'}));
+	const form = render('<form action="/search" method="get" data-xhr-submit data-xhr-target="#out">' +
+		'<input name="q" value="test"><input type="checkbox" name="tag" value="a" checked><input type="checkbox" name="tag" value="b" checked></form>' +
+		'<div id="out"></div>', 'form');
+	const unbind = XHR.autoBind();
+	const loaded = nextEvent(document.body, 'xhr:load');
+	form.dispatchEvent(new window.Event('submit', {bubbles: true, cancelable: true}));
+	await loaded;
+	unbind();
+	assert.strictEqual(mock.history[0].url, '/search?q=test&tag=a&tag=b');
+});
+
+test('autoBind: sends the form with data-xhr-get to its URL', async () => {
+	mock.route('GET', '/filter', request => ({body: '<p>' + request.url + '</p>'}));
+	const form = render('<form action="/save" method="post" data-xhr-get="/filter" data-xhr-target="#out">' +
+		'<input name="q" value="a b"></form><div id="out"></div>', 'form');
+	const unbind = XHR.autoBind();
+	const loaded = nextEvent(document.body, 'xhr:load');
+	form.dispatchEvent(new window.Event('submit', {bubbles: true, cancelable: true}));
+	await loaded;
+	unbind();
+	assert.strictEqual(mock.history[0].method, 'GET');
+	assert.strictEqual(mock.history[0].url, '/filter?q=a%20b');
+});
+
+test('autoBind: loads on bind and binds the inserted elements', async () => {
+	mock.route('GET', '/inner', {body: '<span>inner</span>'});
+	mock.route('GET', '/outer', {body: '<div id="inner" data-xhr-get="/inner" data-xhr-trigger="load"></div>'});
+	render('<div id="outer" data-xhr-get="/outer" data-xhr-trigger="load"></div>', '#outer');
+	const unbind = XHR.autoBind();
+	await new Promise(resolve => document.body.addEventListener('xhr:load', event => (event.target.id == 'inner') && resolve()));
+	unbind();
+	assert.strictEqual(document.querySelector('#inner').innerHTML, '<span>inner</span>');
+});
+
+test('fromForm: collects the successful controls', async () => {
+	mock.route('POST', '/save', {});
+	const form = render('<form action="/save" method="post" enctype="application/json">' +
+		'<input name="email" value="a@b.c"><input name="off" value="x" disabled><input type="checkbox" name="news" value="1">' +
+		'<input type="checkbox" name="ids[]" value="7" checked><select name="colors" multiple><option selected>red</option>' +
+		'<option>green</option><option selected>blue</option></select><textarea name="note">hi</textarea>' +
+		'<button name="action" value="save">Save</button></form>', 'form');
+	await XHR.fromForm(form).promise();
+	assert.deepStrictEqual(JSON.parse(mock.history[0].body), {email: 'a@b.c', 'ids[]': ['7'], colors: ['red', 'blue'], note: 'hi'});
+	assert.strictEqual(mock.history[0].headers['Content-Type'], 'application/json; charset=UTF-8');
+});
+
+test('fromForm: sends URL-encoded fields by default', async () => {
+	mock.route('PUT', '/user', {});
+	render('<form action="/user" method="put"><input name="name" value="a b"></form>', 'form');
+	await XHR.fromForm('form').promise();
+	assert.strictEqual(mock.history[0].method, 'PUT');
+	assert.strictEqual(mock.history[0].body, 'name=a%20b');
+});
+
+test('fromForm: maps the validation errors onto the form', async () => {
+	mock.route('POST', '/save', {status: 422, body: {errors: {email: ['Taken'], 'address.city': 'Required', other: 'Unknown'}}});
+	const form = render('<form action="/save" method="post"><input name="email"><input name="address[city]">' +
+		'<div data-xhr-error="email"></div><div data-xhr-error=""></div></form>', 'form');
+	const xhr = XHR.fromForm(form);
+	await xhr.promise().catch(() => null);
+	const email = form.elements.namedItem('email'), city = form.elements.namedItem('address[city]');
+	assert.strictEqual(email.validationMessage, 'Taken');
+	assert.strictEqual(email.getAttribute('aria-invalid'), 'true');
+	assert.strictEqual(city.validationMessage, 'Required');
+	assert.strictEqual(form.querySelector('[data-xhr-error="email"]').textContent, 'Taken');
+	assert.strictEqual(form.querySelector('[data-xhr-error=""]').textContent, 'Unknown');
+	email.dispatchEvent(new window.Event('input'));
+	assert.strictEqual(email.validationMessage, '');
+	mock.reset().route('POST', '/save', {});
+	await xhr.promise();
+	assert.strictEqual(city.getAttribute('aria-invalid'), null);
+	assert.strictEqual(form.querySelector('[data-xhr-error=""]').textContent, '');
+});
@@ -0,0 +1,40 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const XHR = require('../xhrless.js');
+
+const mock = new XHR.MockTransport().install();
+test.beforeEach(() => {
+	XHR.rejectWithError = false;
+	mock.reset().route('GET', '/missing', {status: 404, body: 'Not found'}).route('GET', '/down', {error: true});
+});
+
+test('returns the error matching the error state', async () => {
+	const xhr = await XHR('http://example.com/missing').promise().catch(xhr => xhr);
+	const error = xhr.error();
+	assert.ok(error instanceof XHR.HTTPStatusError);
+	assert.ok(error instanceof XHR.XHRError);
+	assert.ok(error instanceof Error);
+	assert.strictEqual(error.name, 'HTTPStatusError');
+	assert.strictEqual(error.code, xhr.ERR_HTTPSTATUS);
+	assert.strictEqual(error.status, 404);
+	assert.strictEqual(error.response, 'Not found');
+	assert.strictEqual(error.message, 'HTTP 404: GET http://example.com/missing');
+	assert.strictEqual(error.xhr, xhr);
+});
+
+test('returns null without error', async () => {
+	mock.route('GET', '/ok', {body: 'ok'});
+	assert.strictEqual((await XHR('/ok').promise()).error(), null);
+});
+
+test('rejects the promise with the error if enabled per request', async () => {
+	const error = await XHR('/down').setRejectWithError(true).promise().catch(error => error);
+	assert.ok(error instanceof XHR.ConnectionError);
+});
+
+test('rejects the promise with the error if enabled globally', async () => {
+	XHR.rejectWithError = true;
+	assert.ok(await XHR('/missing').promise().catch(error => error) instanceof XHR.HTTPStatusError);
+	assert.ok(await XHR('/missing').setRejectWithError(false).promise().catch(error => error) instanceof XHR);
+});
@@ -0,0 +1,73 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const XHR = require('../xhrless.js');
+
+const mock = new XHR.MockTransport().install();
+test.beforeEach(() => mock.reset()
+	.route('GET', '/ok', {body: 'ok'})
+	.route('GET', '/missing', {status: 404}));
+
+test('calls the handlers in the order of registration', async () => {
+	const calls = [];
+	const xhr = XHR('/ok')
+		.on('ready', () => calls.push('ready 1'))
+		.on('success', self => calls.push('success ' + self.status()))
+		.on('error', () => calls.push('error'))
+		.on('ready', function() { calls.push('ready 2 ' + (this === xhr)); });
+	await xhr.promise();
+	assert.deepStrictEqual(calls, ['success 200', 'ready 1', 'ready 2 true']);
+});
+
+test('calls the handler added with once() one time', async () => {
+	var count = 0;
+	const xhr = XHR('/ok').once('ready', () => count++);
+	await xhr.promise();
+	await xhr.promise();
+	assert.strictEqual(count, 1);
+});
+
+test('removes the handlers', async () => {
+	const calls = [];
+	const handler = () => calls.push('handler'), once = () => calls.push('once');
+	const xhr = XHR('/missing').on('error', handler).once('error', once).on('ready', () => calls.push('ready'));
+	xhr.off('error', handler).off('error', once);
+	await xhr.promise().catch(() => null);
+	assert.deepStrictEqual(calls, ['ready']);
+	xhr.off();
+	await xhr.promise().catch(() => null);
+	assert.deepStrictEqual(calls, ['ready']);
+});
+
+test('ignores the invalid handlers', () => {
+	const xhr = XHR('/ok').on('ready', null).once('ready', 'x').on(null, () => null);
+	assert.strictEqual(xhr._listeners && xhr._listeners.ready && xhr._listeners.ready.length, undefined);
+});
+
+test('passes the handler errors to the global handler', async () => {
+	const errors = [], calls = [];
+	XHR.onHandlerError((error, xhr, type) => errors.push([error.message, type, xhr.status()]));
+	XHR.onMetrics(() => { throw new Error('metrics'); });
+	try {
+		await XHR('/ok').on('ready', () => { throw new Error('first'); }).on('ready', () => calls.push('second')).promise();
+	} finally {
+		XHR.onHandlerError().onMetrics();
+	};
+	assert.deepStrictEqual(calls, ['second']);
+	assert.deepStrictEqual(errors, [['metrics', 'metrics', 200], ['first', 'ready', 200]]);
+	assert.strictEqual(XHR.handlerErrorHandler, null);
+});
+
+test('rethrows the handler errors without the global handler', async () => {
+	const uncaught = [], listener = error => uncaught.push(error.message);
+	const listeners = process.listeners('uncaughtException');
+	process.removeAllListeners('uncaughtException').on('uncaughtException', listener);
+	try {
+		await XHR('/ok').on('success', () => { throw new Error('failed'); }).promise();
+		await new Promise(resolve => setTimeout(resolve, 5));
+	} finally {
+		process.removeListener('uncaughtException', listener);
+		listeners.forEach(item => process.on('uncaughtException', item));
+	};
+	assert.deepStrictEqual(uncaught, ['failed']);
+});
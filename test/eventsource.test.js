@@ -0,0 +1,88 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const XHR = require('../xhrless.js');
+
+const mock = new XHR.MockTransport().install();
+test.beforeEach(() => mock.reset());
+
+const EVENT_STREAM = {'Content-Type': 'text/event-stream'};
+
+// Resolve when the listener of the event type given is called count times, with the events
+function waitEvents(source, type, count) {
+	const events = [];
+	return new Promise(resolve => source.addEventListener(type, event => (events.push(event), events.length == count) && resolve(events)));
+};
+
+test('dispatches the events', async () => {
+	mock.route('GET', '/events', {headers: EVENT_STREAM,
+		body: '\uFEFF: comment\ndata: first\n\nevent: price\ndata: 1\ndata: 2\nid: 7\n\ndata: incomplete'});
+	const source = XHR.eventSource('http://example.com/events', {reconnectDelay: 1e3});
+	const opened = new Promise(resolve => source.onopen = resolve), prices = waitEvents(source, 'price', 1);
+	const messages = waitEvents(source, 'message', 1);
+	await opened;
+	const [message] = await messages, [price] = await prices;
+	source.close();
+	assert.strictEqual(message.data, 'first');
+	assert.strictEqual(message.origin, 'http://example.com');
+	assert.strictEqual(price.data, '1\n2');
+	assert.strictEqual(price.lastEventId, '7');
+	assert.strictEqual(mock.history[0].headers['Accept'], 'text/event-stream');
+});
+
+test('reconnects with the last event ID', async () => {
+	var count = 0;
+	mock.route('GET', '/events', () => ({headers: EVENT_STREAM, body: 'retry: 5\nid: ' + (++count) + '\ndata: ' + count + '\n\n'}));
+	const source = XHR.eventSource('/events', {headers: {'Authorization': 'Bearer token'}});
+	const events = await waitEvents(source, 'message', 3);
+	source.close();
+	assert.deepStrictEqual(events.map(event => event.data), ['1', '2', '3']);
+	assert.strictEqual(source.reconnectDelay, 5);
+	assert.strictEqual(mock.history[0].headers['Last-Event-ID'], undefined);
+	assert.strictEqual(mock.history[2].headers['Last-Event-ID'], '2');
+	assert.strictEqual(mock.history[2].headers['Authorization'], 'Bearer token');
+});
+
+test('closes without reconnecting on the wrong response', async () => {
+	mock.route('GET', '/events', {body: 'not a stream'});
+	const source = XHR.eventSource('/events', {reconnectDelay: 1});
+	await new Promise(resolve => source.onerror = resolve);
+	assert.strictEqual(source.readyState, XHR.EventSource.CLOSED);
+	await new Promise(resolve => setTimeout(resolve, 20));
+	assert.strictEqual(mock.history.length, 1);
+});
+
+test('stops reconnecting when closed', async () => {
+	mock.route('GET', '/events', {headers: EVENT_STREAM, body: 'data: x\n\n'});
+	const source = XHR.eventSource('/events', {reconnectDelay: 1});
+	await waitEvents(source, 'message', 1);
+	source.close();
+	await new Promise(resolve => setTimeout(resolve, 20));
+	assert.strictEqual(mock.history.length, 1);
+	assert.strictEqual(source.readyState, XHR.EventSource.CLOSED);
+});
+
+test('does not keep the events dispatched', async () => {
+	mock.route('GET', '/events', {headers: EVENT_STREAM, body: 'data: 1\n\ndata: 2\n\ndata: 3\n\n'});
+	const source = XHR.eventSource('/events', {reconnectDelay: 1e3});
+	await waitEvents(source, 'message', 3);
+	source.close();
+	assert.strictEqual(source.xhr.xhr.responseText, '');
+	assert.strictEqual(source.xhr.xhr.chunks.length, 0);
+	assert.strictEqual(source._parser.buffer, '');
+});
+
+test('calls the other listeners after the listener error', async () => {
+	mock.route('GET', '/events', {headers: EVENT_STREAM, body: 'data: 1\n\n'});
+	const errors = [];
+	XHR.onHandlerError((error, xhr, type) => errors.push([error.message, type]));
+	const source = XHR.eventSource('/events', {reconnectDelay: 1e3});
+	source.onmessage = () => { throw new Error('failed'); };
+	try {
+		await waitEvents(source, 'message', 1);
+	} finally {
+		source.close();
+		XHR.onHandlerError();
+	};
+	assert.deepStrictEqual(errors, [['failed', 'eventsource:message']]);
+});
@@ -0,0 +1,72 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const XHR = require('../xhrless.js');
+
+const mock = new XHR.MockTransport().install();
+test.beforeEach(() => {
+	mock.reset().route('GET', '/user', {body: {name: 'test'}});
+	XHR.interceptors.request.clear();
+	XHR.interceptors.response.clear();
+});
+
+test('runs the global and then the instance request interceptors', async () => {
+	const order = [];
+	XHR.interceptors.request.use(xhr => (order.push('global'), xhr.setHeader('X-Global', '1')));
+	const xhr = XHR('/user');
+	xhr.interceptors.request.use(async xhr => (order.push('instance'), xhr.setHeader('X-Instance', '1')));
+	await xhr.promise();
+	assert.deepStrictEqual(order, ['global', 'instance']);
+	assert.strictEqual(mock.history[0].headers['X-Global'], '1');
+	assert.strictEqual(mock.history[0].headers['X-Instance'], '1');
+});
+
+test('short-circuits the request with the synthetic response', async () => {
+	const xhr = XHR('/user');
+	xhr.interceptors.request.use(() => ({status: 200, headers: {'X-Cached': '1'}, body: 'local'}));
+	await xhr.promise();
+	assert.strictEqual(mock.history.length, 0);
+	assert.strictEqual(xhr.responseText(), 'local');
+	assert.strictEqual(xhr.responseHeader('x-cached'), '1');
+});
+
+test('overrides the response parts by the response interceptor', async () => {
+	const xhr = XHR('/user').responseType('json');
+	xhr.interceptors.response.use(xhr => ({body: xhr.response().name}));
+	await xhr.promise();
+	assert.strictEqual(xhr.status(), 200);
+	assert.strictEqual(xhr.response(), 'test');
+});
+
+test('fails the request when the interceptor throws', async () => {
+	const error = new Error('No token'), xhr = XHR('/user');
+	xhr.interceptors.request.use(() => { throw error; });
+	await xhr.promise().catch(() => null);
+	assert.strictEqual(mock.history.length, 0);
+	assert.strictEqual(xhr.errorState(), xhr.ERR_CONNECTION);
+	assert.strictEqual(xhr.interceptorError, error);
+});
+
+test('replays the request from the response interceptor', async () => {
+	var token = 'expired';
+	mock.reset().route('GET', '/user', request => request.headers['Authorization'] == 'Bearer fresh' ? {body: 'ok'} : {status: 401});
+	XHR.interceptors.request.use(xhr => xhr.setHeader('Authorization', 'Bearer ' + token));
+	XHR.interceptors.response.use(xhr => {
+		if (xhr.status() == 401 && !xhr.data.replayed) {
+			token = 'fresh';
+			xhr.setData('replayed', true).replay();
+		};
+	});
+	const ready = [];
+	const xhr = await XHR('/user').onReady(xhr => ready.push(xhr.status())).promise();
+	assert.strictEqual(xhr.responseText(), 'ok');
+	assert.deepStrictEqual(ready, [200]);
+	assert.strictEqual(mock.history.length, 2);
+});
+
+test('ejects the interceptor', async () => {
+	const handler = xhr => xhr.setHeader('X-Test', '1');
+	XHR.interceptors.request.use(handler).eject(handler);
+	await XHR('/user').promise();
+	assert.strictEqual(mock.history[0].headers['X-Test'], undefined);
+});
@@ -0,0 +1,33 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const XHR = require('../xhrless.js');
+
+const mock = new XHR.MockTransport().install();
+test.beforeEach(() => mock.reset());
+test.afterEach(() => XHR.onMetrics(null));
+
+test('records the timing and transfer metrics', async () => {
+	mock.route('POST', '/items', {status: 201, body: 'created', delay: 20});
+	const xhr = await XHR('http://example.com/items', 'body').promise();
+	const metrics = xhr.metrics();
+	assert.strictEqual(metrics.method, 'POST');
+	assert.strictEqual(metrics.url, 'http://example.com/items');
+	assert.strictEqual(metrics.status, 201);
+	assert.strictEqual(metrics.errorState, xhr.ERR_NONE);
+	assert.strictEqual(metrics.bytesSent, 4);
+	assert.strictEqual(metrics.bytesReceived, 7);
+	assert.strictEqual(metrics.attempts, 1);
+	assert.ok(metrics.firstByte >= 15);
+	assert.ok(metrics.total >= metrics.firstByte);
+	assert.ok(metrics.startTime <= Date.now());
+});
+
+test('calls the global metrics handler once per request', async () => {
+	var count = 0;
+	mock.route('GET', '/flaky', () => count++ ? {body: 'ok'} : {status: 503});
+	const reports = [];
+	XHR.onMetrics((metrics, xhr) => reports.push([metrics.attempts, metrics.status, xhr instanceof XHR]));
+	await XHR('/flaky').retry({delay: 1}).promise();
+	assert.deepStrictEqual(reports, [[2, 200, true]]);
+});
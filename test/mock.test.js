@@ -0,0 +1,60 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const XHR = require('../xhrless.js');
+
+test('matches the routes by method and URL', async () => {
+	const mock = new XHR.MockTransport()
+		.route('GET', '/api/user', {body: {name: 'test'}})
+		.route('POST', /\/api\/items$/, request => ({status: 201, body: JSON.parse(request.body)}))
+		.route('*', request => request.headers['X-Test'] == '1', {body: 'by function'});
+	const get = (url, body, method) => XHR(url, body, method).useTransport(mock.transport).promise().catch(xhr => xhr);
+	const user = await get('http://example.com/api/user?id=1');
+	assert.strictEqual(user.responseHeader('Content-Type'), 'application/json');
+	assert.strictEqual(user.responseText(), '{"name":"test"}');
+	const item = await get('http://example.com/api/items', '{"id":2}');
+	assert.strictEqual(item.status(), 201);
+	assert.strictEqual(item.responseText(), '{"id":2}');
+	const custom = await XHR('/other').setHeader('X-Test', '1').useTransport(mock.transport).promise();
+	assert.strictEqual(custom.responseText(), 'by function');
+	assert.strictEqual((await get('/api/user', 'x', 'DELETE')).status(), 404);
+	assert.deepStrictEqual(mock.history.map(request => request.method), ['GET', 'POST', 'GET', 'DELETE']);
+});
+
+test('responds with the route given by the Promise', async () => {
+	const mock = new XHR.MockTransport().route('GET', '/async', () => Promise.resolve({status: 202, statusText: 'Accepted'}));
+	const xhr = await XHR('/async').useTransport(mock.transport).promise();
+	assert.strictEqual(xhr.status(), 202);
+	assert.strictEqual(xhr.xhr.statusText, 'Accepted');
+});
+
+test('fails with the connection error and the timeout', async () => {
+	const mock = new XHR.MockTransport({error: true}).route('GET', '/hang', {timeout: true});
+	const failed = await XHR('/unknown').useTransport(mock.transport).promise().catch(xhr => xhr);
+	assert.strictEqual(failed.errorState(), failed.ERR_CONNECTION);
+	const timedOut = await XHR('/hang').useTransport(mock.transport).setTimeout(10).promise().catch(xhr => xhr);
+	assert.strictEqual(timedOut.errorState(), timedOut.ERR_TIMEOUT);
+});
+
+test('delays the response', async () => {
+	const mock = new XHR.MockTransport().route('GET', '/slow', {delay: 30});
+	const started = Date.now();
+	await XHR('/slow').useTransport(mock.transport).promise();
+	assert.ok(Date.now() - started >= 25);
+});
+
+test('converts the body for the response type', async () => {
+	const mock = new XHR.MockTransport().route('GET', '/data', {body: {a: 1}});
+	const json = await XHR('/data').useTransport(mock.transport).responseType('json').promise();
+	assert.deepStrictEqual(json.response(), {a: 1});
+	const buffer = await XHR('/data').useTransport(mock.transport).responseType('arraybuffer').promise();
+	assert.strictEqual(Buffer.from(buffer.response()).toString(), '{"a":1}');
+});
+
+test('installs and uninstalls the default transport', () => {
+	const original = XHR.transport, mock = new XHR.MockTransport().install();
+	assert.strictEqual(XHR.transport, mock.transport);
+	assert.strictEqual(XHR('/').transport, null);
+	mock.uninstall();
+	assert.strictEqual(XHR.transport, original);
+});
@@ -0,0 +1,69 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const XHR = require('../xhrless.js');
+
+const mock = new XHR.MockTransport().install();
+const ITEMS = [1, 2, 3, 4, 5, 6, 7];
+test.beforeEach(() => mock.reset()
+	.route('GET', /\/linked/, request => {
+		const page = parseInt(new URL(request.url, 'http://example.com').searchParams.get('page') || '1');
+		return {headers: (page < 3) ? {'Link': '</linked?page=' + (page + 1) + '>; rel="next", </linked?page=1>; rel="first"'} : {},
+			body: ITEMS.slice((page - 1) * 3, page * 3)};
+	})
+	.route('GET', /\/cursor/, request => {
+		const cursor = parseInt(new URL(request.url, 'http://example.com').searchParams.get('cursor') || '0');
+		return {body: {data: {users: ITEMS.slice(cursor, cursor + 3)}, meta: {next: (cursor + 3 < ITEMS.length) ? cursor + 3 : null}}};
+	})
+	.route('GET', /\/numbered/, request => {
+		const params = new URL(request.url, 'http://example.com').searchParams,
+			limit = parseInt(params.get('limit') || '3'),
+			start = params.has('offset') ? parseInt(params.get('offset')) : (parseInt(params.get('page')) - 1) * limit;
+		return {body: {results: ITEMS.slice(start, start + limit)}};
+	}));
+
+// Collect the values of the async iterator
+async function collect(iterator) {
+	const values = [];
+	for await (const value of iterator)
+		values.push(value);
+	return values;
+};
+
+test('follows the Link header', async () => {
+	assert.deepStrictEqual(await collect(XHR('http://example.com/linked').responseType('json').paginate()), ITEMS);
+	assert.deepStrictEqual(mock.history.map(request => request.url),
+		['http://example.com/linked', 'http://example.com/linked?page=2', 'http://example.com/linked?page=3']);
+});
+
+test('follows the cursor', async () => {
+	const users = XHR('/cursor').responseType('json').paginate({type: 'cursor', cursor: 'meta.next', items: 'data.users'});
+	assert.deepStrictEqual(await collect(users), ITEMS);
+	assert.strictEqual(mock.history[2].url, '/cursor?cursor=6');
+});
+
+test('requests the pages by number and offset', async () => {
+	assert.deepStrictEqual(await collect(XHR('/numbered').responseType('json').paginate({type: 'page', limit: 3})), ITEMS);
+	assert.deepStrictEqual(mock.history.map(request => request.url), ['/numbered?page=1&limit=3', '/numbered?page=2&limit=3', '/numbered?page=3&limit=3']);
+	mock.history.length = 0;
+	assert.deepStrictEqual(await collect(XHR('/numbered').responseType('json').paginate({type: 'offset', limit: 4})), ITEMS);
+	assert.deepStrictEqual(mock.history.map(request => request.url), ['/numbered?offset=0&limit=4', '/numbered?offset=4&limit=4']);
+});
+
+test('stops at the max number of items', async () => {
+	assert.deepStrictEqual(await collect(XHR('http://example.com/linked').responseType('json').paginate({maxItems: 4})), [1, 2, 3, 4]);
+	assert.strictEqual(mock.history.length, 2);
+});
+
+test('yields the pages', async () => {
+	const pages = await collect(XHR('http://example.com/linked').responseType('json').paginate({pages: true, maxPages: 2}));
+	assert.deepStrictEqual(pages.map(page => page.response()), [[1, 2, 3], [4, 5, 6]]);
+});
+
+test('stops on the failed page', async () => {
+	mock.route('GET', '/failing', request => /page=2/.test(request.url) ? {status: 500}
+		: {headers: {'Link': '</failing?page=2>; rel="next"'}, body: [1, 2, 3]});
+	const pages = XHR('http://example.com/failing').responseType('json').paginate();
+	assert.deepStrictEqual(await collect(pages), [1, 2, 3]);
+	assert.strictEqual(pages.request.status(), 500);
+});
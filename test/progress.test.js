@@ -0,0 +1,43 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const XHR = require('../xhrless.js');
+
+const mock = new XHR.MockTransport().install();
+test.beforeEach(() => mock.reset());
+
+test('reports the download progress', async () => {
+	mock.route('GET', '/file', {body: 'x'.repeat(100), headers: {'Content-Length': '100'}});
+	const reports = [];
+	await XHR('/file').onDownloadProgress((xhr, progress) => reports.push(progress)).promise();
+	const last = reports[reports.length - 1];
+	assert.strictEqual(last.loaded, 100);
+	assert.strictEqual(last.total, 100);
+	assert.strictEqual(last.percent, 100);
+	assert.strictEqual(last.attempt, 1);
+});
+
+test('reports the indeterminate progress without "Content-Length"', async () => {
+	mock.route('GET', '/file', {body: 'data'});
+	const reports = [];
+	await XHR('/file').onDownloadProgress((xhr, progress) => reports.push(progress)).promise();
+	assert.strictEqual(reports[0].total, null);
+	assert.strictEqual(reports[0].percent, null);
+});
+
+test('reports the upload progress', async () => {
+	mock.route('POST', '/upload', {delay: 20});
+	const reports = [];
+	await XHR('/upload', 'x'.repeat(10)).onUploadProgress((xhr, progress) => reports.push(Object.assign({state: xhr.xhr.readyState}, progress))).promise();
+	assert.strictEqual(reports.length, 1);
+	assert.strictEqual(reports[0].state, 1);
+	assert.strictEqual(reports[reports.length - 1].loaded, 10);
+	assert.strictEqual(reports[reports.length - 1].total, 10);
+});
+
+test('removes the progress handlers', async () => {
+	mock.route('GET', '/file', {body: 'data'});
+	const reports = [];
+	await XHR('/file').onDownloadProgress(() => reports.push(1)).onDownloadProgress().promise();
+	assert.strictEqual(reports.length, 0);
+});
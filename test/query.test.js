@@ -0,0 +1,36 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const XHR = require('../xhrless.js');
+
+const mock = new XHR.MockTransport().install();
+test.beforeEach(() => mock.reset());
+
+test('merges the parameters into the URL', () => {
+	const xhr = XHR('/items?sort=name#top').setQuery('page', 2).setQuery('q', 'a b&c');
+	assert.strictEqual(xhr.requestURL(), '/items?sort=name&page=2&q=a%20b%26c#top');
+});
+
+test('serializes the arrays in the format given', () => {
+	const xhr = XHR('/items').setQueryParams({tag: ['a', 'b']});
+	assert.strictEqual(decodeURIComponent(xhr.requestURL()), '/items?tag[]=a&tag[]=b');
+	assert.strictEqual(decodeURIComponent(xhr.setQueryFormat('indices').requestURL()), '/items?tag[0]=a&tag[1]=b');
+	assert.strictEqual(xhr.setQueryFormat('repeat').requestURL(), '/items?tag=a&tag=b');
+});
+
+test('serializes the nested objects, dates and nulls', () => {
+	const xhr = XHR('/items').setQueryParams({filter: {price: {min: 1}}, since: new Date(0), empty: null, skipped: undefined});
+	assert.strictEqual(decodeURIComponent(xhr.requestURL()), '/items?filter[price][min]=1&since=1970-01-01T00:00:00.000Z&empty=');
+});
+
+test('removes the parameters', () => {
+	const xhr = XHR('/items').setQueryParams({a: 1, b: 2}).setQuery('a');
+	assert.strictEqual(xhr.requestURL(), '/items?b=2');
+	assert.strictEqual(xhr.setQueryParams().requestURL(), '/items');
+});
+
+test('sends the request to the URL with parameters', async () => {
+	mock.route('GET', '/search', {body: 'found'});
+	await XHR('http://example.com/search').setQuery('q', 'test').promise();
+	assert.strictEqual(mock.history[0].url, 'http://example.com/search?q=test');
+});
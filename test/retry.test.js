@@ -0,0 +1,96 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const XHR = require('../xhrless.js');
+
+const mock = new XHR.MockTransport().install();
+test.beforeEach(() => mock.reset());
+
+// The route answering with the statuses given one by one, then with the last one
+function statuses(list, response) {
+	var count = 0;
+	return () => Object.assign({status: list[Math.min(count++, list.length - 1)]}, response);
+};
+
+test('retries the listed statuses until success', async () => {
+	mock.route('GET', '/flaky', statuses([503, 502, 200], {body: 'ok'}));
+	const xhr = await XHR('/flaky').retry({delay: 1}).promise();
+	assert.strictEqual(xhr.attempt, 3);
+	assert.strictEqual(xhr.responseText(), 'ok');
+	assert.strictEqual(mock.history.length, 3);
+});
+
+test('gives up after options.count retries', async () => {
+	mock.route('GET', '/down', {status: 503});
+	const xhr = await XHR('/down').retry({count: 2, delay: 1}).promise().catch(xhr => xhr);
+	assert.strictEqual(xhr.attempt, 3);
+	assert.strictEqual(xhr.errorState(), xhr.ERR_HTTPSTATUS);
+});
+
+test('does not retry the statuses not listed', async () => {
+	mock.route('GET', '/missing', {status: 404});
+	const xhr = await XHR('/missing').retry({delay: 1}).promise().catch(xhr => xhr);
+	assert.strictEqual(xhr.attempt, 1);
+});
+
+test('retries the connection errors', async () => {
+	var count = 0;
+	mock.route('GET', '/unstable', () => count++ ? {body: 'ok'} : {error: true});
+	const xhr = await XHR('/unstable').retry({delay: 1}).promise();
+	assert.strictEqual(xhr.attempt, 2);
+});
+
+test('reports the last attempt only to the handlers', async () => {
+	mock.route('GET', '/flaky', statuses([503, 200]));
+	const ready = [];
+	await XHR('/flaky').retry({delay: 1}).onReady(xhr => ready.push(xhr.status())).promise();
+	assert.deepStrictEqual(ready, [200]);
+});
+
+test('uses the function deciding the retry', async () => {
+	mock.route('GET', '/teapot', statuses([418, 200]));
+	const xhr = await XHR('/teapot').retry({delay: 1, on: xhr => xhr.status() == 418}).promise();
+	assert.strictEqual(xhr.attempt, 2);
+});
+
+test('consults the function for the failed responses only', async () => {
+	var calls = 0;
+	mock.route('GET', '/ok', {body: 'ok'});
+	const xhr = await XHR('/ok').retry({delay: 1, on: () => ++calls > 0}).promise();
+	assert.strictEqual(xhr.attempt, 1);
+	assert.strictEqual(calls, 0);
+});
+
+test('retries the connection errors regardless of the function', async () => {
+	var count = 0;
+	mock.route('GET', '/unstable', () => count++ ? {body: 'ok'} : {error: true});
+	const xhr = await XHR('/unstable').retry({delay: 1, on: xhr => xhr.status() == 418}).promise();
+	assert.strictEqual(xhr.attempt, 2);
+});
+
+test('waits for "Retry-After" seconds', async () => {
+	mock.route('GET', '/busy', statuses([429, 200], {headers: {'Retry-After': '0'}}));
+	const xhr = await XHR('/busy').retry({delay: 60e3}).setDeadline(1e3).promise();
+	assert.strictEqual(xhr.attempt, 2);
+});
+
+test('limits "Retry-After" by options.maxDelay', async () => {
+	mock.route('GET', '/busy', statuses([503, 200], {headers: {'Retry-After': '3600'}}));
+	const started = Date.now();
+	const xhr = await XHR('/busy').retry({delay: 1, maxDelay: 10}).promise();
+	assert.strictEqual(xhr.attempt, 2);
+	assert.ok(Date.now() - started < 1e3);
+});
+
+test('does not retry the aborted request', async () => {
+	mock.route('GET', '/slow', {delay: 50});
+	const xhr = XHR('/slow').retry({delay: 1});
+	const promise = xhr.promise().catch(xhr => xhr);
+	xhr.abort();
+	assert.strictEqual((await promise).errorState(), xhr.ERR_ABORTED);
+	assert.strictEqual(xhr.attempt, 1);
+});
+
+test('removes the policy', () => {
+	assert.strictEqual(XHR('/').retry({}).retry().retryPolicy, null);
+});
@@ -0,0 +1,44 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const XHR = require('../xhrless.js');
+
+const mock = new XHR.MockTransport().install();
+test.beforeEach(() => mock.reset().route('GET', /\/item/, {body: {id: 1}, delay: 20}));
+
+test('shares the response of the identical GET requests in flight', async () => {
+	const scheduler = new XHR.Scheduler();
+	const promises = [1, 2, 3].map(() => XHR('/item').responseType('json').useScheduler(scheduler).promise());
+	assert.strictEqual(scheduler.stats().waiting, 2);
+	const requests = await Promise.all(promises);
+	assert.strictEqual(mock.history.length, 1);
+	assert.deepStrictEqual(requests.map(xhr => xhr.response().id), [1, 1, 1]);
+	assert.notStrictEqual(requests[0].response(), requests[1].response());
+	assert.strictEqual(scheduler.stats().deduped, 2);
+});
+
+test('limits the number of requests in progress', async () => {
+	const scheduler = new XHR.Scheduler({concurrency: 2, dedupe: false});
+	const promises = [1, 2, 3, 4].map(id => XHR('/item/' + id).useScheduler(scheduler).promise());
+	assert.deepStrictEqual([scheduler.stats().active, scheduler.stats().queued], [2, 2]);
+	await Promise.all(promises);
+	assert.deepStrictEqual([scheduler.stats().active, scheduler.stats().queued, scheduler.stats().totalQueued], [0, 0, 2]);
+});
+
+test('sends the queued requests by priority', async () => {
+	const scheduler = new XHR.Scheduler({concurrency: 1}), order = [];
+	const promises = [[1, 0], [2, 0], [3, 5]].map(([id, priority]) =>
+		XHR('/item/' + id).useScheduler(scheduler).setPriority(priority).onReady(() => order.push(id)).promise());
+	await Promise.all(promises);
+	assert.deepStrictEqual(order, [1, 3, 2]);
+});
+
+test('sends the waiting requests again if the shared one is aborted', async () => {
+	const scheduler = new XHR.Scheduler(), leader = XHR('/item').useScheduler(scheduler);
+	const leaderPromise = leader.promise().catch(xhr => xhr.errorState());
+	const follower = XHR('/item').useScheduler(scheduler).promise();
+	leader.abort();
+	assert.strictEqual(await leaderPromise, leader.ERR_ABORTED);
+	assert.strictEqual((await follower).status(), 200);
+	assert.strictEqual(mock.history.length, 2);
+});
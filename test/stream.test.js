@@ -0,0 +1,109 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const stream = require('stream');
+const XHR = require('../xhrless.js');
+
+const mock = new XHR.MockTransport().install();
+test.beforeEach(() => mock.reset()
+	.route('GET', '/log', {body: 'first\r\nsecond\n\nthird'})
+	.route('GET', '/rows', {body: '{"id":1}\n\n{"id":2}\n'})
+	.route('GET', '/broken', {body: '{"id":1}\n{broken\n'})
+	.route('GET', '/missing', {status: 404, body: 'Not found'}));
+
+// The writable stream collecting the chunks written
+function collector() {
+	const writable = new stream.Writable({write: (chunk, encoding, callback) => (writable.chunks.push(chunk), callback())});
+	writable.chunks = [];
+	return writable;
+};
+
+test('reports the chunks of text', async () => {
+	const chunks = [];
+	await XHR('/log').onChunk((xhr, chunk) => chunks.push(chunk)).promise();
+	assert.strictEqual(chunks.join(''), 'first\r\nsecond\n\nthird');
+});
+
+test('reports the lines', async () => {
+	const lines = [];
+	await XHR('/log').onChunk((xhr, line) => lines.push(line), 'lines').promise();
+	assert.deepStrictEqual(lines, ['first', 'second', '', 'third']);
+});
+
+test('reports the NDJSON items', async () => {
+	const items = [];
+	await XHR('/rows').onChunk((xhr, item) => items.push(item), 'ndjson').promise();
+	assert.deepStrictEqual(items, [{id: 1}, {id: 2}]);
+});
+
+test('does not report the chunks of error response', async () => {
+	const chunks = [];
+	await XHR('/missing').onChunk((xhr, chunk) => chunks.push(chunk)).promise().catch(() => null);
+	assert.deepStrictEqual(chunks, []);
+});
+
+test('iterates the stream', async () => {
+	const items = [];
+	for await (const item of XHR('/rows').stream('ndjson'))
+		items.push(item.id);
+	assert.deepStrictEqual(items, [1, 2]);
+});
+
+test('throws the SyntaxError for the invalid NDJSON line', async () => {
+	const items = [];
+	await assert.rejects(async () => {
+		for await (const item of XHR('/broken').stream('ndjson'))
+			items.push(item);
+	}, SyntaxError);
+	assert.deepStrictEqual(items, [{id: 1}]);
+});
+
+test('throws the failed request', async () => {
+	await assert.rejects(async () => {
+		for await (const line of XHR('/missing').stream('lines'))
+			assert.fail(line);
+	}, xhr => xhr instanceof XHR && xhr.status() == 404);
+});
+
+test('pipes the body into the writable stream', async () => {
+	const writable = collector();
+	await XHR('/log').pipe(writable);
+	assert.strictEqual(Buffer.concat(writable.chunks).toString(), 'first\r\nsecond\n\nthird');
+	assert.strictEqual(writable.writableEnded, true);
+});
+
+test('keeps the writable stream open', async () => {
+	const writable = collector();
+	await XHR('/log').pipe(writable, {end: false});
+	assert.strictEqual(writable.writableEnded, false);
+});
+
+test('does not keep the body reported to the handler', async () => {
+	const chunks = [];
+	const xhr = await XHR('/log').onChunk((xhr, chunk) => chunks.push(chunk)).promise();
+	assert.strictEqual(chunks.join(''), 'first\r\nsecond\n\nthird');
+	assert.strictEqual(xhr.responseText(), '');
+	assert.strictEqual(xhr.xhr.chunks.length, 0);
+	const failed = await XHR('/missing').onChunk(() => null).promise().catch(xhr => xhr);
+	assert.strictEqual(failed.responseText(), 'Not found');
+});
+
+test('destroys the writable stream on failure', async () => {
+	const writable = collector();
+	const xhr = await XHR('/missing').pipe(writable).catch(xhr => xhr);
+	assert.strictEqual(xhr.status(), 404);
+	assert.strictEqual(writable.destroyed, true);
+	assert.ok(writable.errored instanceof XHR.HTTPStatusError);
+	mock.route('GET', '/slow', {delay: 50, body: 'data'});
+	const aborted = collector(), request = XHR('/slow'), promise = request.pipe(aborted).catch(xhr => xhr);
+	request.abort();
+	await promise;
+	assert.ok(aborted.errored instanceof XHR.AbortError);
+});
+
+test('aborts the request on the writable stream error', async () => {
+	mock.route('GET', '/slow', {delay: 50, body: 'data'});
+	const writable = collector(), xhr = XHR('/slow'), promise = xhr.pipe(writable).catch(xhr => xhr);
+	writable.destroy(new Error('Disk full'));
+	assert.strictEqual((await promise).errorState(), xhr.ERR_ABORTED);
+});
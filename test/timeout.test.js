@@ -0,0 +1,28 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const XHR = require('../xhrless.js');
+
+const mock = new XHR.MockTransport().install();
+test.beforeEach(() => mock.reset().route('GET', '/hang', {timeout: true}));
+
+test('fails with ERR_TIMEOUT after the attempt timeout', async () => {
+	const timeouts = [];
+	const xhr = await XHR('/hang').setTimeout(20).onTimeout(xhr => timeouts.push(xhr.attempt)).promise().catch(xhr => xhr);
+	assert.strictEqual(xhr.errorState(), xhr.ERR_TIMEOUT);
+	assert.strictEqual(xhr.errorState(true), 'Request timed out');
+	assert.deepStrictEqual(timeouts, [1]);
+});
+
+test('stops retrying at the deadline spanning all attempts', async () => {
+	mock.route('GET', '/down', {status: 503});
+	const started = Date.now();
+	const xhr = await XHR('/down').retry({count: 100, delay: 10, backoff: 1}).setDeadline(100).promise().catch(xhr => xhr);
+	assert.ok(xhr.attempt > 1 && xhr.attempt < 100);
+	assert.ok(Date.now() - started < 1000);
+});
+
+test('expires the request in progress at the deadline', async () => {
+	const xhr = await XHR('/hang').setDeadline(30).promise().catch(xhr => xhr);
+	assert.strictEqual(xhr.errorState(), xhr.ERR_TIMEOUT);
+});
@@ -0,0 +1,94 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const XHR = require('../xhrless.js');
+
+const mock = new XHR.MockTransport().install();
+test.beforeEach(() => mock.reset()
+	.route('GET', '/user', {headers: {'Set-Cookie': 'sid=1'}, body: {id: 1, name: 'test'}})
+	.route('POST', '/user', {status: 422, statusText: 'Unprocessable Entity', body: 'Invalid'}));
+test.afterEach(() => XHR.useTracer(null));
+
+test('writes the request to the console tracer', async () => {
+	const lines = [];
+	XHR.useTracer(new XHR.ConsoleTracer({maxBody: 10, output: text => lines.push(text)}));
+	await XHR('http://example.com/user?page=2').setHeader('Authorization', 'Bearer token').promise();
+	const text = lines[0].split('\n');
+	assert.match(text[0], /^GET http:\/\/example\.com\/user\?page=2 -> 200 \(\d+ms\)$/);
+	assert.ok(text.indexOf('  > Authorization: [redacted]') > 0);
+	assert.ok(text.indexOf('  < set-cookie: [redacted]') > 0);
+	assert.ok(text.indexOf('  < {"id":1,"n...') > 0);
+});
+
+test('keeps the last entries in the trace log', async () => {
+	const log = XHR.useTracer(new XHR.TraceLog({size: 2})).tracer;
+	await XHR('/user').promise();
+	await XHR('/user', 'name=').promise().catch(() => null);
+	await XHR('/user').promise();
+	assert.strictEqual(log.entries.length, 2);
+	const [failed, last] = log.entries;
+	assert.strictEqual(failed.method, 'POST');
+	assert.strictEqual(failed.requestBody, 'name=');
+	assert.strictEqual(failed.status, 422);
+	assert.strictEqual(failed.error, 'HTTP 422');
+	assert.strictEqual(last.responseBody, '{"id":1,"name":"test"}');
+	assert.strictEqual(log.clear().entries.length, 0);
+});
+
+test('exports the entries as HAR', async () => {
+	const log = new XHR.TraceLog();
+	await XHR('http://example.com/user?page=2').useTracer(log).promise();
+	const har = log.toHAR();
+	assert.strictEqual(har.log.version, '1.2');
+	const [entry] = har.log.entries;
+	assert.strictEqual(entry.request.method, 'GET');
+	assert.deepStrictEqual(entry.request.queryString, [{name: 'page', value: '2'}]);
+	assert.strictEqual(entry.response.status, 200);
+	assert.strictEqual(entry.response.content.text, '{"id":1,"name":"test"}');
+	assert.strictEqual(entry.response.content.mimeType, 'application/json');
+	assert.strictEqual(typeof entry.time, 'number');
+});
+
+test('writes the body sizes in bytes and the library version into HAR', async () => {
+	mock.route('GET', '/text', {headers: {'Content-Type': 'text/plain; charset=UTF-8'}, body: 'Привет'});
+	const log = new XHR.TraceLog();
+	await XHR('http://example.com/text').useTracer(log).promise();
+	const har = log.toHAR();
+	assert.strictEqual(har.log.creator.version, XHR.version);
+	assert.strictEqual(har.log.entries[0].response.content.size, 12);
+});
+
+test('uses the request tracer instead of the global one', async () => {
+	const global = [], own = [];
+	XHR.useTracer(entry => global.push(entry));
+	await XHR('/user').useTracer(entry => own.push(entry)).promise();
+	await XHR('/user').useTracer(false).promise();
+	await XHR('/user').promise();
+	assert.strictEqual(own.length, 1);
+	assert.strictEqual(global.length, 1);
+});
+
+test('redacts the sensitive headers in the trace log by default', async () => {
+	const log = XHR.useTracer(new XHR.TraceLog()).tracer;
+	await XHR('/user').setHeader('Authorization', 'Bearer token').setHeader('X-Request-ID', '7').promise();
+	const [entry] = log.entries;
+	assert.strictEqual(entry.requestHeaders['Authorization'], '[redacted]');
+	assert.strictEqual(entry.requestHeaders['X-Request-ID'], '7');
+	assert.strictEqual(entry.responseHeaders['set-cookie'], '[redacted]');
+});
+
+test('traces the headers sent: the cookies of the jar and the basic authentication', async () => {
+	const log = XHR.useTracer(new XHR.TraceLog({redact: []})).tracer, jar = new XHR.CookieJar();
+	jar.setCookie('token=abc', 'http://example.com/');
+	await XHR('http://example.com/user').setHeader('Cookie', 'lang=en').useCookieJar(jar).httpAuth('user', 'secret').promise();
+	const [entry] = log.entries;
+	assert.strictEqual(entry.requestHeaders['Cookie'], mock.history[0].headers['Cookie']);
+	assert.strictEqual(entry.requestHeaders['Cookie'], 'lang=en; token=abc');
+	assert.strictEqual(entry.requestHeaders['Authorization'], 'Basic ' + Buffer.from('user:secret').toString('base64'));
+});
+
+test('traces the JSON response body', async () => {
+	const log = XHR.useTracer(new XHR.TraceLog()).tracer;
+	await XHR('/user').responseType('json').promise();
+	assert.strictEqual(log.entries[0].responseBody, '{"id":1,"name":"test"}');
+});
@@ -0,0 +1,83 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const XHR = require('../xhrless.js');
+
+const mock = new XHR.MockTransport().install();
+test.beforeEach(() => mock.reset()
+	.route('GET', '/items', {body: {items: [{id: 1}, {id: 2}, {id: '3'}]}})
+	.route('GET', '/broken', {headers: {'Content-Type': 'application/json'}, body: '{broken'})
+	.route('GET', '/csv', {headers: {'Content-Type': 'text/csv'}, body: 'a,"b ""quoted"""\r\n1,"2\n3"\r\n'})
+	.route('GET', '/table', {headers: {'Content-Type': 'text/csv; header=present'}, body: 'name,price\napple,1.5\npear,2\n'}));
+
+const ITEMS = {type: 'object', required: ['items'], properties: {items: {type: 'array', items: {type: 'object', required: ['id'], properties: {id: {type: 'integer'}}}}}};
+
+test('rejects the body not matching the schema', async () => {
+	const xhr = await XHR('/items').validate(ITEMS).promise().catch(xhr => xhr);
+	assert.strictEqual(xhr.errorState(), xhr.ERR_BODYTYPE);
+	assert.deepStrictEqual(xhr.schemaError, {path: '$.items[2].id', expected: 'integer', actual: 'string', message: '$.items[2].id: expected integer, actual string'});
+});
+
+test('accepts the body matching the schema', async () => {
+	const schema = {type: 'object', properties: {items: {type: 'array', maxItems: 3, items: {anyOf: [{type: 'integer'}, {type: 'object'}]}}}};
+	const xhr = await XHR('/items').validate(schema).promise();
+	assert.strictEqual(xhr.schemaError, null);
+	assert.strictEqual(xhr.response().items.length, 3);
+	assert.strictEqual(xhr.responseText(), '{"items":[{"id":1},{"id":2},{"id":"3"}]}');
+});
+
+test('transforms the body by the function', async () => {
+	const xhr = await XHR('/items').validate(body => body.items.map(item => Number(item.id))).promise();
+	assert.deepStrictEqual(xhr.response(), [1, 2, 3]);
+	const rejected = await XHR('/items').validate(body => body.items.length > 5).promise().catch(xhr => xhr);
+	assert.strictEqual(rejected.errorState(), rejected.ERR_BODYTYPE);
+	const thrown = await XHR('/items').validate(() => { throw new Error('Wrong'); }).promise().catch(xhr => xhr);
+	assert.strictEqual(thrown.schemaError.message, 'Wrong');
+});
+
+test('rejects the malformed body', async () => {
+	const xhr = await XHR('/broken').validate({}).promise().catch(xhr => xhr);
+	assert.strictEqual(xhr.errorState(), xhr.ERR_BODYTYPE);
+	assert.strictEqual(xhr.schemaError.expected, 'application/json');
+});
+
+test('parses the CSV body', async () => {
+	const rows = await XHR('/csv').validate({}).promise();
+	assert.deepStrictEqual(rows.response(), [['a', 'b "quoted"'], ['1', '2\n3']]);
+	const table = await XHR('/table').validate({type: 'array', items: {required: ['name', 'price']}}).promise();
+	assert.deepStrictEqual(table.response(), [{name: 'apple', price: '1.5'}, {name: 'pear', price: '2'}]);
+});
+
+test('does not validate the error response', async () => {
+	mock.route('GET', '/fail', {status: 500, body: 'Server error'});
+	const xhr = await XHR('/fail').validate(ITEMS).promise().catch(xhr => xhr);
+	assert.strictEqual(xhr.errorState(), xhr.ERR_HTTPSTATUS);
+	assert.strictEqual(xhr.schemaError, null);
+});
+
+test('returns the response text without validator by default', async () => {
+	const xhr = await XHR('/items').promise();
+	assert.strictEqual(xhr.response(), '{"items":[{"id":1},{"id":2},{"id":"3"}]}');
+	assert.strictEqual(JSON.parse(xhr.response()).items.length, 3);
+});
+
+test('parses the body by "Content-Type" if the auto parsing is enabled', async () => {
+	const xhr = await XHR('/items').setAutoParse(true).promise();
+	assert.deepStrictEqual(xhr.response(), {items: [{id: 1}, {id: 2}, {id: '3'}]});
+	assert.strictEqual(xhr.responseText(), '{"items":[{"id":1},{"id":2},{"id":"3"}]}');
+	const rows = await XHR.create({autoParse: true})('/table').promise();
+	assert.deepStrictEqual(rows.response()[1], {name: 'pear', price: '2'});
+	mock.route('GET', '/fail', {status: 400, body: {error: 'Bad request'}});
+	XHR.autoParse = true;
+	const failed = await XHR('/fail').promise().catch(xhr => xhr).finally(() => XHR.autoParse = false);
+	assert.deepStrictEqual(failed.response(), {error: 'Bad request'});
+	const text = await XHR('/fail').setAutoParse(true).responseType('text').promise().catch(xhr => xhr);
+	assert.strictEqual(text.response(), '{"error":"Bad request"}');
+});
+
+test('keeps the malformed body as text without validator', async () => {
+	const xhr = await XHR('/broken').setAutoParse(true).promise();
+	assert.strictEqual(xhr.errorState(), xhr.ERR_NONE);
+	assert.strictEqual(xhr.response(), '{broken');
+	assert.strictEqual(xhr.schemaError, null);
+});
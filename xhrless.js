@@ -10,6 +10,7 @@
  * ## Installation ##
  * 
  * On the client side (browser) just include the `xhrless.js` script. The constructor function is now available under the name `XHR`.
+ * The minified `xhrless.min.js` is built from it by `npm run build` (terser, the earlier versions were built by Closure Compiler).
  * 
  * In order to use it on the server side (Node.JS), install `xhrless` package using **npm**: `npm install xhrless`.
  * 
@@ -27,6 +28,12 @@
  * const XHR = require('xhrless');
  * ```
  * 
+ * In Node.JS the requests are sent with the `xhr2` package if it is installed, or with the built-in `http`/`https` modules otherwise.
+ * The transport can be changed with `XHR.transport` and `this.useTransport()`, see `XHR.adapters`.
+ * 
+ * The library supports Node.JS 8 and later, `for await` over `this.stream()` and `this.paginate()` requires Node.JS 10.
+ * The tests (`npm test`) require Node.JS 18 or later.
+ * 
  * 
  * ## Usage and examples ##
  * 
@@ -104,17 +111,24 @@
 	const ENV_BROWSER = (typeof window == 'object') && (typeof document == 'object');
 	const ENV_NODEJS  = (typeof module == 'object') && (typeof require == 'function');
 
-	// Check XMLHttpRequest API
-	if (typeof XMLHttpRequest == 'undefined') {
-		if (ENV_NODEJS) {
-			// Load "xhr2" module implementing XMLHttpRequest v2 API for Node.JS
-			// @ts-ignore
-			XMLHttpRequest = require('xhr2'); // Omiting var keyword: inherit global XMLHttpRequest when in browser API
-			// @ts-ignore
-			['cookie', 'cookie2', 'referer', 'user-agent'].forEach(name => delete(XMLHttpRequest.prototype._restrictedHeaders[name]));
-		} else {
-			throw new Error('XMLHttpRequest is not defined in this environment');
+	// Check the transports available (see XHR.adapters)
+	const HAS_XHR   = (typeof XMLHttpRequest == 'function') || (typeof XMLHttpRequest == 'object');
+	const HAS_FETCH = (typeof fetch == 'function');
+	if (!HAS_XHR && !HAS_FETCH && !ENV_NODEJS)
+		throw new Error('Neither XMLHttpRequest nor fetch is defined in this environment');
+
+	// The "xhr2" module implementing XMLHttpRequest v2 API for Node.JS, loaded on demand by loadXHR2()
+	var NodeXMLHttpRequest = null;
+
+	// Load the "xhr2" module allowing the restricted request headers and the "Set-Cookie" response header
+	function loadXHR2() {
+		if (!NodeXMLHttpRequest) {
+			NodeXMLHttpRequest = require('xhr2');
+			['cookie', 'cookie2', 'referer', 'user-agent'].forEach(name => delete(NodeXMLHttpRequest.prototype._restrictedHeaders[name]));
+			// Expose the "Set-Cookie" response header for the cookie jar (see XHR.CookieJar)
+			['set-cookie', 'set-cookie2'].forEach(name => delete(NodeXMLHttpRequest.prototype._privateHeaders[name]));
 		};
+		return NodeXMLHttpRequest;
 	};
 
 	/**
@@ -127,14 +141,35 @@
 	 * @param {*}      [postData] The POST body to send with request. See this.send(), XMLHttpRequest.send().
 	 * @param {string} [method]   Custom request method. See this.send().
 	 * 
-	 * @property {XMLHttpRequest} xhr      XMLHttpRequest instance
+	 * @property {XMLHttpRequest} xhr      XMLHttpRequest instance (or the object created by the transport)
+	 * @property {function|null}  transport The factory of this.xhr objects, XHR.transport is used if not set. See this.useTransport().
 	 * @property {string}         method   Custom request method. See this.send().
 	 * @property {string}         url      Request URL
+	 * @property {string}         baseURL  Base URL for relative request URLs. See this.requestURL(), XHR.create().
 	 * @property {*}              postData The POST body to send with request. See this.send(), XMLHttpRequest.send().
 	 * @property {string}         userName User name for authentication
 	 * @property {string}         password Password for authentication
 	 * @property {object}         headers  The set of headers to send with request
 	 * @property {object}         data     The set of arbitrary user data key -> value pairs associated with object
+	 * @property {object}         query    The set of query string parameters to merge into the URL. See this.setQuery().
+	 * @property {string}         queryFormat The array serialization format for query parameters. See this.setQueryFormat().
+	 * @property {string}         requestBodyType The request body encoding. See this.bodyType().
+	 * @property {object}         interceptors The instance-level request/response interceptors. See XHR.interceptors.
+	 * @property {*}              interceptorError The error thrown by the last failed interceptor, if any
+	 * @property {object|function|null} responseSchema The response body validator. See this.validate().
+	 * @property {object|null}    schemaError The reason why the response body is rejected by the validator. See this.validate().
+	 * @property {number}         deadline The total time limit for the request including all attempts, milliseconds. See this.setDeadline().
+	 * @property {CookieJar|null} cookieJar The cookie jar to store and send cookies with. See this.useCookieJar().
+	 * @property {Cache|null}     cache    The HTTP response cache for GET requests. See this.useCache().
+	 * @property {string}         cacheStatus How the last response was obtained from the cache: "hit", "stale", "revalidated" or "" (network)
+	 * @property {Scheduler|null} scheduler The request scheduler (deduplication, concurrency limit). See this.useScheduler().
+	 * @property {number}         priority The priority of the request in the scheduler queue. See this.setPriority().
+	 * @property {object|null}    abortSignal The signal (AbortSignal or XHR.CancelToken) used to abort the request. See this.signal().
+	 * @property {boolean|void}   rejectWithError Reject this.promise() with XHRError instead of this. See this.setRejectWithError().
+	 * @property {boolean|void}   autoParse Parse the response text by "Content-Type" response header. See this.setAutoParse().
+	 * @property {object|null}    retryPolicy The retry policy for failed requests. See this.retry().
+	 * @property {object|function|boolean|void} tracer The tracer recording the request. See this.useTracer().
+	 * @property {number}         attempt  The number of the current request attempt, starting from 1. See this.retry().
 	 * 
 	 * @return {XHR} XHR instance
 	 */
@@ -143,16 +178,39 @@
 		if ((typeof this != 'object') || !(this instanceof XHR))
 			return new XHR(url, postData, method);
 		// Called with new keyword
-		this.xhr      = new XMLHttpRequest();
+		this.transport = null;
+		this.xhr      = createXHR(this);
 		// this.reset();
 		this.method   = method   || '';
 		this.url      = url      || '';
 		this.postData = postData || undefined;
+		this.baseURL  = '';
 		// this.httpAuth();
 		this.userName = undefined;
 		this.password = undefined;
 		this.headers  = {};
 		this.data     = {};
+		this.query    = {};
+		this.queryFormat = 'brackets';
+		this.requestBodyType = '';
+		this.interceptors = {request: new Interceptors(), response: new Interceptors()};
+		this.interceptorError = undefined;
+		this.responseSchema = null;
+		this.schemaError = null;
+		this.deadline = 0;
+		this.cookieJar = null;
+		this.cache    = null;
+		this.cacheStatus = '';
+		this.scheduler = null;
+		this.priority = 0;
+		this.abortSignal = null;
+		this.rejectWithError = undefined;
+		this.autoParse = undefined;
+		// this.retry();
+		this.retryPolicy = null;
+		this.attempt  = 0;
+		this.tracer   = undefined;
+		bindXHR(this);
 	};
 
 	/**
@@ -165,6 +223,8 @@
 	XHR.prototype.ERR_CONNECTION = 1; // Connection failed
 	XHR.prototype.ERR_HTTPSTATUS = 2; // HTTP response status code is not 2XX
 	XHR.prototype.ERR_BODYTYPE   = 3; // Unable to parse the response body according to responseType
+	XHR.prototype.ERR_ABORTED    = 4; // Request aborted by this.abort() or by the signal
+	XHR.prototype.ERR_TIMEOUT    = 5; // Request timed out (see this.setTimeout(), this.setDeadline())
 
 	/**
 	 * Set the new method, URL and POST body for the next request
@@ -193,7 +253,8 @@
 	};
 
 	/**
-	 * Set/clear request timeout (this.xhr.timeout), milliseconds
+	 * Set/clear request timeout (this.xhr.timeout), milliseconds.
+	 * It limits every single attempt (see this.retry()), use this.setDeadline() to limit the total time of the request.
 	 * @param {number} [msec]
 	 * @return {XHR} this
 	 */
@@ -202,6 +263,194 @@
 		return this;
 	};
 
+	/**
+	 * Set/clear the total time limit for the request (this.deadline), milliseconds.
+	 * The deadline is counted from this.send() and spans all attempts (see this.retry()), redirects and delays between them.
+	 * When it is exceeded, the request is aborted and completed as failed with this.errorState() == this.ERR_TIMEOUT.
+	 * No retry is scheduled if the delay before it would exceed the deadline.
+	 * 
+	 * ```javascript
+	 * XHR(url).setTimeout(2e3).setDeadline(10e3).retry({count: 10}).promise()
+	 *   .catch( xhr => xhr.errorState() == xhr.ERR_TIMEOUT && console.warn('Timed out after '+xhr.attempt+' attempts') );
+	 * ```
+	 * @param {number} [msec]
+	 * @return {XHR} this
+	 */
+	XHR.prototype.setDeadline = function(msec) {
+		this.deadline = (typeof msec == 'number') && msec > 0 ? msec : 0;
+		return this;
+	};
+
+	/**
+	 * Set/clear the HTTP response cache for GET requests (this.cache).
+	 * 
+	 * The successful responses are stored according to their "Cache-Control", "Expires", "Vary" headers.
+	 * The responses to the requests with credentials ("Authorization" header or this.httpAuth()) are stored only if they are
+	 * marked as "Cache-Control: public".
+	 * While the cached response is fresh, it is returned without network request. When it is stale, the request is sent with
+	 * "If-None-Match"/"If-Modified-Since" headers, and the "304 Not Modified" response is transparently replaced
+	 * with the cached one, so this.status(), this.response(), this.responseText(), this.isSuccessResponse() work as usual.
+	 * The responses are cached only for this.responseType() "", "text" or "json". See this.cacheStatus and XHR.Cache for more.
+	 * If cache is not an object (e.g. undefined) then the cache will be removed.
+	 * 
+	 * ```javascript
+	 * const cache = new XHR.Cache({staleWhileRevalidate: true});
+	 * setInterval(() => XHR(url_stats).responseType('json').useCache(cache).promise().then(render), 5e3);
+	 * ```
+	 * @param {Cache} [cache]
+	 * @return {XHR} this
+	 */
+	XHR.prototype.useCache = function(cache) {
+		this.cache = (typeof cache == 'object') && cache ? cache : null;
+		return this;
+	};
+
+	/**
+	 * Set/clear the request scheduler (this.scheduler).
+	 * 
+	 * The identical GET requests sent through the same scheduler while one of them is in flight share its response:
+	 * only the first one is actually sent, and the rest are completed with the copy of its response.
+	 * When the scheduler runs the max number of requests allowed (see XHR.Scheduler), the requests sent are queued
+	 * by priority (see this.setPriority()) until some of the running requests complete. See XHR.Scheduler for more.
+	 * If scheduler is not an object (e.g. undefined) then the scheduler will be removed.
+	 * 
+	 * ```javascript
+	 * const scheduler = new XHR.Scheduler({concurrency: 4});
+	 * await Promise.all(ids.map(id => XHR(url_item + id).useScheduler(scheduler).promise()));
+	 * ```
+	 * @param {Scheduler} [scheduler]
+	 * @return {XHR} this
+	 */
+	XHR.prototype.useScheduler = function(scheduler) {
+		this.scheduler = (typeof scheduler == 'object') && scheduler ? scheduler : null;
+		return this;
+	};
+
+	/**
+	 * Set the priority of the request in the scheduler queue (this.priority), see this.useScheduler().
+	 * The requests with higher priority are sent first, the requests with equal priority are sent in order.
+	 * @param {number} [priority=0]
+	 * @return {XHR} this
+	 */
+	XHR.prototype.setPriority = function(priority) {
+		this.priority = priority || 0;
+		return this;
+	};
+
+	/**
+	 * Set/clear the transport (this.transport): the factory of XMLHttpRequest-compatible objects used to send requests.
+	 * The factory is called with the XHR instance as argument, the object created replaces this.xhr keeping its settings.
+	 * If transport is not a function (e.g. undefined) then the default transport (XHR.transport) will be used.
+	 * 
+	 * ```javascript
+	 * const mock = new XHR.MockTransport().route('GET', '/api/user', {body: {name: 'test'}});
+	 * XHR('/api/user').useTransport(mock.transport).responseType('json').promise().then(...);
+	 * ```
+	 * @param {function(XHR):XMLHttpRequest} [transport]
+	 * @return {XHR} this
+	 */
+	XHR.prototype.useTransport = function(transport) {
+		this.transport = (typeof transport == 'function') ? transport : null;
+		renewXHR(this);
+		return this;
+	};
+
+	/**
+	 * Set/clear the retry policy for failed requests.
+	 * 
+	 * If the request fails because of connection error (including timeout) or with one of the HTTP status codes listed in options.on
+	 * (or accepted by the options.on function, which is consulted for the non-2XX responses only),
+	 * then it will be transparently re-sent up to options.count times. Every attempt uses a new XMLHttpRequest instance (this.xhr).
+	 * The completion of a failed attempt that is going to be retried is not reported to the handlers set with
+	 * this.onChange(), this.onReady(), this.onSuccess(), this.promise(), they are called for the last attempt only.
+	 * The current attempt number (starting from 1) is available as this.attempt.
+	 * 
+	 * The delay before the N-th retry is options.delay * options.backoff^(N-1) milliseconds, limited by options.maxDelay.
+	 * If the failed response has the "Retry-After" header (seconds or HTTP date) then its value is used instead,
+	 * limited by options.maxDelay as well.
+	 * Aborted requests are never retried.
+	 * If options is not an object (e.g. undefined) then the retry policy will be removed.
+	 * 
+	 * ```javascript
+	 * XHR(url).retry({count: 5, delay: 500, on: [502, 503]}).promise()
+	 *   .then(  xhr => console.log('Succeeded at attempt #'+xhr.attempt, xhr.response()) )
+	 *   .catch( xhr => console.warn(xhr.url, xhr.errorState(true)) );
+	 * ```
+	 * @param {object} [options]
+	 * @param {number} [options.count=3]       Max number of retries (not including the first attempt)
+	 * @param {number} [options.delay=1000]    Delay before the first retry, milliseconds
+	 * @param {number} [options.backoff=2]     Delay multiplier for every next retry
+	 * @param {number} [options.maxDelay=30000] Max delay between attempts, milliseconds
+	 * @param {number[]|function(XHR):boolean} [options.on=[429,502,503,504]] HTTP status codes to retry on or a function deciding it for the failed response
+	 * @return {XHR} this
+	 */
+	XHR.prototype.retry = function(options) {
+		if ((typeof options == 'object') && options)
+			this.retryPolicy = {
+				count:    (typeof options.count    == 'number') && options.count    >= 0 ? options.count    : 3,
+				delay:    (typeof options.delay    == 'number') && options.delay    >= 0 ? options.delay    : 1000,
+				backoff:  (typeof options.backoff  == 'number') && options.backoff  >  0 ? options.backoff  : 2,
+				maxDelay: (typeof options.maxDelay == 'number') && options.maxDelay >= 0 ? options.maxDelay : 30000,
+				on:       (typeof options.on == 'function') ? options.on : Array.isArray(options.on) ? options.on.slice() : [429, 502, 503, 504],
+			};
+		else
+			this.retryPolicy = null;
+		return this;
+	};
+
+	/**
+	 * Set/clear the flag making this.promise() reject with XHRError (see this.error()) instead of the XHR instance.
+	 * If enable is not a boolean (e.g. undefined) then the global default XHR.rejectWithError is used.
+	 * @param {boolean} [enable]
+	 * @return {XHR} this
+	 */
+	XHR.prototype.setRejectWithError = function(enable) {
+		this.rejectWithError = (typeof enable == 'boolean') ? enable : undefined;
+		return this;
+	};
+
+	/**
+	 * Set/clear the flag making the response text parsed on completion by "Content-Type" response header
+	 * if this.xhr.responseType is empty (see XHR.parsers), so this.response() returns the parsed body instead of the text.
+	 * The body is always parsed if the validator is set (see this.validate()).
+	 * If enable is not a boolean (e.g. undefined) then the global default XHR.autoParse is used.
+	 * 
+	 * ```javascript
+	 * XHR(url_csv).setAutoParse(true).promise().then(xhr => xhr.response().forEach(row => console.log(row[0])));
+	 * ```
+	 * @param {boolean} [enable]
+	 * @return {XHR} this
+	 */
+	XHR.prototype.setAutoParse = function(enable) {
+		this.autoParse = (typeof enable == 'boolean') ? enable : undefined;
+		return this;
+	};
+
+	/**
+	 * Set/clear the signal used to abort the request (this.abortSignal).
+	 * 
+	 * The signal is either the standard AbortSignal (see AbortController) or XHR.CancelToken for environments without it.
+	 * When the signal is aborted, this.abort() is called for the request in progress. If the signal is already aborted
+	 * when this.send() is called, then the request is not sent and it is completed as aborted immediately.
+	 * The same signal can be shared by any number of requests, so they can be aborted at once.
+	 * If signal is not an object (e.g. undefined) then the signal will be removed.
+	 * 
+	 * ```javascript
+	 * const controller = new AbortController();
+	 * XHR(url1).signal(controller.signal).promise().catch(xhr => xhr.errorState() == xhr.ERR_ABORTED && console.log('Aborted'));
+	 * XHR(url2).signal(controller.signal).promise();
+	 * controller.abort(); // Abort both
+	 * ```
+	 * @param {AbortSignal|CancelToken} [signal]
+	 * @return {XHR} this
+	 */
+	XHR.prototype.signal = function(signal) {
+		unbindSignal(this);
+		this.abortSignal = (typeof signal == 'object') && signal ? signal : null;
+		this._pending && bindSignal(this);
+		return this;
+	};
+
 	/**
 	 * Add (name -> value) pair into this.data.
 	 * The name should be a non empty string.
@@ -236,6 +485,93 @@
 		return this;
 	};
 
+	/**
+	 * Add query string parameter to this.query. Parameters are merged into the URL when sending request. See this.requestURL().
+	 * The name should be a non empty string.
+	 * The value can be a scalar, a Date, an array or a nested object (see this.setQueryFormat() for serialization rules).
+	 * If the value is undefined then this.query[name] will be removed.
+	 * @param {string} name
+	 * @param {*} [value]
+	 * @return {XHR} this
+	 */
+	XHR.prototype.setQuery = function(name, value) {
+		if ((typeof name == 'string') && name.length)
+			if (value !== undefined)
+				this.query[name] = value;
+			else if (this.query.hasOwnProperty(name))
+				delete(this.query[name]);
+		return this;
+	};
+
+	/**
+	 * Add the set of query string parameters to this.query. See this.setQuery().
+	 * If params is an object then its name -> value pairs are passed to this.setQuery() one by one.
+	 * If not (e.g. undefined) then remove all query string parameters.
+	 * @param {object} [params]
+	 * @return {XHR} this
+	 */
+	XHR.prototype.setQueryParams = function(params) {
+		if ((typeof params == 'object') && params) {
+			for (let name in params)
+				if (params.hasOwnProperty(name))
+					this.setQuery(name, params[name]);
+		} else {
+			this.query = {};
+		};
+		return this;
+	};
+
+	/**
+	 * Set the serialization format for the array values of query string parameters.
+	 * Possible values are: "brackets" (default, `a[]=1&a[]=2`), "indices" (`a[0]=1&a[1]=2`), "repeat" (`a=1&a=2`).
+	 * Nested objects are always serialized using bracket nesting (`a[b][c]=1`).
+	 * @param {string} [format]
+	 * @return {XHR} this
+	 */
+	XHR.prototype.setQueryFormat = function(format) {
+		this.queryFormat = (format == 'indices' || format == 'repeat') ? format : 'brackets';
+		return this;
+	};
+
+	/**
+	 * Get the request URL (this.url) with the query string parameters (this.query) merged into it.
+	 * If this.baseURL is set and this.url is relative (has no scheme, e.g. "users/1" or "/users/1") then they are joined
+	 * with a single slash between them. The empty this.url means this.baseURL itself.
+	 * The parameters are appended to the existing query string of the URL, the URL fragment is kept at the end.
+	 * @return {string}
+	 */
+	XHR.prototype.requestURL = function() {
+		const fullURL = !this.baseURL || /^([a-z][a-z\d+.-]*:)?\/\//i.test(this.url) ? this.url
+				: this.url ? this.baseURL.replace(/\/+$/, '') + '/' + this.url.replace(/^\/+/, '') : this.baseURL,
+			query = encodeQuery(this.query, this.queryFormat);
+		if (!query)
+			return fullURL;
+		const iHash = fullURL.indexOf('#'),
+			url  = iHash < 0 ? fullURL : fullURL.substr(0, iHash),
+			hash = iHash < 0 ? '' : fullURL.substr(iHash);
+		return url + (url.indexOf('?') < 0 ? '?' : /[?&]$/.test(url) ? '' : '&') + query + hash;
+	};
+
+	// Serialize the set of query parameters into URL-encoded string using the given array format
+	function encodeQuery(params, format, prefix) {
+		var encoded = [];
+		for (let name in params) {
+			if (!params.hasOwnProperty(name) || params[name] === undefined)
+				continue;
+			const value = params[name],
+				key = prefix === undefined ? name
+					: Array.isArray(params) ? prefix + (format == 'indices' ? '[' + name + ']' : format == 'repeat' ? '' : '[]')
+					: prefix + '[' + name + ']';
+			if (value instanceof Date)
+				encoded.push(encodeURIComponent(key) + '=' + encodeURIComponent(value.toISOString()));
+			else if ((typeof value == 'object') && value)
+				encoded.push(encodeQuery(value, format, key));
+			else
+				encoded.push(encodeURIComponent(key) + '=' + encodeURIComponent(value === null ? '' : String(value)));
+		};
+		return encoded.filter(item => item.length).join('&');
+	};
+
 	// Setting cookies does not work in browser. Node.JS environment required for this to work:
 
 	/**
@@ -281,6 +617,49 @@
 		return this;
 	};
 
+	/**
+	 * Set/clear the cookie jar (this.cookieJar).
+	 * 
+	 * The cookies from the "Set-Cookie" response headers are stored into the jar, and the matching cookies from the jar
+	 * (by domain, path, expiry, secure attributes) are sent with every request in the "Cookie" header,
+	 * in addition to the cookies set by this.setCookie(). The same jar can be shared by any number of XHR instances.
+	 * The jar is either XHR.CookieJar instance or any object implementing its setCookie(header, url) and getCookieHeader(url) methods.
+	 * If jar is not an object (e.g. undefined) then the cookie jar will be removed.
+	 * 
+	 * > Requires Node.JS API.
+	 * 
+	 * ```javascript
+	 * const jar = XHR.CookieJar.load('cookies.json');
+	 * await XHR(url_login, {user, password}).bodyType('form').useCookieJar(jar).promise();
+	 * await XHR(url_profile).useCookieJar(jar).promise();
+	 * jar.save('cookies.json');
+	 * ```
+	 * @param {CookieJar} [jar]
+	 * @return {XHR} this
+	 */
+	XHR.prototype.useCookieJar = function(jar) {
+		this.cookieJar = (typeof jar == 'object') && jar ? jar : null;
+		return this;
+	};
+
+	/**
+	 * Set/clear the tracer recording the request (this.tracer): the object with record(entry, xhr) method
+	 * (e.g. XHR.ConsoleTracer, XHR.TraceLog) or the function(entry, xhr).
+	 * The entry is recorded every time the request is completed (once per this.send(), after all attempts). See XHR.useTracer().
+	 * If tracer is false then the request is not traced. Otherwise (e.g. undefined) the global tracer XHR.tracer is used.
+	 * 
+	 * ```javascript
+	 * const log = new XHR.TraceLog();
+	 * await XHR(url_checkout, order).bodyType('json').useTracer(log).promise().finally(() => log.save('checkout.har'));
+	 * ```
+	 * @param {object|function(object, XHR)|boolean} [tracer]
+	 * @return {XHR} this
+	 */
+	XHR.prototype.useTracer = function(tracer) {
+		this.tracer = ((typeof tracer == 'object') && tracer) || (typeof tracer == 'function') || (tracer === false) ? tracer : undefined;
+		return this;
+	};
+
 	// =========================================================================
 
 	/**
@@ -290,12 +669,82 @@
 	 * The first argument for any callback is also an `XHR` instance (the same as `this`).
 	 * It allows the caller to use promises and arrow functions where `this` reference is always inherited from the caller scope.
 	 * 
-	 * The handlers set with `this.onChange`, `this.onReady`, `this.onSuccess`, `this.promise` will overwrite each other,
-	 * because all of them are internally assigned to `this.xhr.onreadystatechange`.
+	 * The handlers are added with `this.on()` (the methods like `this.onReady()`, `this.onSuccess()`, `this.promise()` use it too),
+	 * they accumulate and are called in the order of registration.
+	 */
+
+	/**
+	 * Add the event handler. The handler(this, ...) is called every time the event occurs, until it is removed by this.off().
+	 * The handler throwing an error does not stop the other handlers, the error is passed to the global handler
+	 * set by XHR.onHandlerError(), or rethrown asynchronously without it.
+	 * The event types:
+	 * 
+	 * - "change": every time this.xhr.readyState is changed, see this.onChange()
+	 * - "success": the request is completed successfully (see this.isSuccessResponse())
+	 * - "error": the request is failed (see this.errorState())
+	 * - "ready": the request is completed, regardless of errors (after "success" or "error"), see this.onReady()
+	 * - "timeout": the request is failed with this.ERR_TIMEOUT (before "change", "error" and "ready"), see this.onTimeout()
+	 * - "progress": the next part of the response body is received, handler(this, progress), see this.onDownloadProgress()
+	 * - "uploadprogress": the next part of the request body is sent, handler(this, progress), see this.onUploadProgress()
+	 * 
+	 * ```javascript
+	 * XHR(url).on('ready', log).on('success', xhr => render(xhr.response())).on('error', xhr => alert(xhr.errorState(true))).send();
+	 * ```
+	 * @param {string} type
+	 * @param {function(XHR, ...*)} handler
+	 * @return {XHR} this
+	 */
+	XHR.prototype.on = function(type, handler) {
+		if ((typeof type == 'string') && (typeof handler == 'function')) {
+			this._listeners = this._listeners || {};
+			(this._listeners[type] = this._listeners[type] || []).push(handler);
+			(type == 'uploadprogress') && bindUploadProgress(this);
+		};
+		return this;
+	};
+
+	/**
+	 * Add the event handler called once, the next time the event occurs. See this.on().
+	 * @param {string} type
+	 * @param {function(XHR, ...*)} handler
+	 * @return {XHR} this
+	 */
+	XHR.prototype.once = function(type, handler) {
+		if (typeof handler != 'function')
+			return this;
+		const wrapper = function() {
+			this.off(type, wrapper);
+			return handler.apply(this, arguments);
+		};
+		wrapper.handler = handler;
+		return this.on(type, wrapper);
+	};
+
+	/**
+	 * Remove the event handler added by this.on() or this.once().
+	 * If handler is not a function then remove all handlers of the type. If type is not a string then remove all handlers.
+	 * @param {string} [type]
+	 * @param {function(XHR, ...*)} [handler]
+	 * @return {XHR} this
 	 */
+	XHR.prototype.off = function(type, handler) {
+		if (!this._listeners)
+			return this;
+		if (typeof type != 'string')
+			this._listeners = {};
+		else if (typeof handler != 'function')
+			delete(this._listeners[type]);
+		else if (this._listeners[type])
+			this._listeners[type] = this._listeners[type].filter(item => item !== handler && item.handler !== handler);
+		bindUploadProgress(this);
+		return this;
+	};
 
 	/**
-	 * Set request timeout event handler (this.xhr.ontimeout)
+	 * Add request timeout event handler, the same as this.on("timeout", handler).
+	 * The handler is called once when the request fails with this.errorState() == this.ERR_TIMEOUT
+	 * (see this.setTimeout(), this.setDeadline()), right before the handlers added with
+	 * this.onChange(), this.onReady(), this.onSuccess(), this.promise(), which are called as for any other failure.
 	 * 
 	 * ```javascript
 	 * XHR(url).setTimeout(5e3).onTimeout(function(xhr) {
@@ -306,12 +755,72 @@
 	 * @return {XHR} this
 	 */
 	XHR.prototype.onTimeout = function(handler) {
-		this.xhr.ontimeout = (event) => (typeof handler == 'function') && handler.call(this, this);
+		return this.on('timeout', handler);
+	};
+
+	/**
+	 * Add the upload progress event handler (this.xhr.upload.onprogress), the same as this.on("uploadprogress", handler).
+	 * The handler(this, progress) is called while the request body is being sent, see this.onDownloadProgress() for the progress object.
+	 * The "xhr2", "fetch" and "http" adapters (see XHR.adapters) do not report the upload progress,
+	 * so the handler is called once, when the response headers are received.
+	 * If handler is not a function then all upload progress handlers will be removed.
+	 * @param {function(XHR, object)} [handler]
+	 * @return {XHR} this
+	 */
+	XHR.prototype.onUploadProgress = function(handler) {
+		return (typeof handler == 'function') ? this.on('uploadprogress', handler) : this.off('uploadprogress');
+	};
+
+	/**
+	 * Add the download progress event handler (this.xhr.onprogress), the same as this.on("progress", handler).
+	 * The handler(this, progress) is called every time the next part of the response body is received.
+	 * The progress object has the following properties:
+	 * loaded (bytes), total (bytes, null if unknown), percent (0..100, null if unknown), rate (bytes per second),
+	 * eta (estimated seconds left, null if unknown), attempt (see this.retry()).
+	 * The total is unknown (indeterminate progress) if the response has no "Content-Length" header.
+	 * If handler is not a function then all download progress handlers will be removed.
+	 * 
+	 * ```javascript
+	 * XHR(url).onDownloadProgress((xhr, p) => console.log(p.percent === null ? p.loaded + ' bytes' : p.percent.toFixed(1) + '%')).promise();
+	 * ```
+	 * @param {function(XHR, object)} [handler]
+	 * @return {XHR} this
+	 */
+	XHR.prototype.onDownloadProgress = function(handler) {
+		return (typeof handler == 'function') ? this.on('progress', handler) : this.off('progress');
+	};
+
+	/**
+	 * Set the response body chunk handler. The handler(this, chunk) is called while the response body is being received
+	 * (this.xhr.readyState == LOADING) and once more when it is completed, with the parts of body received since the last call.
+	 * The chunks are reported for the responses with 2XX status only, this.xhr.responseType must be "" or "text".
+	 * The attempts re-sent by the retry policy (see this.retry()) report their chunks from the start of body.
+	 * The "xhr2" adapter (see XHR.adapters) makes the response body available only when it is completed.
+	 * The "http", "fetch" adapters and XHR.MockTransport do not keep the body reported to the handler (unless this.cache is set),
+	 * so this.responseText() and this.response() are empty for it and the memory used does not grow with the body size.
+	 * If handler is not a function then the handler will be removed.
+	 * 
+	 * The mode defines the chunks reported:
+	 * 
+	 * - "text": the text received since the last call (default)
+	 * - "lines": every complete line of text, without line terminator
+	 * - "ndjson": every non-empty line parsed as JSON. If the line is not a valid JSON, the request is aborted.
+	 * 
+	 * ```javascript
+	 * XHR(url_export).onChunk((xhr, row) => table.addRow(row), 'ndjson').promise().then(() => table.done());
+	 * ```
+	 * @param {function(XHR, *)} [handler]
+	 * @param {string} [mode="text"]
+	 * @return {XHR} this
+	 */
+	XHR.prototype.onChunk = function(handler, mode) {
+		this._chunkHandler = (typeof handler == 'function') ? handler : null;
+		this._chunkMode = mode || 'text';
 		return this;
 	};
 
 	/**
-	 * Set this.xhr.onreadystatechange event handler.
+	 * Add this.xhr.onreadystatechange event handler, the same as this.on("change", handler).
 	 * The handler will be called several times during request, every time when the this.xhr.readyState changed.
 	 * 
 	 * ```javascript
@@ -329,13 +838,13 @@
 	 * @return {XHR} this
 	 */
 	XHR.prototype.onChange = function(handler) {
-		this.xhr.onreadystatechange = (event) => (typeof handler == 'function') && handler.call(this, this);
-		return this;
+		return this.on('change', handler);
 	};
 
 	/**
-	 * Set this.xhr.onreadystatechange event handler for this.xhr.readyState == XMLHttpRequest.DONE event.
-	 * The nandler will be called once when the request completes/fails, regardless of errors.
+	 * Add this.xhr.onreadystatechange event handler for this.xhr.readyState == XMLHttpRequest.DONE event,
+	 * the same as this.on("ready", handler).
+	 * The handler will be called once when the request completes/fails, regardless of errors.
 	 * 
 	 * ```javascript
 	 * XHR(url).onReady(xhr => {
@@ -350,12 +859,12 @@
 	 * @return {XHR} this
 	 */
 	XHR.prototype.onReady = function(handler) {
-		this.xhr.onreadystatechange = (event) => this.isCompleted() && (typeof handler == 'function') && handler.call(this, this);
-		return this;
+		return this.on('ready', handler);
 	};
 
 	/**
-	 * Set this.xhr.onreadystatechange event handlers for this.xhr.readyState == XMLHttpRequest.DONE event.
+	 * Add this.xhr.onreadystatechange event handlers for this.xhr.readyState == XMLHttpRequest.DONE event,
+	 * the same as this.on("success", successHandler).on("error", errorHandler).
 	 * For success responses the successHandler(this) will be called. For error responses the errorHandler(this) will be called.
 	 * Both successHandler and errorHandler can be omitted.
 	 * 
@@ -375,20 +884,15 @@
 	 * @return {XHR} this
 	 */
 	XHR.prototype.onSuccess = function(successHandler, errorHandler) {
-		this.xhr.onreadystatechange = (event) => {
-			if (this.isCompleted())
-				if (this.isSuccessResponse())
-					(typeof successHandler == 'function') && successHandler.call(this, this);
-				else
-					(typeof errorHandler   == 'function') && errorHandler.call(this, this);
-		};
-		return this;
+		return this.on('success', successHandler).on('error', errorHandler);
 	};
 
 	/**
 	 * Send request and return the Promise.
 	 * The promise will be resolved when request is succeeded. It will be rejected for error responses.
-	 * The XHR instance (this) will be passed as first argument to resolve/reject callbacks.
+	 * The XHR instance (this) will be passed as first argument to resolve callbacks.
+	 * The reject callbacks get the XHR instance (this) too, or the XHRError instance (see this.error())
+	 * if this.setRejectWithError(true) is called or XHR.rejectWithError is set to true.
 	 * 
 	 * > See this.send() and this.isSuccessResponse() for more.
 	 * 
@@ -396,74 +900,422 @@
 	 * XHR(url).promise()
 	 *   .then(  xhr => console.log(xhr.response()) )
 	 *   .catch( xhr => console.warn(xhr.url, xhr.errorState(true)) );
+	 * 
+	 * try {
+	 *   console.log((await XHR(url).setRejectWithError(true).promise()).response());
+	 * } catch (e) {
+	 *   if (e instanceof XHR.HTTPStatusError && e.status == 404) ...
+	 * }
 	 * ```
 	 * @param {*} [postData]
 	 * @return {Promise}
 	 */
 	XHR.prototype.promise = function(postData) {
 		return new Promise((resolve, reject) => {
-			this.xhr.onreadystatechange = (event) => {
-				if (this.isCompleted())
-					if (this.isSuccessResponse())
-						resolve(this);
-					else
-						reject(this);
-			};
+			this.once('ready', () => {
+				if (this.isSuccessResponse())
+					resolve(this);
+				else
+					reject((this.rejectWithError === undefined ? XHR.rejectWithError : this.rejectWithError) ? this.error() : this);
+			});
 			this.send(postData);
 		});
 	};
 
-	// =========================================================================
-	/** ## The wrappers for XMLHttpRequest properties and methods ## */
-
 	/**
-	 * Get the ready state (e.g. XMLHttpRequest.DONE)
-	 * @return {number} this.xhr.readyState
+	 * Send request and return the async iterator of the response body chunks (see this.onChunk() for the modes).
+	 * The iteration ends when the request is succeeded. The iterator throws the same value as this.promise() is rejected with
+	 * for error responses, or the SyntaxError for invalid JSON line in "ndjson" mode.
+	 * The request is aborted if the iteration is stopped before the end (e.g. by break statement).
+	 * This overwrites the previously installed chunk handler.
+	 * 
+	 * ```javascript
+	 * for await (const line of XHR(url_log).stream('lines'))
+	 *   console.log(line);
+	 * ```
+	 * @param {string} [mode="text"]
+	 * @param {*} [postData]
+	 * @return {AsyncIterableIterator}
 	 */
-	XHR.prototype.readyState = function() {
-		return this.xhr.readyState;
+	XHR.prototype.stream = function(mode, postData) {
+		const chunks = [], waiting = [], state = {done: false, failed: false, error: undefined};
+		// Resolve the pending next() calls with the chunks received or with the end of iteration
+		const settle = () => {
+			while (waiting.length && (chunks.length || state.done)) {
+				const next = waiting.shift();
+				if (chunks.length)
+					next.resolve({value: chunks.shift(), done: false});
+				else if (state.failed)
+					state.failed = false, next.reject(state.error);
+				else
+					next.resolve({value: undefined, done: true});
+			};
+		};
+		this.onChunk((xhr, chunk) => (chunks.push(chunk), settle()), mode);
+		this.promise(postData).then(() => {
+			state.done = true;
+			settle();
+		}, error => {
+			Object.assign(state, {done: true, failed: true, error: this._streamError || error});
+			settle();
+		});
+		const iterator = {
+			next: () => new Promise((resolve, reject) => (waiting.push({resolve: resolve, reject: reject}), settle())),
+			return: (value) => {
+				state.done || this.abort();
+				chunks.length = 0;
+				state.done = true;
+				state.failed = false;
+				return Promise.resolve({value: value, done: true});
+			},
+		};
+		// Symbol.asyncIterator is missing before Node.JS 10
+		Symbol.asyncIterator && (iterator[Symbol.asyncIterator] = () => iterator);
+		return iterator;
 	};
 
 	/**
-	 * Get the HTTP response status code
-	 * @return {number} this.xhr.status
+	 * Send request and write the response body into the writable stream (e.g. fs.createWriteStream()) while it is being received.
+	 * The stream is ended when the request is succeeded. The promise returned is resolved and rejected the same way as
+	 * this.promise() is. The body is written for the responses with 2XX status only.
+	 * With the "http", "fetch" adapters and XHR.MockTransport (see XHR.adapters) the body is written as is (Buffer),
+	 * with the others it is written as UTF-8 text, so this.xhr.responseType must be "" or "text".
+	 * When the stream is full (its write() returns false), the "http" and "fetch" adapters stop receiving the body
+	 * until the stream is drained. If the request fails or is aborted then the stream is destroyed with this.error(),
+	 * the error of the stream aborts the request.
+	 * This overwrites the previously installed chunk handler.
+	 * 
+	 * > Requires Node.JS API.
+	 * 
+	 * ```javascript
+	 * await XHR(url_export).useTransport(XHR.adapters.http).pipe(fs.createWriteStream('export.ndjson'));
+	 * ```
+	 * @param {object} writable The stream.Writable
+	 * @param {object} [options]
+	 * @param {boolean} [options.end=true] End the stream when the request is succeeded
+	 * @param {*} [postData]
+	 * @return {Promise}
 	 */
-	XHR.prototype.status = function() {
-		return this.xhr.status;
+	XHR.prototype.pipe = function(writable, options, postData) {
+		const end = !options || options.end !== false,
+			onError = () => this.abort();
+		writable.on('error', onError);
+		this.onChunk((xhr, chunk) => writable.write(chunk) ? undefined : new Promise(resolve => writable.once('drain', resolve)), 'buffer');
+		return this.promise(postData).then(xhr => {
+			writable.removeListener('error', onError);
+			end && writable.end();
+			return xhr;
+		}, error => {
+			// The error listener is kept, so the error emitted by destroy() is not reported as uncaught
+			writable.destroyed || writable.destroy(this.error());
+			throw error;
+		});
 	};
 
 	/**
-	 * Get all response headers separated by CRLF
-	 * @return {string} this.xhr.getAllResponseHeaders()
+	 * Iterate the paginated resource: send the request for every page and return the async iterator of the items
+	 * (or of the pages). The requests for the pages are the copies of this request: the same method, body, headers,
+	 * auth, cookies (see this.useCookieJar()), query parameters and other settings, this request itself is not sent.
+	 * The iteration ends when there is no next page, when the limit (strategy.maxPages, strategy.maxItems) is reached,
+	 * or when the request for the page fails (this.errorState() is not this.ERR_NONE, see iterator.request).
+	 * The request in progress is aborted if the iteration is stopped before the end (e.g. by break statement).
+	 * 
+	 * The strategy is either the strategy type, the function or the object with the following options:
+	 * 
+	 * - type: "link" (default) - follow the rel="next" URL of "Link" response header
+	 * - type: "cursor" - send the cursor found in the response body (strategy.cursor) as strategy.param query parameter ("cursor")
+	 * - type: "page" - send the page number as strategy.param query parameter ("page"), starting from strategy.start (1)
+	 * - type: "offset" - send the number of items received as strategy.param query parameter ("offset"), starting from strategy.start (0)
+	 * - next: function(xhr, items) returning the next page URL (string), the query parameters to set (object) or null,
+	 *   used instead of the strategy type
+	 * - cursor: the path of the next page cursor in the response body ("next_cursor") or function(body, xhr), for the "cursor" type
+	 * - items: the path of the items array in the response body (e.g. "data.users") or function(body, xhr).
+	 *   By default the body itself (if it is an array) or its items/data/results property is used.
+	 * - limit, limitParam: the page size, sent as limitParam query parameter ("limit") for the "page" and "offset" types.
+	 *   The page with less items is the last one. Without limit the empty page is the last one.
+	 * - pages: yield the pages (the XHR instances of completed requests) instead of the items
+	 * - maxPages, maxItems: the max number of pages requested / items yielded
+	 * 
+	 * The response body is taken by xhr.response(), so set this.responseType("json"), this.setAutoParse(true) or this.validate() to get it parsed.
+	 * 
+	 * ```javascript
+	 * for await (const user of XHR(url_users).responseType('json').paginate({type: 'cursor', cursor: 'meta.next', maxItems: 500}))
+	 *   console.log(user.name);
+	 * 
+	 * const pages = XHR(url_issues).responseType('json').paginate({pages: true});
+	 * for await (const page of pages)
+	 *   render(page.response());
+	 * pages.request.errorState() && console.warn(pages.request.errorState(true));
+	 * ```
+	 * @param {string|function(XHR, Array):(string|object|null)|object} [strategy="link"]
+	 * @return {AsyncIterableIterator} The iterator, its request property is the request for the last page
 	 */
-	XHR.prototype.responseHeaders = function() {
-		return this.xhr.getAllResponseHeaders();
+	XHR.prototype.paginate = function(strategy) {
+		strategy = (typeof strategy == 'string') ? {type: strategy} : (typeof strategy == 'function') ? {next: strategy}
+			: (typeof strategy == 'object') && strategy ? strategy : {};
+		const type = strategy.type || 'link', limit = strategy.limit > 0 ? strategy.limit : 0,
+			param = strategy.param || (type == 'link' ? '' : type),
+			state = {next: {}, number: 0, pages: 0, items: 0, done: false, buffer: [], queue: Promise.resolve()};
+		// Get the query parameters for the page number (or offset) given
+		const pageQuery = (number) => {
+			const query = {};
+			query[param] = number;
+			limit && (query[strategy.limitParam || 'limit'] = limit);
+			return query;
+		};
+		if (type == 'page' || type == 'offset') {
+			state.number = (typeof strategy.start == 'number') ? strategy.start : (type == 'page' ? 1 : 0);
+			state.next = {query: pageQuery(state.number)};
+		};
+		// Find the next page by the completed request
+		const nextPage = (request, items) => {
+			if (typeof strategy.next == 'function') {
+				const next = strategy.next.call(this, request, items);
+				return (typeof next == 'string') ? nextURL(request, next) : (typeof next == 'object') && next ? {query: next} : null;
+			} else if (type == 'link') {
+				const next = parseLinks(request.responseHeader('Link')).next;
+				return next ? nextURL(request, next) : null;
+			} else if (type == 'cursor') {
+				const cursor = valueAt(request, strategy.cursor || 'next_cursor'), query = {};
+				query[param] = cursor;
+				return (cursor === undefined || cursor === null || cursor === '') ? null : {query: query};
+			};
+			if (!items.length || (limit && items.length < limit))
+				return null;
+			state.number += (type == 'page') ? 1 : items.length;
+			return {query: pageQuery(state.number)};
+		};
+		// Request the next page and fill the buffer, resolve with the next iteration result
+		const step = () => {
+			if (state.buffer.length)
+				return {value: state.buffer.shift(), done: false};
+			if (state.done || !state.next || (strategy.maxPages > 0 && state.pages >= strategy.maxPages)
+				|| (strategy.maxItems > 0 && state.items >= strategy.maxItems)) {
+				state.done = true;
+				return {value: undefined, done: true};
+			};
+			const request = iterator.request = copyRequest(this, state.next);
+			state.pages++;
+			return request.promise().then(() => {
+				if (state.done)
+					return;
+				var items = valueAt(request, strategy.items);
+				items = Array.isArray(items) ? items : [];
+				state.next = nextPage(request, items);
+				if (strategy.pages)
+					return state.buffer.push(request);
+				items = (strategy.maxItems > 0) ? items.slice(0, strategy.maxItems - state.items) : items;
+				state.items += items.length;
+				state.buffer.push.apply(state.buffer, items);
+			}, () => state.done = true).then(step);
+		};
+		const iterator = {
+			request: null,
+			next: () => state.queue = state.queue.then(step),
+			return: (value) => {
+				state.done || (iterator.request && iterator.request.abort());
+				state.done = true;
+				state.buffer.length = 0;
+				return Promise.resolve({value: value, done: true});
+			},
+		};
+		Symbol.asyncIterator && (iterator[Symbol.asyncIterator] = () => iterator);
+		return iterator;
 	};
 
-	/**
-	 * Get the value of the response header by name
-	 * @param {string} name
-	 * @return {string|void} this.xhr.getResponseHeader(name)
-	 */
-	XHR.prototype.responseHeader = function(name) {
-		return this.xhr.getResponseHeader(name);
+	// Create the copy of the request (its settings, headers, interceptors, transport etc, but not the event handlers)
+	// with the URL or the query parameters replaced, e.g. for the next page (see this.paginate()) or for revalidation of the cache entry.
+	// The URL given is the complete one (see this.requestURL()), so the base URL and the query parameters are not applied to it.
+	function copyRequest(self, next) {
+		const request = new XHR(next.url || self.url, self.postData, self.method);
+		self.transport && request.useTransport(self.transport);
+		request.baseURL  = next.url ? '' : self.baseURL;
+		request.userName = self.userName;
+		request.password = self.password;
+		request.headers  = Object.assign({}, self.headers);
+		request.data     = Object.assign({}, self.data);
+		request.query    = next.url ? {} : Object.assign({}, self.query, next.query);
+		['queryFormat', 'requestBodyType', 'deadline', 'cookieJar', 'cache', 'scheduler', 'priority', 'abortSignal',
+			'rejectWithError', 'autoParse', 'retryPolicy', 'responseSchema', 'tracer'].forEach(key => request[key] = self[key]);
+		['request', 'response'].forEach(type => request.interceptors[type].handlers = self.interceptors[type].handlers.slice());
+		request.xhr.timeout = self.xhr.timeout;
+		request.xhr.withCredentials = self.xhr.withCredentials;
+		return request.responseType(self.responseType());
 	};
 
-	/**
+	// Resolve the next page URL relative to the URL of the completed request (after redirects). See this.paginate().
+	function nextURL(request, url) {
+		const parsed = parseURL(url, request.xhr.responseURL || request.requestURL());
+		return parsed ? {url: parsed.href} : null;
+	};
+
+	// Get the value from the response body by path ("a.b.c") or by function(body, xhr). See this.paginate().
+	// Without path return the body itself if it is an array, or its items/data/results property.
+	function valueAt(request, path) {
+		const body = request.response();
+		if (typeof path == 'function')
+			return path.call(request, body, request);
+		if (typeof path == 'string')
+			return path.split('.').reduce((value, key) => (typeof value == 'object') && value ? value[key] : undefined, body);
+		return Array.isArray(body) ? body : isPlainObject(body) ? ['items', 'data', 'results'].map(key => body[key]).filter(Array.isArray)[0] : undefined;
+	};
+
+	// Parse the "Link" header into the rel -> URL map
+	function parseLinks(header) {
+		const links = {};
+		[].concat(header || []).join(',').replace(/<([^>]*)>((?:\s*;\s*[^;,]+)*)/g, (match, url, params) => {
+			const rel = /;\s*rel\s*=\s*(?:"([^"]*)"|([^\s;,]+))/i.exec(params);
+			rel && (rel[1] || rel[2]).split(/\s+/).forEach(name => links[name.toLowerCase()] || (links[name.toLowerCase()] = url));
+			return match;
+		});
+		return links;
+	};
+
+	// =========================================================================
+	/**
+	 * ## Interceptors ##
+	 * 
+	 * The interceptors are the functions called before the request is sent and after it is completed.
+	 * There are global interceptors (XHR.interceptors) applied to all requests and instance-level ones (this.interceptors).
+	 * The global interceptors are called first, then the instance-level ones, in the order they were added.
+	 * Every interceptor is called as interceptor.call(xhr, xhr) and can return a Promise, the next one is called when it is resolved.
+	 * 
+	 * The request interceptors are called by this.send() before this.xhr.open(), so they can modify the request (URL, headers, etc).
+	 * If a request interceptor returns an object (a synthetic response, e.g. `{status: 200, headers: {...}, body: ...}`),
+	 * then the request is not sent at all and it is completed with this response.
+	 * 
+	 * The response interceptors are called when the request is completed, before the handlers set with
+	 * this.onChange(), this.onReady(), this.onSuccess(), this.promise(). If a response interceptor returns an object,
+	 * then its "status", "headers" and "body" properties override the corresponding parts of the response,
+	 * see this.status(), this.responseHeader(), this.response(). A response interceptor can also re-send the request
+	 * calling this.replay(), in which case the handlers will be called for the replayed request.
+	 * 
+	 * If an interceptor throws (or returns a rejected Promise) then the request fails with connection error (status 0)
+	 * and the error is saved in this.interceptorError.
+	 * 
+	 * ```javascript
+	 * XHR.interceptors.request.use(xhr => xhr.setHeader('Authorization', 'Bearer ' + auth.token));
+	 * XHR.interceptors.response.use(async xhr => {
+	 *   if (xhr.status() == 401 && !xhr.data.replayed) {
+	 *     await auth.refresh();
+	 *     xhr.setData('replayed', true).replay();
+	 *   }
+	 * });
+	 * XHR(url).responseType('json').interceptors.response.use(xhr => xhr.isSuccessResponse() && {body: xhr.response().data});
+	 * ```
+	 */
+
+	/**
+	 * The list of interceptors. See XHR.interceptors.
+	 * @property {function[]} handlers
+	 */
+	function Interceptors() {
+		this.handlers = [];
+	};
+
+	/**
+	 * Add the interceptor to the end of the list
+	 * @param {function(XHR):*} handler
+	 * @return {Interceptors} this
+	 */
+	Interceptors.prototype.use = function(handler) {
+		(typeof handler == 'function') && this.handlers.push(handler);
+		return this;
+	};
+
+	/**
+	 * Remove the interceptor from the list
+	 * @param {function(XHR):*} handler
+	 * @return {Interceptors} this
+	 */
+	Interceptors.prototype.eject = function(handler) {
+		this.handlers = this.handlers.filter(item => item !== handler);
+		return this;
+	};
+
+	/**
+	 * Remove all interceptors from the list
+	 * @return {Interceptors} this
+	 */
+	Interceptors.prototype.clear = function() {
+		this.handlers = [];
+		return this;
+	};
+
+	/**
+	 * The global request/response interceptors applied to all requests
+	 * @type {{request: Interceptors, response: Interceptors}}
+	 */
+	XHR.interceptors = {request: new Interceptors(), response: new Interceptors()};
+
+	// =========================================================================
+	/**
+	 * ## The wrappers for XMLHttpRequest properties and methods ##
+	 * 
+	 * The response parts (status, headers, body) returned by these methods can be overridden by interceptors.
+	 * See XHR.interceptors for more.
+	 */
+
+	/**
+	 * Get the ready state (e.g. XMLHttpRequest.DONE)
+	 * @return {number} this.xhr.readyState
+	 */
+	XHR.prototype.readyState = function() {
+		return this._override ? 4 : this.xhr.readyState;
+	};
+
+	/**
+	 * Get the HTTP response status code
+	 * @return {number} this.xhr.status
+	 */
+	XHR.prototype.status = function() {
+		return overrides(this, 'status') ? this._override.status : this.xhr.status;
+	};
+
+	/**
+	 * Get all response headers separated by CRLF
+	 * @return {string} this.xhr.getAllResponseHeaders()
+	 */
+	XHR.prototype.responseHeaders = function() {
+		if (overrides(this, 'headers'))
+			return Object.keys(this._override.headers || {}).map(name => name + ': ' + this._override.headers[name] + '\r\n').join('');
+		return this.xhr.getAllResponseHeaders();
+	};
+
+	/**
+	 * Get the value of the response header by name
+	 * @param {string} name
+	 * @return {string|void} this.xhr.getResponseHeader(name)
+	 */
+	XHR.prototype.responseHeader = function(name) {
+		if (overrides(this, 'headers')) {
+			const value = headerValue(this._override.headers || {}, name);
+			return value === undefined ? null : value;
+		};
+		return this.xhr.getResponseHeader(name);
+	};
+
+	/**
 	 * Get the response body as string
 	 * @throws {InvalidStateError} if this.xhr.responseType is set to anything other than the empty string or "text"
 	 * @return {string} this.xhr.responseText
 	 */
 	XHR.prototype.responseText = function() {
+		if (overrides(this, 'body'))
+			return (typeof this._override.body == 'string') ? this._override.body : JSON.stringify(this._override.body);
 		return this.xhr.responseText;
 	};
 
 	/**
-	 * Get the response body (parsed). The type is depended on the value of this.xhr.responseType
+	 * Get the response body (parsed). The type is depended on the value of this.xhr.responseType.
+	 * If this.xhr.responseType is empty and either the auto parsing is enabled (see this.setAutoParse()) or the validator is set
+	 * (see this.validate()) then the response text is parsed on completion, the parser is selected by "Content-Type" response header
+	 * (see XHR.parsers): JSON, XML (browser only), CSV, plain text. Otherwise, the response text is returned as is.
+	 * The malformed text is left as is (the validator rejects it). this.responseText() returns the response text as is.
 	 * @return {*} this.xhr.response
 	 */
 	XHR.prototype.response = function() {
-		return this.xhr.response;
+		return this._parsed ? this._parsed.body : overrides(this, 'body') ? this._override.body : this.xhr.response;
 	};
 
 	/**
@@ -481,42 +1333,848 @@
 		return this;
 	};
 
+	/**
+	 * Get/set the encoding of the request body (this.requestBodyType).
+	 * Possible values are: "" (default, the body is passed to this.xhr.send() as is), "json", "form", "multipart".
+	 * When the type is set, a plain object (or array) passed as request body is serialized before sending:
+	 * "json" - to JSON string, "form" - to URL-encoded string (see this.setQueryFormat() for arrays and nested objects),
+	 * "multipart" - to FormData in browser or to multipart/form-data Buffer in Node.JS (Buffer values are sent as files,
+	 * nested objects and arrays are sent as JSON).
+	 * The matching "Content-Type" request header is sent for the serialized object or the string body (sent as is)
+	 * unless it is already set by this.setHeader(). The other bodies (FormData, Blob, ArrayBuffer etc) are sent as is, without it.
+	 * The request without this.method is sent as POST if the body is passed, even if it is serialized to the empty string.
+	 * If the value is not a string then return the current value. Otherwise, use value and return this.
+	 * 
+	 * ```javascript
+	 * XHR(url).bodyType('json').responseType('json').promise({name: 'test', tags: ['a', 'b']}).then(...);
+	 * XHR(url, {q: 1234}).bodyType('form').onSuccess(...).send();
+	 * ```
+	 * @param {string} [value]
+	 * @return {XHR} this
+	 */
+	XHR.prototype.bodyType = function(value) {
+		if (typeof value != 'string')
+			// @ts-ignore
+			return this.requestBodyType;
+		this.requestBodyType = (value == 'json' || value == 'form' || value == 'multipart') ? value : '';
+		return this;
+	};
+
+	/**
+	 * Set the response body validator (this.responseSchema), which is applied to the 2XX responses on completion,
+	 * after the response interceptors. If the body does not match, the request fails with this.errorState() == this.ERR_BODYTYPE
+	 * and this.schemaError is set to the object {path, expected, actual, message}, e.g.
+	 * {path: "$.items[2].id", expected: "integer", actual: "string", message: "$.items[2].id: expected integer, actual string"}.
+	 * If schema is neither an object nor a function then the validator will be removed.
+	 * 
+	 * The body returned by this.response() is validated, it is parsed by "Content-Type" response header
+	 * if this.xhr.responseType is empty (see XHR.parsers, this.setAutoParse()). The malformed body is rejected with this.schemaError
+	 * {path: "$", expected: MIME type, actual: parser error message}, so the empty schema ({}) can be used to reject it
+	 * without other checks.
+	 * 
+	 * The schema is either the JSON Schema subset or the function:
+	 * 
+	 * - type: "object", "array", "string", "number", "integer", "boolean", "null" or the array of them
+	 * - enum, const: the list of allowed values, the only allowed value (compared as JSON)
+	 * - properties, required, additionalProperties (boolean or schema): for objects
+	 * - items, minItems, maxItems: for arrays
+	 * - minLength, maxLength, pattern: for strings
+	 * - minimum, maximum: for numbers
+	 * - anyOf: the list of schemas, the value must match at least one of them
+	 * - function(body, xhr): returns false to reject the body, true or undefined to accept it,
+	 *   or any other value to accept and replace the body (the transform). The error thrown rejects the body with its message.
+	 * 
+	 * ```javascript
+	 * XHR(url).validate({
+	 *   type: 'object', required: ['items'],
+	 *   properties: {items: {type: 'array', items: {type: 'object', required: ['id'], properties: {id: {type: 'integer'}}}}},
+	 * }).promise().catch(xhr => console.warn(xhr.schemaError && xhr.schemaError.message));
+	 * 
+	 * XHR(url_csv).validate(rows => rows.map(row => ({name: row[0], price: parseFloat(row[1])}))).promise().then(...);
+	 * ```
+	 * @param {object|function(*, XHR):*} [schema]
+	 * @return {XHR} this
+	 */
+	XHR.prototype.validate = function(schema) {
+		this.responseSchema = ((typeof schema == 'object') && schema) || (typeof schema == 'function') ? schema : null;
+		return this;
+	};
+
 	/**
 	 * Send request with predefined method, headers, body.
 	 * Call this.xhr.open(), this.xhr.setRequestHeader()..., this.xhr.send();
 	 * If this.method is empty then it will be set to GET or POST depending on body.
 	 * If one of the postData or this.postData is not empty then it will be passed to this.xhr.send().
+	 * The query string parameters (this.query) are merged into the request URL. See this.requestURL().
+	 * If the retry policy is set then the failed request will be re-sent with the same body. See this.retry().
 	 * 
 	 * > See https://developer.mozilla.org/en-US/docs/Web/API/XMLHttpRequest/send for more.
 	 * 
 	 * @param {*} [postData]
-	 * @throws {Error} if this.url is empty
+	 * @throws {Error} if both this.url and this.baseURL are empty
 	 * @return {XHR} this
 	 */
 	XHR.prototype.send = function(postData) {
-		if (!this.url) {
+		if (!this.url && !this.baseURL)
 			throw new Error('The request URL is empty');
-		} else if (postData || this.postData) {
-			this.xhr.open(this.method || 'POST', this.url, true, this.userName, this.password);
-			for (let key in this.headers) this.xhr.setRequestHeader(key, this.headers[key]);
-			this.xhr.send(postData || this.postData);
-		} else {
-			this.xhr.open(this.method || 'GET', this.url, true, this.userName, this.password);
-			for (let key in this.headers) this.xhr.setRequestHeader(key, this.headers[key]);
-			this.xhr.send();
+		clearTimeout(this._retryTimer);
+		this._aborted  = false;
+		this._postData = postData || this.postData;
+		this.attempt   = 0;
+		this._timing   = {start: Date.now()};
+		this._expired  = false;
+		this._streamError = null;
+		this._cookieHeader = '';
+		clearTimeout(this._deadlineTimer);
+		this._deadlineAt = this.deadline ? Date.now() + this.deadline : 0;
+		this._deadlineTimer = this.deadline ? setTimeout(() => expireRequest(this), this.deadline) : undefined;
+		if (this.abortSignal && this.abortSignal.aborted) {
+			this._pending = true;
+			return this.abort();
 		};
-		return this;
+		bindSignal(this);
+		return dispatchRequest(this);
+	};
+
+	/**
+	 * Re-send the current request (e.g. from a response interceptor, after refreshing an expired token).
+	 * The request interceptors are run again, the attempt counter (this.attempt) is not reset.
+	 * The completion of the replayed request is reported to the installed handlers instead of the current one.
+	 * 
+	 * > See XHR.interceptors for more.
+	 * 
+	 * @return {XHR} this
+	 */
+	XHR.prototype.replay = function() {
+		clearTimeout(this._retryTimer);
+		this._aborted = false;
+		renewXHR(this);
+		return dispatchRequest(this);
 	};
 
 	/**
 	 * Abort request. Calls this.xhr.abort()
+	 * If the request is in progress (including the request interceptors and the delay before retry),
+	 * then it is completed as failed with this.errorState() == this.ERR_ABORTED, so the handlers set with
+	 * this.onReady(), this.onSuccess(), this.promise() are called in any environment.
 	 * @return {XHR} this
 	 */
 	XHR.prototype.abort = function() {
+		if (!this._pending)
+			return this.xhr.abort(), this;
+		clearTimeout(this._retryTimer);
+		this._aborted = true;
 		this.xhr.abort();
+		// The browser and the adapters (see XHR.adapters) complete the request by themselves, "xhr2" module and the requests not sent yet do not
+		if (this._pending && !this._completing) {
+			this._override = {status: 0, body: null};
+			completeRequest(this);
+		};
 		return this;
 	};
 
+	// Abort the request because of exceeded deadline and complete it as timed out
+	function expireRequest(self) {
+		if (!self._pending)
+			return;
+		clearTimeout(self._retryTimer);
+		self._expired = self._timedOut = true;
+		self.xhr.abort();
+		if (self._pending && !self._completing) {
+			self._override = {status: 0, body: null};
+			completeRequest(self);
+		};
+	};
+
+	// Listen to the abort event of this.abortSignal while the request is in progress
+	function bindSignal(self) {
+		unbindSignal(self);
+		if (self.abortSignal && (typeof self.abortSignal.addEventListener == 'function')) {
+			self._signalListener = () => self.abort();
+			self.abortSignal.addEventListener('abort', self._signalListener);
+		};
+	};
+
+	// Stop listening to the abort event of this.abortSignal
+	function unbindSignal(self) {
+		if (self._signalListener && self.abortSignal && (typeof self.abortSignal.removeEventListener == 'function'))
+			self.abortSignal.removeEventListener('abort', self._signalListener);
+		self._signalListener = null;
+	};
+
+	// Run the request interceptors (if any) and send the request.
+	// Without interceptors the request is sent synchronously, so the errors thrown by this.xhr.open() are passed to the caller.
+	function dispatchRequest(self) {
+		const seq = self._seq = (self._seq || 0) + 1;
+		self._pending = true;
+		self._completing = false;
+		self._override = null;
+		self.interceptorError = undefined;
+		self.schemaError = null;
+		self._parsed = null;
+		self.cacheStatus = '';
+		self._scheduler && releaseRequest(self._scheduler, self);
+		if (!hasInterceptors(self, 'request'))
+			return sendRequest(self);
+		runInterceptors(self, 'request', seq).then(() => {
+			if (self._seq !== seq || self._aborted)
+				return;
+			if (self._override) // Short-circuited with a synthetic response
+				return completeRequest(self);
+			sendRequest(self);
+		}).catch(error => (self._seq === seq) && failRequest(self, error));
+		return self;
+	};
+
+	// Serve the request from the cache (see this.useCache()) or send it
+	function sendRequest(self) {
+		self._body = encodeBody(self, self._postData);
+		self._cacheEntry = self.cache && requestMethod(self) == 'GET' && cacheableType(self) ? self.cache.lookup(self) : null;
+		const entry = self._cacheEntry;
+		if (!entry || self._revalidation)
+			return scheduleRequest(self);
+		const now = Date.now();
+		if (entry.expires > now)
+			self.cacheStatus = 'hit';
+		else if (self.cache.staleWhileRevalidate === true || entry.expires + (self.cache.staleWhileRevalidate || entry.staleWhileRevalidate || 0) > now)
+			self.cacheStatus = 'stale';
+		else
+			return scheduleRequest(self);
+		// Complete the request with the cached response asynchronously, as if it was received from network
+		self._override = cachedResponse(self, entry);
+		self._completing = true;
+		const seq = self._seq;
+		Promise.resolve().then(() => (self._seq === seq) && completeRequest(self));
+		(self.cacheStatus == 'stale') && revalidate(self);
+		return self;
+	};
+
+	// Send the conditional request updating the stale cache entry in background (stale-while-revalidate)
+	function revalidate(self) {
+		const key = 'GET ' + self.requestURL();
+		if (self.cache.revalidating[key])
+			return;
+		self.cache.revalidating[key] = true;
+		const request = copyRequest(self, {url: self.requestURL()}).onReady(() => delete(self.cache.revalidating[key]));
+		request._revalidation = true;
+		request.send();
+	};
+
+	// Check if the responses of the request can be cached (depends on this.responseType())
+	function cacheableType(self) {
+		return ['', 'text', 'json'].indexOf(self.responseType()) >= 0;
+	};
+
+	// Build the synthetic response (see this._override) from the cache entry, converting the body for this.responseType()
+	function cachedResponse(self, entry) {
+		var body = entry.body;
+		if (self.responseType() == 'json' && (typeof body == 'string'))
+			try { body = JSON.parse(body); } catch (e) { body = null; };
+		if (self.responseType() != 'json' && (typeof body != 'string'))
+			body = JSON.stringify(body);
+		return {status: entry.status, headers: Object.assign({}, entry.headers), body: body};
+	};
+
+	// Update the cache with the completed response: store the cacheable one, replace "304 Not Modified" with the cached one
+	function updateCache(self) {
+		if (!self.cache || requestMethod(self) != 'GET' || !cacheableType(self))
+			return;
+		if (self.status() == 304 && self._cacheEntry) {
+			self._cacheEntry = self.cache.refresh(self, self._cacheEntry);
+			self._override = cachedResponse(self, self._cacheEntry);
+			self.cacheStatus = 'revalidated';
+		} else if (self.status() == 200 && self.isSuccessResponse()) {
+			self.cache.put(self);
+		};
+	};
+
+	// Open and send the next attempt of the request using the body saved by this.send()
+	function sendAttempt(self) {
+		self._completing = false;
+		self._timedOut = false;
+		self._failedEvent = null;
+		self._override = null;
+		self.attempt++;
+		self.xhr.open(requestMethod(self), self.requestURL(), true, self.userName, self.password);
+		if (self._cacheEntry) {
+			self._cacheEntry.etag && !hasHeader(self.headers, 'If-None-Match') && self.xhr.setRequestHeader('If-None-Match', self._cacheEntry.etag);
+			self._cacheEntry.lastModified && !hasHeader(self.headers, 'If-Modified-Since') && self.xhr.setRequestHeader('If-Modified-Since', self._cacheEntry.lastModified);
+		};
+		// The cookies sent are kept for the trace entry: the response can add its cookies to the jar
+		self._cookieHeader = [headerValue(self.headers, 'Cookie'), self.cookieJar && self.cookieJar.getCookieHeader(self.requestURL())].filter(Boolean).join('; ');
+		for (let key in self.headers) (key.toLowerCase() != 'cookie') && self.xhr.setRequestHeader(key, self.headers[key]);
+		self._cookieHeader && self.xhr.setRequestHeader('Cookie', self._cookieHeader);
+		self._bodyContentType && self.xhr.setRequestHeader('Content-Type', self._bodyContentType);
+		self._timing = Object.assign(self._timing || {start: Date.now()}, {sent: Date.now(), headers: 0, loading: 0, done: 0, received: 0});
+		self._uploadReported = false;
+		self._streamOffset = 0;
+		self._streamBuffer = '';
+		self._body ? self.xhr.send(self._body) : self.xhr.send();
+		self._seq++;
+		return self;
+	};
+
+	// Get the request method: this.method or GET/POST depending on the body passed (not on the encoded one, which can be empty)
+	function requestMethod(self) {
+		return (self.method || (self._postData ? 'POST' : 'GET')).toUpperCase();
+	};
+
+	// Serialize the request body according to this.requestBodyType.
+	// Save the matching Content-Type into self._bodyContentType unless the header is already set by the user.
+	// The other bodies (e.g. FormData, Blob, ArrayBuffer) are sent as is, the browser or the adapter sets their Content-Type.
+	function encodeBody(self, body) {
+		var contentType = '';
+		if (self.requestBodyType == 'json' && (isPlainObject(body) || typeof body == 'string')) {
+			contentType = 'application/json; charset=UTF-8';
+			(typeof body != 'string') && (body = JSON.stringify(body));
+		} else if (self.requestBodyType == 'form' && (isPlainObject(body) || typeof body == 'string')) {
+			contentType = 'application/x-www-form-urlencoded; charset=UTF-8';
+			(typeof body != 'string') && (body = encodeQuery(body, self.queryFormat));
+		} else if (self.requestBodyType == 'multipart' && isPlainObject(body)) {
+			if (typeof FormData == 'function' && !ENV_NODEJS) {
+				// The browser sets Content-Type with boundary by itself
+				const form = new FormData();
+				for (let name in body)
+					if (body.hasOwnProperty(name) && body[name] !== undefined)
+						[].concat(body[name]).forEach(value => form.append(name, multipartValue(value)));
+				body = form;
+			} else {
+				const boundary = '----xhrless' + Math.random().toString(16).substr(2) + Date.now().toString(16);
+				contentType = 'multipart/form-data; boundary=' + boundary;
+				body = encodeMultipart(body, boundary);
+			};
+		};
+		self._bodyContentType = contentType && !hasHeader(self.headers, 'Content-Type') ? contentType : '';
+		return body;
+	};
+
+	// Get the value of the multipart field: the nested objects and arrays are sent as JSON, the other values as is
+	function multipartValue(value) {
+		return isPlainObject(value) ? JSON.stringify(value) : value;
+	};
+
+	// Build the multipart/form-data body (Node.JS Buffer) from the name -> value pairs. Buffer values are sent as files.
+	function encodeMultipart(fields, boundary) {
+		var parts = [];
+		for (let name in fields)
+			if (fields.hasOwnProperty(name) && fields[name] !== undefined)
+				[].concat(fields[name]).map(multipartValue).forEach(value => {
+					const disposition = 'Content-Disposition: form-data; name="' + name.replace(/"/g, '%22') + '"';
+					if (Buffer.isBuffer(value))
+						parts.push(Buffer.from('--' + boundary + '\r\n' + disposition + '; filename="' + name.replace(/"/g, '%22') + '"\r\n' +
+							'Content-Type: application/octet-stream\r\n\r\n'), value, Buffer.from('\r\n'));
+					else
+						parts.push(Buffer.from('--' + boundary + '\r\n' + disposition + '\r\n\r\n' + (value === null ? '' : String(value)) + '\r\n'));
+				});
+		parts.push(Buffer.from('--' + boundary + '--\r\n'));
+		return Buffer.concat(parts);
+	};
+
+	// Check if the value is an object literal, an object without prototype or an array
+	function isPlainObject(value) {
+		if ((typeof value != 'object') || !value)
+			return false;
+		const proto = Object.getPrototypeOf(value);
+		return Array.isArray(value) || proto === Object.prototype || proto === null;
+	};
+
+	// Check if the set of headers contains the header with the name given (case-insensitive)
+	function hasHeader(headers, name) {
+		return headerValue(headers, name) !== undefined;
+	};
+
+	// Get the value of the header from the set of headers by name (case-insensitive)
+	function headerValue(headers, name) {
+		name = name.toLowerCase();
+		for (let key in headers)
+			if (headers.hasOwnProperty(key) && key.toLowerCase() == name)
+				return headers[key];
+		return undefined;
+	};
+
+	// Check if there are handlers of the event type given. See this.on().
+	function hasListeners(self, type) {
+		return !!self._listeners && !!self._listeners[type] && self._listeners[type].length > 0;
+	};
+
+	// Call the handlers of the event type given in the order of registration, with this and the argument given (if any).
+	// The error thrown by a handler is reported by reportError(), so it does not stop the other handlers and the request processing.
+	function emitEvent(self, type, arg) {
+		if (hasListeners(self, type))
+			self._listeners[type].slice().forEach(handler => {
+				try {
+					(arg === undefined) ? handler.call(self, self) : handler.call(self, self, arg);
+				} catch (error) {
+					reportError(error, self, type);
+				};
+			});
+	};
+
+	// Pass the error thrown by the handler of the event type given to XHR.handlerErrorHandler,
+	// or rethrow it asynchronously (it is reported as uncaught) without the handler, without breaking the current call
+	function reportError(error, self, type) {
+		if (XHR.handlerErrorHandler)
+			try {
+				return XHR.handlerErrorHandler.call(self, error, self, type);
+			} catch (e) {
+				error = e;
+			};
+		setTimeout(() => { throw error; }, 0);
+	};
+
+	// Bind the XMLHttpRequest instance (this.xhr) event handlers to the XHR instance.
+	// The completion of a failed attempt is hidden from the handlers if the request is going to be retried.
+	function bindXHR(self) {
+		self.xhr.onreadystatechange = (event) => {
+			if (self.xhr.readyState == 2) // HEADERS_RECEIVED
+				onHeadersReceived(self);
+			else if (self.xhr.readyState == 3) // LOADING
+				self._timing.loading = self._timing.loading || Date.now();
+			self._chunkHandler && readStream(self, self.xhr.readyState == 4);
+			if (self._aborted && !self._pending) // Aborted by the chunk handler
+				return;
+			if (!self.isCompleted())
+				emitEvent(self, 'change');
+			else if (self.xhr.status)
+				onAttemptDone(self, event);
+			else // Network error, timeout or abort: wait for the "loadend" event to know which one of them
+				self._failedEvent = event;
+		};
+		self.xhr.ontimeout = (event) => self._timedOut = true;
+		self.xhr.onloadend = (event) => {
+			const failedEvent = self._failedEvent;
+			self._failedEvent = null;
+			failedEvent && onAttemptDone(self, failedEvent);
+		};
+		self.xhr.onprogress = (event) => {
+			self._timing.received = event.loaded;
+			self._chunkHandler && readStream(self, false);
+			hasListeners(self, 'progress') && reportProgress(self, 'progress', event, self._timing.headers);
+		};
+		// The adapters report the body bytes and the text decoded (see TransportRequest.receiveChunk()).
+		// The chunk handler in "buffer" mode (see this.pipe()) can return the Promise to pause receiving until it is resolved.
+		self.xhr.onchunk = (bytes, text) => {
+			if (!self._chunkHandler || !isStreamed(self))
+				return;
+			if (self._chunkMode == 'buffer')
+				return bytes && bytes.length ? self._chunkHandler.call(self, self, Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength)) : undefined;
+			self.xhr.streaming && dispatchChunk(self, text, false);
+		};
+		bindUploadProgress(self);
+	};
+
+	// Check if the response body chunks are reported to the chunk handler (see this.onChunk()): 2XX status of the request sent
+	function isStreamed(self) {
+		return !self._override && self.xhr.status >= 200 && self.xhr.status < 300;
+	};
+
+	// Report the part of response body received since the last call to the chunk handler (see this.onChunk()).
+	// The body bytes in "buffer" mode (see this.pipe()) and the streamed text are reported by the adapters (see bindXHR()),
+	// only the rest of the last line is reported here for them.
+	function readStream(self, final) {
+		if (!isStreamed(self) || (self._chunkMode == 'buffer' && self.xhr instanceof TransportRequest))
+			return;
+		var text = '';
+		try {
+			text = self.xhr.streaming ? '' : self.xhr.responseText || '';
+		} catch (e) {}; // responseType is not text
+		const chunk = text.substr(self._streamOffset);
+		self._streamOffset = text.length;
+		dispatchChunk(self, chunk, final);
+	};
+
+	// Call the chunk handler with the text chunk, or with the lines completed by it (see this.onChunk() for the modes)
+	function dispatchChunk(self, chunk, final) {
+		if (self._chunkMode == 'text' || self._chunkMode == 'buffer')
+			return chunk && self._chunkHandler.call(self, self, self._chunkMode == 'buffer' ? Buffer.from(chunk) : chunk);
+		const lines = (self._streamBuffer + chunk).split(/\r?\n/);
+		self._streamBuffer = final ? '' : lines.pop();
+		final && (lines[lines.length - 1] === '') && lines.pop();
+		for (let line of lines) {
+			if (self._chunkMode == 'ndjson') {
+				if (!line.trim())
+					continue;
+				try {
+					line = JSON.parse(line);
+				} catch (error) {
+					self._streamError = error;
+					return self.abort();
+				};
+			};
+			self._chunkHandler.call(self, self, line);
+			if (!self._pending || self.xhr.readyState < 2) // Aborted by the handler
+				return;
+		};
+	};
+
+	// Bind the upload progress event handler. The listener is not added without handler, because it forces CORS preflight request in browser.
+	function bindUploadProgress(self) {
+		if (self.xhr.upload)
+			self.xhr.upload.onprogress = hasListeners(self, 'uploadprogress') ? (event) => {
+				self._uploadReported = true;
+				reportProgress(self, 'uploadprogress', event, self._timing.sent);
+			} : null;
+	};
+
+	// The upload is finished when the response headers are received. Report the upload progress if it was not reported (Node.JS).
+	function onHeadersReceived(self) {
+		self._timing.headers = Date.now();
+		// The adapters do not keep the body reported to the chunk handler, unless it is cached
+		(self.xhr instanceof TransportRequest) && (self.xhr.streaming = !!self._chunkHandler && !self.cache && isStreamed(self));
+		if (self.cookieJar) {
+			const header = self.responseHeader('Set-Cookie');
+			header && [].concat(header).forEach(value => self.cookieJar.setCookie(value, self.xhr.responseURL || self.requestURL()));
+		};
+		if (hasListeners(self, 'uploadprogress') && !self._uploadReported) {
+			const size = bodySize(self._body);
+			reportProgress(self, 'uploadprogress', {loaded: size, total: size, lengthComputable: size > 0}, self._timing.sent);
+		};
+	};
+
+	// Emit the progress event of the type given with the progress object built from the ProgressEvent
+	function reportProgress(self, type, event, startedAt) {
+		const total = event.lengthComputable && event.total > 0 ? event.total : null,
+			elapsed = (Date.now() - (startedAt || Date.now())) / 1000,
+			rate    = elapsed > 0 ? event.loaded / elapsed : 0;
+		emitEvent(self, type, {
+			loaded:  event.loaded,
+			total:   total,
+			percent: total ? Math.min(event.loaded / total * 100, 100) : null,
+			rate:    rate,
+			eta:     total && rate ? Math.max(total - event.loaded, 0) / rate : null,
+			attempt: self.attempt,
+		});
+	};
+
+	// Get the size of the request body in bytes, if possible
+	function bodySize(body) {
+		if (typeof body == 'string')
+			return encodeText(body).length;
+		return body && (typeof body.byteLength == 'number') ? body.byteLength
+			: body && (typeof body.size == 'number') ? body.size : 0;
+	};
+
+	// Retry the completed attempt or complete the request
+	function onAttemptDone(self, event) {
+		if (!scheduleRetry(self)) {
+			updateCache(self);
+			self._scheduler && shareResponse(self._scheduler, self);
+			completeRequest(self, event);
+		};
+	};
+
+	// Run the response interceptors (if any) and call the installed handler for the completed request
+	function completeRequest(self, event) {
+		self._completing = true;
+		if (!hasInterceptors(self, 'response'))
+			return finishRequest(self, event);
+		const seq = self._seq;
+		runInterceptors(self, 'response', seq).catch(error => {
+			self.interceptorError = error;
+			self._override = {status: 0, body: null};
+		}).then(() => (self._seq === seq) && finishRequest(self, event));
+	};
+
+	// Call the installed handler for the completed request, only once per request
+	function finishRequest(self, event) {
+		if (!self._pending)
+			return;
+		self._pending = false;
+		parseResponse(self);
+		self.responseSchema && self.isStatusOK() && validateResponse(self);
+		self._scheduler && releaseRequest(self._scheduler, self);
+		clearTimeout(self._deadlineTimer);
+		unbindSignal(self);
+		self._timing.done = Date.now();
+		try {
+			XHR.metricsHandler && XHR.metricsHandler.call(self, self.metrics(), self);
+		} catch (error) {
+			reportError(error, self, 'metrics');
+		};
+		traceRequest(self);
+		(self.errorState() == self.ERR_TIMEOUT) && emitEvent(self, 'timeout');
+		emitEvent(self, 'change');
+		emitEvent(self, self.isSuccessResponse() ? 'success' : 'error');
+		emitEvent(self, 'ready');
+	};
+
+	// Parse the response text according to "Content-Type" if this.xhr.responseType is empty and the parsing is enabled
+	// by this.setAutoParse() or this.validate() (see XHR.parsers), save the parsed body into self._parsed (see this.response()). The malformed text is left as is, the error is saved into self._parseError.
+	function parseResponse(self) {
+		const body = self.response(),
+			contentType = (self.responseHeader('Content-Type') || '').toLowerCase(),
+			parse = findParser(contentType.split(';')[0].trim());
+		self._parseError = null;
+		if (!self.responseSchema && !(self.autoParse === undefined ? XHR.autoParse : self.autoParse))
+			return;
+		// The streamed body is not kept (see this.onChunk())
+		if (self.responseType() || (typeof body != 'string') || !self.status() || self.xhr.streaming || !parse)
+			return;
+		try {
+			self._parsed = {body: parse(body, contentType)};
+		} catch (error) {
+			self._parseError = {message: (error && error.message) || String(error)};
+		};
+	};
+
+	// Check the response body (parsed by parseResponse()) by this.responseSchema.
+	// Save the transformed body into self._parsed (see this.response()) and the reason of rejection into this.schemaError.
+	function validateResponse(self) {
+		var body = self.response();
+		if (self._parseError) {
+			self.schemaError = schemaError('$', (self.responseHeader('Content-Type') || '').toLowerCase().split(';')[0].trim(), self._parseError.message);
+			return;
+		};
+		if (typeof self.responseSchema == 'function') {
+			try {
+				const result = self.responseSchema.call(self, body, self);
+				if (result === false)
+					self.schemaError = schemaError('$', 'valid body', typeName(body));
+				else if (result !== true && result !== undefined)
+					body = result;
+			} catch (error) {
+				self.schemaError = schemaError('$', 'valid body', typeName(body), (error && error.message) || String(error));
+			};
+		} else {
+			self.schemaError = checkSchema(self.responseSchema, body, '$');
+		};
+		self._parsed = {body: body};
+	};
+
+	// Find the response body parser by MIME type: the exact match, then "+json"/"+xml" suffix, then "text/*". See XHR.parsers.
+	function findParser(mimeType) {
+		const suffix = /\+(json|xml)$/.exec(mimeType);
+		return XHR.parsers[mimeType] || (suffix && XHR.parsers['application/' + suffix[1]]) || (/^text\//.test(mimeType) && XHR.parsers['text/plain']) || null;
+	};
+
+	// Create the reason of response body rejection. See this.schemaError.
+	function schemaError(path, expected, actual, message) {
+		return {path: path, expected: expected, actual: actual, message: message || (path + ': expected ' + expected + ', actual ' + actual)};
+	};
+
+	// Get the JSON Schema type name of the value ("integer" is reported as "number")
+	function typeName(value) {
+		return (value === null) ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+	};
+
+	// Check the value by the JSON Schema subset (see this.validate()), return the first mismatch found or null
+	function checkSchema(schema, value, path) {
+		const type = typeName(value);
+		if (schema.type) {
+			const types = [].concat(schema.type);
+			if (!types.some(expected => (expected == type) || (expected == 'integer' && Number.isInteger(value))))
+				return schemaError(path, types.join(' | '), type);
+		};
+		if (Array.isArray(schema.enum) && !schema.enum.some(item => JSON.stringify(item) === JSON.stringify(value)))
+			return schemaError(path, 'one of ' + JSON.stringify(schema.enum), JSON.stringify(value));
+		if (schema.hasOwnProperty('const') && JSON.stringify(schema.const) !== JSON.stringify(value))
+			return schemaError(path, JSON.stringify(schema.const), JSON.stringify(value));
+		if (Array.isArray(schema.anyOf) && !schema.anyOf.some(item => !checkSchema(item, value, path)))
+			return schemaError(path, 'any of ' + schema.anyOf.length + ' schemas', type);
+		if (type == 'string') {
+			if ((schema.minLength >= 0) && value.length < schema.minLength)
+				return schemaError(path, 'length >= ' + schema.minLength, 'length ' + value.length);
+			if ((schema.maxLength >= 0) && value.length > schema.maxLength)
+				return schemaError(path, 'length <= ' + schema.maxLength, 'length ' + value.length);
+			if (schema.pattern && !(new RegExp(schema.pattern)).test(value))
+				return schemaError(path, 'pattern ' + schema.pattern, JSON.stringify(value));
+		} else if (type == 'number') {
+			if ((typeof schema.minimum == 'number') && value < schema.minimum)
+				return schemaError(path, '>= ' + schema.minimum, String(value));
+			if ((typeof schema.maximum == 'number') && value > schema.maximum)
+				return schemaError(path, '<= ' + schema.maximum, String(value));
+		} else if (type == 'array') {
+			if ((schema.minItems >= 0) && value.length < schema.minItems)
+				return schemaError(path, 'items >= ' + schema.minItems, 'items ' + value.length);
+			if ((schema.maxItems >= 0) && value.length > schema.maxItems)
+				return schemaError(path, 'items <= ' + schema.maxItems, 'items ' + value.length);
+			if (isPlainObject(schema.items))
+				for (let index = 0; index < value.length; index++) {
+					const error = checkSchema(schema.items, value[index], path + '[' + index + ']');
+					if (error)
+						return error;
+				};
+		} else if (type == 'object') {
+			const properties = isPlainObject(schema.properties) ? schema.properties : {};
+			for (let name of Array.isArray(schema.required) ? schema.required : [])
+				if (!value.hasOwnProperty(name))
+					return schemaError(propertyPath(path, name), 'required property', 'undefined');
+			for (let name of Object.keys(value)) {
+				const itemSchema = properties.hasOwnProperty(name) ? properties[name] : schema.additionalProperties;
+				if (itemSchema === false)
+					return schemaError(propertyPath(path, name), 'no additional properties', typeName(value[name]));
+				const error = isPlainObject(itemSchema) ? checkSchema(itemSchema, value[name], propertyPath(path, name)) : null;
+				if (error)
+					return error;
+			};
+		};
+		return null;
+	};
+
+	// Get the path of the object property for the schema error: $.name or $["other name"]
+	function propertyPath(path, name) {
+		return /^[A-Za-z_$][\w$]*$/.test(name) ? path + '.' + name : path + '[' + JSON.stringify(name) + ']';
+	};
+
+	// Parse the CSV text (RFC 4180) into the array of rows (arrays of strings)
+	function parseCSV(text) {
+		const rows = [];
+		var row = [], field = '', quoted = false;
+		for (let index = 0; index < text.length; index++) {
+			const char = text[index];
+			if (quoted) {
+				if (char == '"' && text[index + 1] == '"')
+					field += char, index++;
+				else if (char == '"')
+					quoted = false;
+				else
+					field += char;
+			} else if (char == '"') {
+				quoted = true;
+			} else if (char == ',') {
+				row.push(field);
+				field = '';
+			} else if (char == '\n' || char == '\r') {
+				(char == '\r' && text[index + 1] == '\n') && index++;
+				row.push(field);
+				rows.push(row);
+				row = [];
+				field = '';
+			} else {
+				field += char;
+			};
+		};
+		if (quoted)
+			throw new SyntaxError('Unterminated quoted field in CSV');
+		(field || row.length) && (row.push(field), rows.push(row));
+		return rows;
+	};
+
+	// Record the completed request by the tracer (this.tracer or XHR.tracer). See this.useTracer().
+	function traceRequest(self) {
+		const tracer = (self.tracer === undefined) ? XHR.tracer : self.tracer;
+		if (!tracer)
+			return;
+		try {
+			const entry = traceEntry(self);
+			(typeof tracer == 'function') ? tracer.call(self, entry, self) : tracer.record(entry, self);
+		} catch (error) {
+			reportError(error, self, 'trace');
+		};
+	};
+
+	// Build the trace entry of the completed request. See XHR.useTracer().
+	function traceEntry(self) {
+		const metrics = self.metrics(), requestHeaders = Object.assign(omitHeaders(self.headers, ['Cookie']), authHeader(self));
+		self._cookieHeader && (requestHeaders['Cookie'] = self._cookieHeader);
+		self._bodyContentType && (requestHeaders['Content-Type'] = self._bodyContentType);
+		const type = self.responseType();
+		const responseBody = (!type || type == 'text') ? self.responseText() || '' : (type == 'json' && self.response() != null) ? JSON.stringify(self.response()) : '';
+		return {
+			startedDateTime: new Date(metrics.startTime || Date.now()).toISOString(),
+			method:          metrics.method,
+			url:             self.requestURL(),
+			requestHeaders:  requestHeaders,
+			requestBody:     traceBody(self._body),
+			status:          metrics.status,
+			statusText:      (!self._override && self.xhr.statusText) || '',
+			responseHeaders: parseHeaders(self.responseHeaders()),
+			responseBody:    responseBody,
+			error:           metrics.errorState ? self.errorState(true) : '',
+			metrics:         metrics,
+		};
+	};
+
+	// Get the request body as text for the trace entry, the other bodies (e.g. FormData, Blob) are described by type and size
+	function traceBody(body) {
+		if (body === undefined || body === null)
+			return '';
+		if (typeof body == 'string')
+			return body;
+		if ((typeof Buffer == 'function') && Buffer.isBuffer(body))
+			return body.toString('utf8');
+		if ((typeof URLSearchParams == 'function') && (body instanceof URLSearchParams))
+			return body.toString();
+		const size = bodySize(body);
+		return '[' + ((body.constructor && body.constructor.name) || typeof body) + (size ? ', ' + size + ' bytes' : '') + ']';
+	};
+
+	// Complete the request as failed (connection error) because of the error thrown by a request interceptor
+	function failRequest(self, error) {
+		self.interceptorError = error;
+		self._override = {status: 0, body: null};
+		completeRequest(self);
+	};
+
+	// Check if the response part (status, headers, body) is overridden by a synthetic response. See runInterceptors().
+	function overrides(self, key) {
+		return !!self._override && self._override.hasOwnProperty(key);
+	};
+
+	// Check if there are global or instance-level interceptors of the type given ("request" or "response")
+	function hasInterceptors(self, type) {
+		return XHR.interceptors[type].handlers.length > 0 || self.interceptors[type].handlers.length > 0;
+	};
+
+	// Call the global and then the instance-level interceptors of the type given one by one, waiting for the returned promises.
+	// The chain is stopped if the request is re-sent or aborted. A synthetic response returned by an interceptor
+	// is merged into self._override, for the request interceptors it also stops the chain (short-circuit).
+	function runInterceptors(self, type, seq) {
+		const handlers = XHR.interceptors[type].handlers.concat(self.interceptors[type].handlers);
+		var index = 0;
+		const next = () => {
+			if (index >= handlers.length || self._seq !== seq || self._aborted)
+				return Promise.resolve();
+			const handler = handlers[index++];
+			return new Promise(resolve => resolve(handler.call(self, self))).then(result => {
+				if ((typeof result == 'object') && result && result !== self) {
+					self._override = Object.assign(self._override || {}, result);
+					if (type == 'request')
+						return;
+				};
+				return next();
+			});
+		};
+		return next();
+	};
+
+	// Check the retry policy and schedule the next attempt if the completed request should be retried
+	function scheduleRetry(self) {
+		const policy = self.retryPolicy;
+		if (!policy || self._aborted || self._expired || self.attempt > policy.count)
+			return false;
+		const status = self.status();
+		// the connection errors are always retried, the HTTP errors are checked against the policy
+		if (self.isStatusOK() || (status && (typeof policy.on == 'function' ? !policy.on.call(self, self) : policy.on.indexOf(status) < 0)))
+			return false;
+		let delay = Math.min(policy.delay * Math.pow(policy.backoff, self.attempt - 1), policy.maxDelay);
+		const retryAfter = status ? self.responseHeader('Retry-After') : null;
+		if (retryAfter)
+			delay = Math.min(/^\s*\d+\s*$/.test(retryAfter) ? parseInt(retryAfter) * 1000 : Math.max(Date.parse(retryAfter) - Date.now(), 0) || delay, policy.maxDelay);
+		if (self._deadlineAt && Date.now() + delay >= self._deadlineAt)
+			return false;
+		self._retryTimer = setTimeout(() => {
+			renewXHR(self);
+			sendAttempt(self);
+		}, delay);
+		return true;
+	};
+
+	// Create the XMLHttpRequest instance (or compatible object) with this.transport or XHR.transport
+	function createXHR(self) {
+		return (self.transport || XHR.transport)(self);
+	};
+
+	// Replace this.xhr with a new XMLHttpRequest instance, keeping its settings and event handlers
+	function renewXHR(self) {
+		const prev = self.xhr;
+		self.xhr = createXHR(self);
+		self.xhr.timeout            = prev.timeout;
+		self.xhr.responseType       = prev.responseType;
+		self.xhr.withCredentials    = prev.withCredentials;
+		bindXHR(self);
+	};
+
 	// =========================================================================
 	/** ## User-level helper methods ## */
 
@@ -525,7 +2183,7 @@
 	 * @return {boolean} this.xhr.readyState == XMLHttpRequest.DONE
 	 */
 	XHR.prototype.isCompleted = function() {
-		return this.xhr.readyState == XMLHttpRequest.DONE || this.xhr.readyState == this.xhr.DONE;
+		return !!this._override || this.xhr.readyState == 4; // DONE
 	};
 
 	/**
@@ -533,17 +2191,18 @@
 	 * @return {boolean} this.xhr.status is 2XX
 	 */
 	XHR.prototype.isStatusOK = function() {
-		return (this.xhr.status >= 200) && (this.xhr.status < 300);
+		return (this.status() >= 200) && (this.status() < 300);
 	};
 
 	/**
 	 * Check if response HTTP status is 2XX and there is valid response, correctly parsed depending on this.xhr.responseType.
-	 * Valid response is a response where (this.xhr.responseType is empty) OR (this.xhr.response is not null/undefined).
+	 * Valid response is a response where (this.xhr.responseType is empty) OR (this.xhr.response is not null/undefined),
+	 * and the body is accepted by the validator, if any (see this.validate()).
 	 * @return {boolean}
 	 * @x-rowspan javascript
 	 */
 	XHR.prototype.isSuccessResponse = function() {
-		return this.isStatusOK() && (!this.xhr.responseType || (this.xhr.response !== null && this.xhr.response !== undefined));
+		return this.isStatusOK() && !this.schemaError && (!this.xhr.responseType || (this.response() !== null && this.response() !== undefined));
 	};
 
 	/**
@@ -557,53 +2216,235 @@
 	 * @return {number|string} Error code or message
 	 */
 	XHR.prototype.errorState = function(asString) {
-		if (!this.status())
+		if (this._aborted)
+			return asString ? 'Request aborted' : this.ERR_ABORTED;
+		else if (this._timedOut)
+			return asString ? 'Request timed out' : this.ERR_TIMEOUT;
+		else if (!this.status())
 			return asString ? 'Connection failed' : this.ERR_CONNECTION;
 		else if (!this.isStatusOK())
 			return asString ? 'HTTP '+this.status() : this.ERR_HTTPSTATUS;
 		else if (!this.isSuccessResponse())
-			return asString ? 'Unexpected response body format' : this.ERR_BODYTYPE;
+			return asString ? 'Unexpected response body format' + (this.schemaError ? ': ' + this.schemaError.message : '') : this.ERR_BODYTYPE;
 		else
 			return asString ? 'No error' : this.ERR_NONE;
 	};
 
-	if (ENV_BROWSER) {
-
-		// These methods are available in browser environment only:
+	/**
+	 * Get the reason of request failure as the Error object, returns the XHRError subclass instance matching
+	 * this.errorState() (e.g. XHR.HTTPStatusError for this.ERR_HTTPSTATUS) or null if there is no error.
+	 * 
+	 * > See XHR.XHRError for more.
+	 * 
+	 * @return {XHRError|null}
+	 */
+	XHR.prototype.error = function() {
+		switch (this.errorState()) {
+			case this.ERR_CONNECTION: return new XHR.ConnectionError(this);
+			case this.ERR_HTTPSTATUS: return new XHR.HTTPStatusError(this);
+			case this.ERR_BODYTYPE:   return new XHR.BodyTypeError(this);
+			case this.ERR_ABORTED:    return new XHR.AbortError(this);
+			case this.ERR_TIMEOUT:    return new XHR.TimeoutError(this);
+			default:                  return null;
+		};
+	};
 
-		/**
+	/**
+	 * Get the validation errors from the error response body (e.g. "422 Unprocessable Entity") as the field name -> messages map.
+	 * The JSON body (parsed if this.xhr.responseType is not "json") is recognized in the following formats:
+	 * 
+	 * - {errors: {name: "message" | ["message", ...]}} (e.g. Laravel, Rails)
+	 * - {errors: [{field | param | path | name: "name", message | msg: "message"}, ...]} (e.g. express-validator)
+	 * - {errors: [{source: {pointer: "/data/attributes/name"}, detail: "message"}, ...]} (JSON:API)
+	 * - {detail: [{loc: ["body", "name"], msg: "message"}, ...]} (FastAPI)
+	 * - {name: "message" | ["message", ...]} (e.g. Django REST framework)
+	 * 
+	 * The nested names (e.g. ["address", "city"] or "/data/attributes/address/city") are joined with dots ("address.city").
+	 * 
+	 * ```javascript
+	 * XHR(url, data).promise().catch(xhr => (xhr.status() == 422) && console.log(xhr.validationErrors()));
+	 * // {email: ["The email has already been taken."]}
+	 * ```
+	 * @return {Object<string, string[]>} The empty object for the success responses and the unknown formats
+	 */
+	XHR.prototype.validationErrors = function() {
+		var body = this.isStatusOK() ? null : this.response();
+		const errors = {};
+		if (typeof body == 'string')
+			try { body = JSON.parse(body); } catch (e) { body = null; };
+		if (!isPlainObject(body))
+			return errors;
+		const list = Array.isArray(body.errors) ? body.errors : Array.isArray(body.detail) ? body.detail : null;
+		if (list) {
+			list.filter(isPlainObject).forEach(item => addValidationError(errors,
+				item.source && item.source.pointer ? item.source.pointer.replace(/^\/(data\/attributes\/)?/, '').split('/')
+					: Array.isArray(item.loc) ? item.loc.slice((item.loc[0] == 'body' || item.loc[0] == 'query') ? 1 : 0)
+					: (item.field || item.param || item.path || item.name),
+				item.message || item.msg || item.detail));
+		} else {
+			const fields = isPlainObject(body.errors) ? body.errors : body;
+			Object.keys(fields).forEach(name => addValidationError(errors, name, fields[name]));
+		};
+		return errors;
+	};
+
+	// Add the validation message(s) of the field to the name -> messages map, skip the non-string messages
+	function addValidationError(errors, name, messages) {
+		name = Array.isArray(name) ? name.join('.') : name;
+		messages = [].concat(messages).filter(message => typeof message == 'string');
+		if (name && (typeof name == 'string' || typeof name == 'number') && messages.length)
+			errors[name] = (errors[name] || []).concat(messages);
+	};
+
+	/**
+	 * Get the timing and transfer metrics of the last request sent by this.send().
+	 * All times are in milliseconds, the ones not available (yet) are null.
+	 * 
+	 * - startTime: the time when this.send() was called (Date.now())
+	 * - firstByte: from sending the last attempt to receiving the response headers (HEADERS_RECEIVED)
+	 * - download: from receiving the response headers to the completion of the last attempt (DONE)
+	 * - total: from this.send() to the completion of the request, including all attempts and delays between them
+	 * - bytesSent: the size of the request body
+	 * - bytesReceived: the size of the response body received (from progress events or "Content-Length")
+	 * - attempts: the number of attempts made (this.attempt)
+	 * - method, url: the request method and the final URL after redirects (this.xhr.responseURL if available)
+	 * - status, errorState, cacheStatus: see this.status(), this.errorState(), this.cacheStatus
+	 * 
+	 * > See XHR.onMetrics() for more.
+	 * 
+	 * @return {object}
+	 */
+	XHR.prototype.metrics = function() {
+		const timing = this._timing || {},
+			done = this.isCompleted() && timing.done ? timing.done : 0,
+			contentLength = parseInt(this.responseHeader('Content-Length'));
+		return {
+			startTime:     timing.start || null,
+			firstByte:     timing.sent && timing.headers ? timing.headers - timing.sent : null,
+			download:      timing.headers && done ? done - timing.headers : null,
+			total:         timing.start && done ? done - timing.start : null,
+			bytesSent:     bodySize(this._body),
+			bytesReceived: timing.received || (contentLength >= 0 ? contentLength : null),
+			attempts:      this.attempt,
+			method:        requestMethod(this),
+			url:           this.xhr.responseURL || this.requestURL(),
+			status:        this.status(),
+			errorState:    this.errorState(),
+			cacheStatus:   this.cacheStatus,
+		};
+	};
+
+	if (ENV_BROWSER) {
+
+		// These methods are available in browser environment only:
+
+		/**
 		 * Send request, load response result text (this.xhr.responseText) into DOM element node.
-		 * This clears the response type (this.xhr.responseType) and overwrites the previously installed event handler.
+		 * This clears the response type (this.xhr.responseType). The response is loaded once, the handler is added by this.once().
+		 * The second argument is either the options object or the showPreloader flag (then the third one is onError).
 		 * If request fails then onError will be used:
 		 * If onError is a function then the result of calling onError(this) will be used.
 		 * If onError is not a function then its value will be used as is.
+		 * If there is no error content, the node content is cleared, or restored as it was before request if options.restore is set.
+		 * The error content always replaces the node content (as options.swap "replace").
+		 * 
+		 * The options.swap defines how the response is inserted:
+		 * 
+		 * - "replace": replace the node content (default)
+		 * - "append", "prepend": insert after the last / before the first child of the node
+		 * - "before", "after": insert before / after the node
+		 * - "outerHTML": replace the node itself
+		 * 
+		 * The events are dispatched on the node (they bubble): "xhr:beforeload" before request (it can be cancelled by preventDefault()),
+		 * "xhr:load" after the response is inserted (on the parent node for options.swap "outerHTML"), "xhr:error" if request fails.
+		 * The event.detail.xhr is this XHR instance.
 		 * 
 		 * > Requires browser API.
 		 * > XMLHttpRequest.responseText property is only available when XMLHttpRequest.responseType is "text" or empty.
 		 * 
+		 * ```javascript
+		 * XHR(url).loadInto('#content', {select: '#content > *', showPreloader: true, restore: true, scripts: true});
+		 * XHR(url_more).loadInto('#list', {select: '#list > li', swap: 'append'});
+		 * ```
 		 * @param {Element|string} node element object or CSS selector string
-		 * @param {boolean} [showPreloader] call this.showPreloader(node) before request
-		 * @param {string|function(XHR)} [onError] will be used if request fails
+		 * @param {object|boolean} [options] the options, or showPreloader flag
+		 * @param {boolean} [options.showPreloader] call this.showPreloader(node) before request
+		 * @param {string|function(XHR)} [options.onError] will be used if request fails
+		 * @param {string}  [options.select] CSS selector of the elements of response HTML to insert, instead of the whole response
+		 * @param {string}  [options.swap="replace"] How the response is inserted, see above
+		 * @param {boolean} [options.scripts] Run the `<script>` tags of the response inserted
+		 * @param {boolean} [options.restore] Restore the node content on failure, if there is no error content
+		 * @param {string|function(XHR)} [onError] will be used if request fails (if options is the showPreloader flag)
 		 * @throws {Error} if node is neither an Element instance nor a string or if document.querySelector(node) fails
 		 * @return {XHR} this
 		 */
-		XHR.prototype.loadInto = function(node, showPreloader, onError) {
-			showPreloader && (typeof this.showPreloader == 'function') && this.showPreloader(node);
-			this.responseType('').onReady(function() {
-				if ((typeof node == 'string') && node.length)
-					node = document.querySelector(node);
+		XHR.prototype.loadInto = function(node, options, onError) {
+			options = (typeof options == 'object') && options ? options : {showPreloader: options, onError: onError};
+			const target = findNode(node);
+			if (target && !dispatchNodeEvent(target, 'xhr:beforeload', this, true))
+				return this;
+			const content = target ? target.innerHTML : null;
+			options.showPreloader && (typeof this.showPreloader == 'function') && this.showPreloader(node);
+			this.responseType('').once('ready', function() {
+				node = findNode(node) || node;
 				if ((typeof node != 'object') || !(node instanceof Element))
 					throw new Error('Invalid node element / CSS selector');
-				if (this.isStatusOK())
-					node.innerHTML = this.xhr.responseText;
-				else if (typeof onError == 'function')
-					node.innerHTML = onError(this) || '';
-				else
-					node.innerHTML = onError || '';
+				// Remove the preloader
+				(content !== null) && options.showPreloader && (node.innerHTML = content);
+				if (this.isStatusOK()) {
+					const parent = node.parentNode;
+					swapContent(node, parseFragment(this.xhr.responseText, options.select), options.swap || 'replace', options.scripts);
+					dispatchNodeEvent((node.parentNode || !parent) ? node : parent, 'xhr:load', this);
+				} else {
+					const error = (typeof options.onError == 'function') ? options.onError(this) : options.onError;
+					node.innerHTML = error || (options.restore && content !== null ? content : '');
+					dispatchNodeEvent(node, 'xhr:error', this);
+				};
 			}).send();
 			return this;
 		};
 
+		// Find the DOM element by CSS selector, return the element given as is
+		function findNode(node) {
+			return ((typeof node == 'string') && node.length) ? document.querySelector(node) : (node instanceof Element) ? node : null;
+		};
+
+		// Parse the HTML into DocumentFragment, keep the elements matching the selector only (if given)
+		function parseFragment(html, selector) {
+			const template = document.createElement('template');
+			template.innerHTML = html;
+			if (!selector)
+				return template.content;
+			const fragment = document.createDocumentFragment();
+			Array.prototype.slice.call(template.content.querySelectorAll(selector)).forEach(element => fragment.appendChild(element));
+			return fragment;
+		};
+
+		// Insert the DocumentFragment according to the swap strategy (see this.loadInto()), run its scripts if needed
+		function swapContent(node, fragment, swap, runScripts) {
+			const scripts = runScripts ? Array.prototype.slice.call(fragment.querySelectorAll('script')) : [];
+			switch (swap) {
+				case 'append':    node.appendChild(fragment); break;
+				case 'prepend':   node.insertBefore(fragment, node.firstChild); break;
+				case 'before':    node.parentNode.insertBefore(fragment, node); break;
+				case 'after':     node.parentNode.insertBefore(fragment, node.nextSibling); break;
+				case 'outerHTML': node.parentNode.replaceChild(fragment, node); break;
+				default:          node.innerHTML = ''; node.appendChild(fragment);
+			};
+			// The scripts parsed by innerHTML are not executed, replace them with the new ones
+			scripts.forEach(script => {
+				const clone = document.createElement('script');
+				Array.prototype.slice.call(script.attributes).forEach(attr => clone.setAttribute(attr.name, attr.value));
+				clone.text = script.text;
+				script.parentNode.replaceChild(clone, script);
+			});
+		};
+
+		// Dispatch the bubbling CustomEvent with detail {xhr} on the node, return false if it is cancelled
+		function dispatchNodeEvent(node, type, xhr, cancelable) {
+			return node.dispatchEvent(new CustomEvent(type, {bubbles: true, cancelable: !!cancelable, detail: {xhr: xhr}}));
+		};
+
 		/**
 		 * Show preloader `<div class="xhr_preloader"...>` in the DOM element node.
 		 * It used by this.loadInto(). The caller can assign any custom implementation to this.
@@ -624,8 +2465,2154 @@
 			return this;
 		};
 
+		/**
+		 * Enable the declarative requests: bind the elements with data-xhr-* attributes inside the root node (document by default),
+		 * including the ones inserted later by the bound requests. The response is loaded by this.loadInto().
+		 * 
+		 * - data-xhr-get="url": send GET request to url, the form sends its fields as the query string (its action and method are ignored)
+		 * - data-xhr-submit="[url]" (on the form): send the form to url or form.action (see XHR.fromForm()).
+		 * - data-xhr-target="selector": the node to load the response into, the element itself by default
+		 * - data-xhr-trigger="triggers": the comma-separated list of triggers: "load" (when the element is bound),
+		 *   "every 5s" / "every 500ms" (periodically, while the element is in the document) or any DOM event name.
+		 *   The default trigger is "submit" for the forms and "click" for the other elements.
+		 * - data-xhr-swap, data-xhr-select: options.swap, options.select of this.loadInto()
+		 * - data-xhr-preloader, data-xhr-scripts, data-xhr-restore (no value): options.showPreloader, scripts, restore of this.loadInto()
+		 * 
+		 * The request of the element still in progress is aborted when it is triggered again.
+		 * The default action of the triggering event (e.g. link navigation, form submission) is prevented.
+		 * 
+		 * > Requires browser API.
+		 * 
+		 * ```html
+		 * <a href="#" data-xhr-get="/admin/users?page=2" data-xhr-target="#users" data-xhr-select="#users > *">Next page</a>
+		 * <div data-xhr-get="/admin/stats" data-xhr-trigger="load, every 30s"></div>
+		 * <form action="/admin/user/1" method="post" data-xhr-submit data-xhr-target="#result" data-xhr-restore>...</form>
+		 * <script>XHR.autoBind();</script>
+		 * ```
+		 * @param {Element|Document} [root=document]
+		 * @param {function(string=, *=, string=):XHR} [client=XHR] The constructor of requests, e.g. the client created by XHR.create()
+		 * @return {function()} The function disabling the binding
+		 */
+		XHR.autoBind = function(root, client) {
+			root = root || document;
+			client = client || XHR;
+			const bound = new WeakSet(), requests = new WeakMap(), listening = {}, timers = [];
+			const selector = '[data-xhr-get], form[data-xhr-submit]';
+			// Send the request of the bound element
+			const request = (element) => {
+				requests.has(element) && requests.get(element).abort();
+				const xhr = requestFromElement(element, client);
+				requests.set(element, xhr);
+				xhr.loadInto(element.getAttribute('data-xhr-target') || element, {
+					swap: element.getAttribute('data-xhr-swap') || '',
+					select: element.getAttribute('data-xhr-select') || '',
+					showPreloader: element.hasAttribute('data-xhr-preloader'),
+					scripts: element.hasAttribute('data-xhr-scripts'),
+					restore: element.hasAttribute('data-xhr-restore'),
+				});
+			};
+			// Handle the DOM event triggering the request
+			const onEvent = (event) => {
+				const element = (event.target instanceof Element) ? event.target.closest(selector) : null;
+				if (!element || !bound.has(element) || elementTriggers(element).indexOf(event.type) < 0)
+					return;
+				event.preventDefault();
+				request(element);
+			};
+			const listen = (type) => listening[type] || root.addEventListener(type, listening[type] = onEvent, true);
+			// Bind the elements inside the node
+			const scan = (node) => {
+				const elements = Array.prototype.slice.call(node.querySelectorAll(selector));
+				(node instanceof Element) && node.matches(selector) && elements.unshift(node);
+				elements.filter(element => !bound.has(element)).forEach(element => {
+					bound.add(element);
+					elementTriggers(element).forEach(trigger => {
+						const every = /^every\s+(\d+(?:\.\d+)?)\s*(ms|s)$/.exec(trigger);
+						if (trigger == 'load')
+							request(element);
+						else if (every) {
+							const timer = setInterval(() => root.contains(element) ? request(element) : clearInterval(timer),
+								parseFloat(every[1]) * (every[2] == 's' ? 1000 : 1));
+							timers.push(timer);
+						} else {
+							listen(trigger);
+						};
+					});
+				});
+			};
+			const onLoad = (event) => scan(event.target);
+			root.addEventListener('xhr:load', onLoad);
+			scan(root);
+			return () => {
+				root.removeEventListener('xhr:load', onLoad);
+				Object.keys(listening).forEach(type => root.removeEventListener(type, listening[type], true));
+				timers.forEach(timer => clearInterval(timer));
+			};
+		};
+
+		// Get the list of triggers of the element bound by XHR.autoBind()
+		function elementTriggers(element) {
+			const triggers = (element.getAttribute('data-xhr-trigger') || '').split(',').map(trigger => trigger.trim()).filter(Boolean);
+			return triggers.length ? triggers : [element.tagName == 'FORM' ? 'submit' : 'click'];
+		};
+
+		// Create the request of the element bound by XHR.autoBind()
+		function requestFromElement(element, client) {
+			const url = element.getAttribute('data-xhr-get');
+			if (element.tagName != 'FORM')
+				return client(url);
+			return XHR.fromForm(element, url !== null ? {client: client, url: url, method: 'GET'} : {client: client, url: element.getAttribute('data-xhr-submit')});
+		};
+
+		/**
+		 * Create the request submitting the form: the URL, method and body encoding are read from
+		 * the "action", "method" and "enctype" attributes of the form. The form fields are serialized when the request is created.
+		 * 
+		 * - The successful controls are collected as the browser does: the named enabled fields, except the buttons
+		 *   and the unchecked checkboxes / radio buttons. The repeated names, multiple selects and names ending with "[]"
+		 *   give the arrays of values. File inputs give the File objects ("multipart/form-data") or the file names.
+		 * - method="get": the fields are sent as the query string (see this.setQueryParams(), the "repeat" format is used for arrays).
+		 * - enctype="multipart/form-data": the fields are sent as FormData (see this.bodyType("multipart")).
+		 * - enctype="application/json": the fields are sent as JSON object (see this.bodyType("json")).
+		 * - Otherwise the fields are sent URL-encoded (see this.bodyType("form")).
+		 * 
+		 * The validation errors of the "422 Unprocessable Entity" and "400 Bad Request" responses (see this.validationErrors())
+		 * are mapped back onto the form: the message is set by setCustomValidity() (until the field is changed)
+		 * and "aria-invalid" attribute is set for the matching fields, the message text is put into the element
+		 * with data-xhr-error="name" attribute inside the form, if any. The messages of unknown fields are put into
+		 * the element with empty data-xhr-error attribute. The dotted names (e.g. "address.city") also match "address[city]".
+		 * The errors shown are cleared when the request is sent again.
+		 * 
+		 * > Requires browser API.
+		 * 
+		 * ```javascript
+		 * form.addEventListener('submit', event => {
+		 *   event.preventDefault();
+		 *   XHR.fromForm(form).responseType('json').promise().then(xhr => location.assign(xhr.response().url));
+		 * });
+		 * ```
+		 * @param {HTMLFormElement|string} form form element or CSS selector string
+		 * @param {object} [options]
+		 * @param {function(string=, *=, string=):XHR} [options.client=XHR] The constructor of requests, e.g. the client created by XHR.create()
+		 * @param {string} [options.url] The request URL instead of the form action
+		 * @param {string} [options.method] The request method instead of the form method
+		 * @param {boolean} [options.validation=true] Map the validation errors onto the form
+		 * @throws {Error} if the form is not found
+		 * @return {XHR} The new request, not sent yet
+		 */
+		XHR.fromForm = function(form, options) {
+			options = options || {};
+			form = (typeof form == 'string') ? document.querySelector(form) : form;
+			if (!form || form.tagName != 'FORM')
+				throw new Error('The form is not found');
+			const client = options.client || XHR,
+				url = options.url || form.getAttribute('action') || location.href,
+				method = (options.method || form.getAttribute('method') || 'GET').toUpperCase(),
+				enctype = (form.getAttribute('enctype') || '').toLowerCase(),
+				multipart = (method != 'GET') && (enctype == 'multipart/form-data'),
+				fields = formFields(form, multipart);
+			const xhr = (method == 'GET') ? client(url).setQueryParams(fields).setQueryFormat('repeat')
+				: client(url, fields, method).setQueryFormat('repeat')
+					.bodyType(multipart ? 'multipart' : (enctype == 'application/json') ? 'json' : 'form');
+			if (options.validation !== false) {
+				xhr.interceptors.request.use(() => clearFormErrors(form));
+				xhr.interceptors.response.use(() => (xhr.status() == 422 || xhr.status() == 400)
+					&& showFormErrors(form, xhr.validationErrors()));
+			};
+			return xhr;
+		};
+
+		// Collect the successful controls of the form into the name -> value map (the array for repeated names,
+		// multiple selects and names ending with "[]"). File inputs give File objects (if files) or file names.
+		function formFields(form, files) {
+			const fields = {};
+			const add = (name, values, multiple) => {
+				if (fields.hasOwnProperty(name) || multiple)
+					fields[name] = [].concat(fields.hasOwnProperty(name) ? fields[name] : [], values);
+				else
+					values.length && (fields[name] = values[0]);
+			};
+			Array.prototype.forEach.call(form.elements, element => {
+				const name = element.name, type = (element.type || '').toLowerCase();
+				if (!name || element.matches(':disabled') || ['INPUT', 'SELECT', 'TEXTAREA'].indexOf(element.tagName) < 0
+					|| ['submit', 'button', 'reset', 'image'].indexOf(type) >= 0
+					|| ((type == 'checkbox' || type == 'radio') && !element.checked))
+					return;
+				const multiple = /\[\]$/.test(name);
+				if (type == 'select-multiple')
+					add(name, Array.prototype.filter.call(element.options, option => option.selected && !option.disabled)
+						.map(option => option.value), true);
+				else if (type == 'file')
+					add(name, Array.prototype.map.call(element.files || [], file => files ? file : file.name), multiple || element.multiple);
+				else
+					add(name, [element.value], multiple);
+			});
+			return fields;
+		};
+
+		// Get the form fields matching the name of validation error ("a.b" also matches "a[b]", "a" also matches "a[]")
+		function formFieldsNamed(form, name) {
+			const bracketed = name.replace(/\.([^.]+)/g, '[$1]');
+			const item = form.elements.namedItem(name) || form.elements.namedItem(bracketed) || form.elements.namedItem(bracketed + '[]');
+			return !item ? [] : (item instanceof Element) ? [item] : Array.prototype.slice.call(item);
+		};
+
+		// Show the validation errors (the name -> messages map) on the form. See XHR.fromForm().
+		function showFormErrors(form, errors) {
+			const unknown = [];
+			var invalid = false;
+			Object.keys(errors).forEach(name => {
+				const message = errors[name].join('\n'), elements = formFieldsNamed(form, name),
+					container = Array.prototype.filter.call(form.querySelectorAll('[data-xhr-error]'),
+						node => node.getAttribute('data-xhr-error') == name)[0];
+				if (!elements.length && !container) {
+					unknown.push(message);
+					return;
+				};
+				container && (container.textContent = message);
+				elements.forEach(element => {
+					invalid = true;
+					element.setCustomValidity(message);
+					element.setAttribute('aria-invalid', 'true');
+					element.addEventListener('input', () => elements.forEach(clearFieldError), {once: true});
+				});
+			});
+			const container = form.querySelector('[data-xhr-error=""]');
+			container && unknown.length && (container.textContent = unknown.join('\n'));
+			invalid && form.reportValidity();
+		};
+
+		// Clear the validation errors shown by showFormErrors()
+		function clearFormErrors(form) {
+			Array.prototype.forEach.call(form.elements, element => (element.getAttribute('aria-invalid') == 'true') && clearFieldError(element));
+			Array.prototype.forEach.call(form.querySelectorAll('[data-xhr-error]'), node => node.textContent = '');
+		};
+
+		// Clear the validation error of the form field
+		function clearFieldError(element) {
+			element.setCustomValidity('');
+			element.removeAttribute('aria-invalid');
+		};
+
 	}; // if (ENV_BROWSER)
 
+	// =========================================================================
+	/** ## Static methods ## */
+
+	/**
+	 * Create the client: the constructor function with preconfigured defaults.
+	 * The client is called in the same way as XHR (with or without new keyword), its instances are also XHR instances.
+	 * Every instance gets its own copy of the defaults, so they can be overridden per request (e.g. by this.setHeader()).
+	 * The defaults are available (and can be modified) as Client.defaults, the changes affect the instances created later.
+	 * 
+	 * ```javascript
+	 * const api = XHR.create({baseURL: 'https://example.com/api/v1', headers: {'X-Client': 'test'}, timeout: 5e3, responseType: 'json'});
+	 * api('users/1').promise().then(xhr => console.log(xhr.response()));
+	 * api('users', {name: 'test'}).bodyType('json').setHeader('X-Client', 'other').send();
+	 * const admin = api.create({auth: {userName: 'admin', password: 'secret'}});
+	 * ```
+	 * @param {object} [defaults]
+	 * @param {string} [defaults.baseURL]      Base URL for relative request URLs. See this.requestURL().
+	 * @param {object} [defaults.headers]      Request headers. See this.setHeader().
+	 * @param {object} [defaults.data]         User data. See this.setData().
+	 * @param {object} [defaults.query]        Query string parameters. See this.setQuery().
+	 * @param {number} [defaults.timeout]      Request timeout, milliseconds. See this.setTimeout().
+	 * @param {{userName: string, password: string}} [defaults.auth] HTTP authentication data. See this.httpAuth().
+	 * @param {string} [defaults.responseType] See this.responseType().
+	 * @param {string} [defaults.bodyType]     See this.bodyType().
+	 * @param {object} [defaults.cookies]      Cookies. See this.setCookies().
+	 * @param {object} [defaults.retry]        Retry policy. See this.retry().
+	 * @param {object} [defaults.signal]       AbortSignal or XHR.CancelToken shared by all requests. See this.signal().
+	 * @param {CookieJar} [defaults.cookieJar] The cookie jar shared by all requests. See this.useCookieJar().
+	 * @param {Cache}  [defaults.cache]        The response cache shared by all requests. See this.useCache().
+	 * @param {Scheduler} [defaults.scheduler] The request scheduler shared by all requests. See this.useScheduler().
+	 * @param {function} [defaults.transport]  The transport (XMLHttpRequest factory). See this.useTransport().
+	 * @param {boolean} [defaults.rejectWithError] See this.setRejectWithError().
+	 * @param {boolean} [defaults.autoParse]   See this.setAutoParse().
+	 * @param {object|function} [defaults.tracer] The tracer recording all requests of the client. See this.useTracer().
+	 * @return {function(string=, *=, string=):XHR} Client constructor
+	 */
+	XHR.create = function(defaults) {
+		var Client = function(url, postData, method) {
+			if ((typeof this != 'object') || !(this instanceof Client))
+				return new Client(url, postData, method);
+			XHR.call(this, url, postData, method);
+			applyDefaults(this, Client.defaults);
+		};
+		Client.prototype = Object.create(XHR.prototype);
+		Client.prototype.constructor = Client;
+		Client.defaults = Object.assign({}, defaults);
+		/**
+		 * Create the derived client, the defaults given are merged into the defaults of this client (headers, data, query, cookies are merged by name)
+		 * @param {object} [defaults]
+		 * @return {function(string=, *=, string=):XHR} Client constructor
+		 */
+		Client.create = (defaults) => XHR.create(mergeDefaults(Client.defaults, defaults));
+		return Client;
+	};
+
+	/**
+	 * Set/clear the global metrics handler, called with (metrics, xhr) every time a request is completed
+	 * (once per request, after all attempts), before the handlers set with this.onReady(), this.onSuccess(), this.promise().
+	 * If handler is not a function then the handler will be removed.
+	 * 
+	 * > See this.metrics() for more.
+	 * 
+	 * ```javascript
+	 * XHR.onMetrics((metrics, xhr) => monitoring.timing('http.' + metrics.method, metrics.total, {status: metrics.status}));
+	 * ```
+	 * @param {function(object, XHR)} [handler]
+	 * @return {function} XHR
+	 */
+	XHR.onMetrics = function(handler) {
+		XHR.metricsHandler = (typeof handler == 'function') ? handler : null;
+		return XHR;
+	};
+
+	/**
+	 * The global metrics handler. See XHR.onMetrics().
+	 * @type {function(object, XHR)|null}
+	 */
+	XHR.metricsHandler = null;
+
+	/**
+	 * Set/clear the global handler of the errors thrown by the event handlers (see this.on()), the metrics handler
+	 * (see XHR.onMetrics()), the tracers (see XHR.useTracer()) and the XHR.EventSource listeners.
+	 * The handler is called with (error, xhr, type), where type is the event type, "metrics", "trace"
+	 * or "eventsource:" + event type (xhr is the request of the XHR.EventSource).
+	 * The error does not stop the other handlers and the request processing.
+	 * Without the handler the error is rethrown asynchronously, so it is reported as uncaught.
+	 * If handler is not a function then the handler will be removed.
+	 * 
+	 * ```javascript
+	 * XHR.onHandlerError((error, xhr, type) => logger.error('The "' + type + '" handler failed: ' + xhr.requestURL(), error));
+	 * ```
+	 * @param {function(*, XHR, string)} [handler]
+	 * @return {function} XHR
+	 */
+	XHR.onHandlerError = function(handler) {
+		XHR.handlerErrorHandler = (typeof handler == 'function') ? handler : null;
+		return XHR;
+	};
+
+	/**
+	 * The global handler of the errors thrown by the handlers. See XHR.onHandlerError().
+	 * @type {function(*, XHR, string)|null}
+	 */
+	XHR.handlerErrorHandler = null;
+
+	/**
+	 * Set/clear the global tracer recording all requests (XHR.tracer), except the ones with their own tracer (see this.useTracer()).
+	 * The tracer is the object with record(entry, xhr) method (e.g. XHR.ConsoleTracer, XHR.TraceLog) or the function(entry, xhr).
+	 * If tracer is neither an object nor a function then the tracer will be removed.
+	 * The entry is recorded when the request is completed (once per request, after all attempts), it has the following properties:
+	 * 
+	 * - startedDateTime: the time when this.send() was called (ISO 8601 string)
+	 * - method, url: the request method and URL (this.requestURL())
+	 * - requestHeaders: the request headers (this.headers and "Content-Type" set by this.bodyType())
+	 * - requestBody: the request body as text (FormData, Blob etc are described by type and size)
+	 * - status, statusText: the response status (0 if the request failed without response)
+	 * - responseHeaders: the response headers name -> value map (lowercase names)
+	 * - responseBody: the response body as text ("json" response is serialized, the other non-text types are empty)
+	 * - error: the reason of request failure (this.errorState(true)) or empty string
+	 * - metrics: the timing and transfer metrics, see this.metrics()
+	 * 
+	 * ```javascript
+	 * XHR.useTracer(process.env.DEBUG_HTTP ? new XHR.ConsoleTracer() : null);
+	 * XHR.useTracer((entry, xhr) => entry.error && reporter.send(entry));
+	 * ```
+	 * @param {object|function(object, XHR)} [tracer]
+	 * @return {function} XHR
+	 */
+	XHR.useTracer = function(tracer) {
+		XHR.tracer = ((typeof tracer == 'object') && tracer) || (typeof tracer == 'function') ? tracer : null;
+		return XHR;
+	};
+
+	/**
+	 * The global tracer. See XHR.useTracer().
+	 * @type {object|function(object, XHR)|null}
+	 */
+	XHR.tracer = null;
+
+	/**
+	 * The library version, e.g. written into the HAR log (see XHR.toHAR()).
+	 * @type {string}
+	 */
+	XHR.version = '1.0.0';
+
+	/**
+	 * The global default for this.setRejectWithError(): reject this.promise() with XHRError instead of the XHR instance.
+	 * It is false by default to keep the existing callers working.
+	 * @type {boolean}
+	 */
+	XHR.rejectWithError = false;
+
+	/**
+	 * The global default for this.setAutoParse(): parse the response text by "Content-Type" response header.
+	 * It is false by default to keep the existing callers working (this.response() returns the text).
+	 * @type {boolean}
+	 */
+	XHR.autoParse = false;
+
+	/**
+	 * The response body parsers by MIME type, used by this.response() when this.xhr.responseType is empty
+	 * and the parsing is enabled (see this.setAutoParse(), this.validate()).
+	 * The parser(text, contentType) returns the parsed body or throws the error if the text is malformed.
+	 * The types with "+json" / "+xml" suffix are parsed as "application/json" / "application/xml",
+	 * the other "text/*" types as "text/plain". The other types are left as text. The caller can add or replace the parsers.
+	 * 
+	 * - "application/json": JSON.parse()
+	 * - "application/xml", "text/xml": the Document parsed by DOMParser (browser only, the text is left as is without DOMParser)
+	 * - "text/csv": the array of rows (arrays of strings), or the array of objects if "header=present" parameter is set (RFC 7111)
+	 * - "text/plain": the text as is
+	 * 
+	 * ```javascript
+	 * XHR.parsers['application/x-ndjson'] = text => text.split('\n').filter(Boolean).map(line => JSON.parse(line));
+	 * ```
+	 * @type {Object<string, function(string, string):*>}
+	 * @x-id XHR.parsers
+	 */
+	XHR.parsers = {
+		'application/json': (text) => JSON.parse(text),
+		'application/xml':  (text, contentType) => {
+			if (typeof DOMParser != 'function')
+				return text;
+			const xml = (new DOMParser()).parseFromString(text, contentType.split(';')[0].trim());
+			const error = xml.getElementsByTagName('parsererror')[0];
+			if (error)
+				throw new SyntaxError(error.textContent);
+			return xml;
+		},
+		'text/csv': (text, contentType) => {
+			const rows = parseCSV(text);
+			if (!/;\s*header=present/.test(contentType))
+				return rows;
+			const names = rows.shift() || [];
+			return rows.map(row => names.reduce((item, name, index) => (item[name] = row[index], item), {}));
+		},
+		'text/plain': (text) => text,
+	};
+	XHR.parsers['text/xml'] = XHR.parsers['application/xml'];
+
+	/**
+	 * Send the requests in parallel (at most options.concurrency at once) and return the Promise resolved with the outcomes
+	 * of all requests (in the order of the list) when all of them are succeeded. The requests are XHR instances
+	 * or the config objects: {url, postData, method} with the client defaults (headers, query, timeout, responseType etc, see XHR.create()).
+	 * Every request is sent by this.promise(). The outcome of the request is the object with the following properties:
+	 * 
+	 * - index: the index of the request in the list
+	 * - xhr: the XHR instance
+	 * - ok: true if the request is succeeded (errorState is this.ERR_NONE)
+	 * - errorState, status, response, error: see this.errorState(), this.status(), this.response(), this.error()
+	 * - metrics: the timing and transfer metrics, see this.metrics()
+	 * 
+	 * The promise is rejected with the outcome of the first failed request. With options.failFast (default) it is rejected
+	 * as soon as the request fails, the other requests in progress are aborted and the rest of them are not sent.
+	 * Otherwise all requests are completed before. See XHR.allSettled() to get the outcomes of all requests regardless of errors.
+	 * 
+	 * ```javascript
+	 * XHR.all([XHR(url_user).responseType('json'), {url: url_orders, query: {user: 1}, responseType: 'json'}], {concurrency: 2})
+	 *   .then(([user, orders]) => render(user.response, orders.response))
+	 *   .catch(failed => console.warn('Request #' + failed.index + ' failed: ' + failed.error.message));
+	 * ```
+	 * @param {Array<XHR|object>} requests
+	 * @param {object} [options]
+	 * @param {number} [options.concurrency=Infinity] The max number of requests in progress at once
+	 * @param {boolean} [options.failFast=true] Reject as soon as the first request fails
+	 * @return {Promise<object[]>}
+	 */
+	XHR.all = function(requests, options) {
+		options = options || {};
+		return runBatch(requests, options.concurrency, outcome => !outcome.ok && (options.failFast !== false)).then(settleBatch);
+	};
+
+	/**
+	 * Send the requests in parallel (at most options.concurrency at once) and return the Promise resolved with the outcomes
+	 * of all requests (in the order of the list) when all of them are completed, regardless of errors. See XHR.all() for more.
+	 * 
+	 * ```javascript
+	 * const outcomes = await XHR.allSettled(urls.map(url => ({url: url, timeout: 5e3})), {concurrency: 4});
+	 * outcomes.filter(outcome => !outcome.ok).forEach(outcome => console.warn(outcome.error.message));
+	 * ```
+	 * @param {Array<XHR|object>} requests
+	 * @param {object} [options]
+	 * @param {number} [options.concurrency=Infinity] The max number of requests in progress at once
+	 * @return {Promise<object[]>}
+	 */
+	XHR.allSettled = function(requests, options) {
+		return runBatch(requests, (options || {}).concurrency, () => false);
+	};
+
+	/**
+	 * Send all requests in parallel and return the Promise settled with the outcome of the first completed request:
+	 * resolved if it is succeeded, rejected otherwise. The other requests are aborted. See XHR.all() for more.
+	 * The promise is rejected with TypeError if the list is empty.
+	 * 
+	 * ```javascript
+	 * XHR.race(mirrors.map(mirror => XHR(mirror + path).setTimeout(3e3))).then(outcome => save(outcome.xhr.responseText()));
+	 * ```
+	 * @param {Array<XHR|object>} requests
+	 * @return {Promise<object>}
+	 */
+	XHR.race = function(requests) {
+		if (!requests.length)
+			return Promise.reject(new TypeError('The list of requests to race is empty'));
+		return runBatch(requests, 0, () => true)
+			.then(outcomes => outcomes.filter(Boolean)[0])
+			.then(outcome => outcome.ok ? outcome : Promise.reject(outcome));
+	};
+
+	/**
+	 * Send the requests one by one and return the Promise resolved with the outcomes of all requests,
+	 * or rejected with the outcome of the first failed request (see XHR.all(), options.failFast).
+	 * The list can also contain the functions called with the outcome of the previous request (undefined for the first one)
+	 * right before sending, which return the request (XHR instance or config object).
+	 * 
+	 * ```javascript
+	 * XHR.sequence([
+	 *   {url: url_login, postData: {user, password}, bodyType: 'form', cookieJar: jar},
+	 *   login => ({url: url_profile, cookieJar: jar, responseType: 'json'}),
+	 * ]).then(outcomes => console.log(outcomes[1].response));
+	 * ```
+	 * @param {Array<XHR|object|function(object=):(XHR|object)>} requests
+	 * @param {object} [options]
+	 * @param {boolean} [options.failFast=true] Stop as soon as the request fails
+	 * @return {Promise<object[]>}
+	 */
+	XHR.sequence = function(requests, options) {
+		options = options || {};
+		return runBatch(requests, 1, outcome => !outcome.ok && (options.failFast !== false)).then(settleBatch);
+	};
+
+	// Send the requests of the batch (see XHR.all()) at most concurrency at once, resolve with the list of outcomes.
+	// The batch is stopped if stop(outcome) returns true: the requests in progress are aborted, the rest of them are not sent.
+	// The error thrown while creating or sending the request rejects the batch, the requests in progress are aborted.
+	function runBatch(requests, concurrency, stop) {
+		concurrency = concurrency > 0 ? concurrency : Infinity;
+		return new Promise((resolve, reject) => {
+			const outcomes = new Array(requests.length), running = [];
+			var next = 0, completed = 0, stopped = false;
+			// Stop the batch because of the error
+			const fail = (error) => {
+				stopped = true;
+				running.slice().forEach(request => request.abort());
+				reject(error);
+			};
+			const start = () => {
+				if (stopped || running.length >= concurrency || next >= requests.length)
+					return;
+				const index = next++;
+				let request;
+				try {
+					request = batchRequest(requests[index], outcomes[index - 1]);
+				} catch (error) {
+					return fail(error);
+				};
+				const done = () => {
+					running.splice(running.indexOf(request), 1);
+					if (stopped)
+						return;
+					const outcome = outcomes[index] = batchOutcome(request, index);
+					completed++;
+					if (stop(outcome) || completed == requests.length) {
+						stopped = true;
+						running.slice().forEach(request => request.abort());
+						return resolve(outcomes);
+					};
+					start();
+				};
+				running.push(request);
+				// this.promise() is rejected with the request (or its XHRError) when it fails, with the error thrown by this.send() otherwise
+				request.promise().then(done, reason => (reason === request) || ((reason instanceof XHR.XHRError) && reason.xhr === request)
+					? done() : (running.splice(running.indexOf(request), 1), fail(reason)));
+				// The next request is started after the rejection above is handled, so the batch is stopped if this.send() throws
+				Promise.resolve().then(start);
+			};
+			requests.length ? start() : resolve(outcomes);
+		});
+	};
+
+	// Get the request of the batch item: the XHR instance as is, the request created by the config object (see XHR.all())
+	// or by the function called with the outcome of the previous request (see XHR.sequence())
+	function batchRequest(item, previous) {
+		(typeof item == 'function') && (item = item(previous));
+		if (item instanceof XHR)
+			return item;
+		if (!isPlainObject(item))
+			throw new TypeError('The batch request is neither XHR instance nor config object');
+		const request = new XHR(item.url, item.postData, item.method);
+		applyDefaults(request, item);
+		return request;
+	};
+
+	// Get the outcome of the completed request of the batch. See XHR.all().
+	function batchOutcome(request, index) {
+		return {
+			index:      index,
+			xhr:        request,
+			ok:         request.errorState() == request.ERR_NONE,
+			errorState: request.errorState(),
+			status:     request.status(),
+			response:   request.response(),
+			error:      request.error(),
+			metrics:    request.metrics(),
+		};
+	};
+
+	// Resolve with the outcomes of the batch if all requests are succeeded, reject with the outcome of the first failed one
+	function settleBatch(outcomes) {
+		const failed = outcomes.filter(outcome => outcome && !outcome.ok)[0];
+		return failed ? Promise.reject(failed) : outcomes;
+	};
+
+	/**
+	 * The tracer writing the requests to the console (or to the output function given) with the sensitive headers redacted.
+	 * See XHR.useTracer(), this.useTracer().
+	 * 
+	 * ```javascript
+	 * XHR.useTracer(new XHR.ConsoleTracer({maxBody: 200, output: text => process.stderr.write(text + '\n')}));
+	 * // GET https://example.com/api/users?page=2 -> 200 OK (153ms)
+	 * //   > Authorization: [redacted]
+	 * //   < content-type: application/json
+	 * //   < [{"id":21,"name":"test"},...
+	 * ```
+	 * @param {object} [options]
+	 * @param {string[]} [options.redact=["Authorization", "Proxy-Authorization", "Cookie", "Set-Cookie"]] The headers to redact
+	 * @param {number} [options.maxBody=1000] The max length of the bodies written, 0 - the bodies are not written
+	 * @param {function(string)} [options.output=console.log]
+	 * 
+	 * @property {string[]} redact
+	 * @property {number}   maxBody
+	 * @property {function(string)} output
+	 */
+	XHR.ConsoleTracer = function(options) {
+		if ((typeof this != 'object') || !(this instanceof XHR.ConsoleTracer))
+			return new XHR.ConsoleTracer(options);
+		options = options || {};
+		this.redact  = Array.isArray(options.redact) ? options.redact : sensitiveHeaders();
+		this.maxBody = (typeof options.maxBody == 'number') && options.maxBody >= 0 ? options.maxBody : 1000;
+		this.output  = (typeof options.output == 'function') ? options.output : (text) => console.log(text);
+	};
+
+	/**
+	 * Write the entry of the completed request
+	 * @param {object} entry
+	 */
+	XHR.ConsoleTracer.prototype.record = function(entry) {
+		entry = redactEntry(entry, this.redact);
+		const lines = [entry.method + ' ' + entry.url + ' -> ' + (entry.status ? entry.status + (entry.statusText ? ' ' + entry.statusText : '') : '-')
+			+ (entry.error ? ' [' + entry.error + ']' : '') + ' (' + entry.metrics.total + 'ms'
+			+ (entry.metrics.attempts > 1 ? ', ' + entry.metrics.attempts + ' attempts' : '') + ')'];
+		// Add the headers and the body (truncated) with the prefix given
+		const add = (prefix, headers, body) => {
+			Object.keys(headers).forEach(name => lines.push('  ' + prefix + ' ' + name + ': ' + headers[name]));
+			body && this.maxBody && lines.push('  ' + prefix + ' ' + (body.length > this.maxBody ? body.substr(0, this.maxBody) + '...' : body));
+		};
+		add('>', entry.requestHeaders, entry.requestBody);
+		add('<', entry.responseHeaders, entry.responseBody);
+		this.output(lines.join('\n'));
+	};
+
+	/**
+	 * The tracer keeping the last entries in memory (the ring buffer), e.g. to export them as HAR. See XHR.useTracer(), this.useTracer().
+	 * 
+	 * ```javascript
+	 * const log = XHR.useTracer(new XHR.TraceLog({size: 50})).tracer;
+	 * process.on('exit', code => code && log.save('requests.har'));
+	 * ```
+	 * @param {object} [options]
+	 * @param {number} [options.size=100] The max number of entries kept
+	 * @param {string[]} [options.redact=["Authorization", "Proxy-Authorization", "Cookie", "Set-Cookie"]] The headers to redact, [] - keep all headers
+	 * 
+	 * @property {object[]} entries The entries recorded, from the oldest to the newest
+	 * @property {number}   size
+	 * @property {string[]} redact
+	 */
+	XHR.TraceLog = function(options) {
+		if ((typeof this != 'object') || !(this instanceof XHR.TraceLog))
+			return new XHR.TraceLog(options);
+		options = options || {};
+		this.entries = [];
+		this.size    = options.size > 0 ? options.size : 100;
+		this.redact  = Array.isArray(options.redact) ? options.redact : sensitiveHeaders();
+	};
+
+	/**
+	 * Add the entry of the completed request, remove the oldest entries over this.size
+	 * @param {object} entry
+	 */
+	XHR.TraceLog.prototype.record = function(entry) {
+		this.entries.push(redactEntry(entry, this.redact));
+		(this.entries.length > this.size) && this.entries.splice(0, this.entries.length - this.size);
+	};
+
+	/**
+	 * Remove all entries
+	 * @return {TraceLog} this
+	 */
+	XHR.TraceLog.prototype.clear = function() {
+		this.entries = [];
+		return this;
+	};
+
+	/**
+	 * Export the entries as HAR. See XHR.toHAR().
+	 * @return {object}
+	 */
+	XHR.TraceLog.prototype.toHAR = function() {
+		return XHR.toHAR(this.entries);
+	};
+
+	/**
+	 * Save the entries into the HAR file
+	 * 
+	 * > Requires Node.JS API.
+	 * 
+	 * @param {string} file
+	 * @return {TraceLog} this
+	 */
+	XHR.TraceLog.prototype.save = function(file) {
+		require('fs').writeFileSync(file, JSON.stringify(this.toHAR(), null, '\t'));
+		return this;
+	};
+
+	/**
+	 * Convert the trace entries (see XHR.useTracer()) into HAR 1.2 object (HTTP Archive, see http://www.softwareishard.com/blog/har-12-spec/),
+	 * which can be saved as JSON and opened by the browser devtools and other HAR viewers.
+	 * The time of DNS lookup, connection etc is not known, so it is reported as -1 (the "wait" includes it).
+	 * @param {object[]} entries
+	 * @return {object}
+	 */
+	XHR.toHAR = function(entries) {
+		return {log: {version: '1.2', creator: {name: 'xhrless', version: XHR.version}, entries: [].concat(entries || []).map(harEntry)}};
+	};
+
+	// Get the headers redacted by the tracers by default
+	function sensitiveHeaders() {
+		return ['Authorization', 'Proxy-Authorization', 'Cookie', 'Set-Cookie'];
+	};
+
+	// Copy the trace entry with the values of the headers listed replaced by "[redacted]"
+	function redactEntry(entry, names) {
+		if (!names.length)
+			return entry;
+		names = names.map(name => name.toLowerCase());
+		const redact = (headers) => Object.keys(headers).reduce((result, name) => {
+			result[name] = (names.indexOf(name.toLowerCase()) >= 0) ? '[redacted]' : headers[name];
+			return result;
+		}, {});
+		return Object.assign({}, entry, {requestHeaders: redact(entry.requestHeaders), responseHeaders: redact(entry.responseHeaders)});
+	};
+
+	// Convert the trace entry into HAR entry. See XHR.toHAR().
+	function harEntry(entry) {
+		const metrics = entry.metrics || {}, url = parseURL(entry.url), query = [];
+		const headers = (map) => Object.keys(map).map(name => ({name: name, value: String(map[name])}));
+		url && url.searchParams.forEach((value, name) => query.push({name: name, value: value}));
+		const request = {
+			method:      entry.method,
+			url:         entry.url,
+			httpVersion: 'HTTP/1.1',
+			cookies:     [],
+			headers:     headers(entry.requestHeaders),
+			queryString: query,
+			headersSize: -1,
+			bodySize:    entry.requestBody ? metrics.bytesSent || bodySize(entry.requestBody) : 0,
+		};
+		entry.requestBody && (request.postData = {mimeType: headerValue(entry.requestHeaders, 'Content-Type') || '', text: entry.requestBody});
+		return {
+			startedDateTime: entry.startedDateTime,
+			time:            metrics.total || 0,
+			request:         request,
+			response: {
+				status:      entry.status,
+				statusText:  entry.statusText,
+				httpVersion: 'HTTP/1.1',
+				cookies:     [],
+				headers:     headers(entry.responseHeaders),
+				content:     {size: bodySize(entry.responseBody), mimeType: headerValue(entry.responseHeaders, 'Content-Type') || '', text: entry.responseBody},
+				redirectURL: headerValue(entry.responseHeaders, 'Location') || '',
+				headersSize: -1,
+				bodySize:    (metrics.bytesReceived === null || metrics.bytesReceived === undefined) ? -1 : metrics.bytesReceived,
+			},
+			cache:   {},
+			timings: {blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: metrics.firstByte || 0, receive: metrics.download || 0},
+			comment: entry.error,
+		};
+	};
+
+	/**
+	 * The base class of request errors (an Error subclass), created by this.error().
+	 * The subclasses are: XHR.ConnectionError, XHR.HTTPStatusError, XHR.BodyTypeError, XHR.AbortError, XHR.TimeoutError.
+	 * 
+	 * @param {XHR} xhr The failed request
+	 * 
+	 * @property {string} name     Error class name
+	 * @property {string} message  Error message: the reason (this.errorState(true)), method and URL
+	 * @property {number} code     Error code (this.errorState()), e.g. XHR.prototype.ERR_HTTPSTATUS
+	 * @property {number} status   HTTP response status code
+	 * @property {string} method   Request method
+	 * @property {string} url      Request URL (this.requestURL())
+	 * @property {*}      response Response body (this.response())
+	 * @property {number} attempt  The number of attempts made (this.attempt)
+	 * @property {*}      cause    The error thrown by an interceptor (this.interceptorError), if any
+	 * @property {object|null} schemaError The reason why the response body is rejected (this.schemaError). See this.validate().
+	 * @property {XHR}    xhr      The failed request
+	 */
+	XHR.XHRError = function(xhr) {
+		this.name     = this.constructor.name || 'XHRError';
+		this.code     = xhr.errorState();
+		this.status   = xhr.status();
+		this.method   = requestMethod(xhr);
+		this.url      = xhr.requestURL();
+		this.response = xhr.response();
+		this.attempt  = xhr.attempt;
+		this.cause    = xhr.interceptorError;
+		this.schemaError = xhr.schemaError;
+		this.xhr      = xhr;
+		this.message  = xhr.errorState(true) + ': ' + this.method + ' ' + this.url;
+		if (typeof Error.captureStackTrace == 'function')
+			Error.captureStackTrace(this, this.constructor);
+		else
+			this.stack = (new Error(this.message)).stack;
+	};
+	XHR.XHRError.prototype = Object.create(Error.prototype);
+	XHR.XHRError.prototype.constructor = XHR.XHRError;
+
+	// Define the XHRError subclass with the name given
+	function defineError(name) {
+		const ErrorClass = XHR[name] = function(xhr) {
+			XHR.XHRError.call(this, xhr);
+		};
+		Object.defineProperty(ErrorClass, 'name', {value: name});
+		ErrorClass.prototype = Object.create(XHR.XHRError.prototype);
+		ErrorClass.prototype.constructor = ErrorClass;
+	};
+
+	/**
+	 * The XHRError subclasses matching the error codes:
+	 * XHR.ConnectionError (ERR_CONNECTION), XHR.HTTPStatusError (ERR_HTTPSTATUS), XHR.BodyTypeError (ERR_BODYTYPE),
+	 * XHR.AbortError (ERR_ABORTED), XHR.TimeoutError (ERR_TIMEOUT)
+	 * @type {function(XHR)}
+	 * @x-id XHR.*Error
+	 */
+	['ConnectionError', 'HTTPStatusError', 'BodyTypeError', 'AbortError', 'TimeoutError'].forEach(defineError);
+	Object.defineProperty(XHR.XHRError, 'name', {value: 'XHRError'});
+
+	/**
+	 * The lightweight replacement of AbortController/AbortSignal for environments without them. See this.signal().
+	 * 
+	 * ```javascript
+	 * const token = new XHR.CancelToken();
+	 * XHR(url).signal(token).promise();
+	 * token.cancel('Navigated away');
+	 * ```
+	 * @property {boolean} aborted Whether the token is cancelled
+	 * @property {*}       reason  The reason passed to this.cancel()
+	 */
+	XHR.CancelToken = function() {
+		if ((typeof this != 'object') || !(this instanceof XHR.CancelToken))
+			return new XHR.CancelToken();
+		this.aborted   = false;
+		this.reason    = undefined;
+		this.listeners = [];
+	};
+
+	/**
+	 * Cancel the token, abort all requests using it. Only the first call takes effect.
+	 * @param {*} [reason]
+	 * @return {CancelToken} this
+	 */
+	XHR.CancelToken.prototype.cancel = function(reason) {
+		if (!this.aborted) {
+			this.aborted = true;
+			this.reason  = reason;
+			this.listeners.slice().forEach(listener => listener.call(this, {type: 'abort', target: this}));
+		};
+		return this;
+	};
+
+	/**
+	 * Add the "abort" event listener, the same as AbortSignal.addEventListener()
+	 * @param {string} type
+	 * @param {function(object)} listener
+	 */
+	XHR.CancelToken.prototype.addEventListener = function(type, listener) {
+		(type == 'abort') && (typeof listener == 'function') && this.listeners.indexOf(listener) < 0 && this.listeners.push(listener);
+	};
+
+	/**
+	 * Remove the "abort" event listener, the same as AbortSignal.removeEventListener()
+	 * @param {string} type
+	 * @param {function(object)} listener
+	 */
+	XHR.CancelToken.prototype.removeEventListener = function(type, listener) {
+		this.listeners = this.listeners.filter(item => item !== listener);
+	};
+
+	/**
+	 * The in-memory cookie jar for Node.JS sessions. See this.useCookieJar().
+	 * The jar can be serialized to JSON (JSON.stringify(jar), XHR.CookieJar.fromJSON()) or saved to the file (this.save(), XHR.CookieJar.load()).
+	 * 
+	 * > Requires Node.JS API.
+	 * 
+	 * @param {object[]} [cookies] The list of cookies, see this.cookies
+	 * @property {object[]} cookies The list of stored cookies:
+	 *   {name, value, domain, path, expires (timestamp, null for session cookies), hostOnly, secure, httpOnly}
+	 */
+	XHR.CookieJar = function(cookies) {
+		if ((typeof this != 'object') || !(this instanceof XHR.CookieJar))
+			return new XHR.CookieJar(cookies);
+		this.cookies = Array.isArray(cookies) ? cookies.map(cookie => Object.assign({}, cookie)) : [];
+	};
+
+	/**
+	 * Parse the "Set-Cookie" header value received from url and store the cookie.
+	 * The cookies with the Domain attribute not matching the url host are ignored.
+	 * The cookies with the Domain attribute set to the public suffix (the name without dots or listed in XHR.CookieJar.publicSuffixes)
+	 * are ignored too, unless the url host is the same, then the cookie is stored as the host-only one (RFC 6265, 5.3).
+	 * The cookie expired by Expires/Max-Age attributes is removed from the jar.
+	 * @param {string} header
+	 * @param {string} url
+	 * @return {CookieJar} this
+	 */
+	XHR.CookieJar.prototype.setCookie = function(header, url) {
+		if ((typeof header != 'string') || !header.length)
+			return this;
+		// Several cookies can be joined by comma, but the comma inside the Expires date is not a separator
+		if (/,\s*[^;,=\s]+=/.test(header))
+			return header.split(/,(?=\s*[^;,=\s]+=)/).forEach(item => this.setCookie(item, url)), this;
+		const location = parseURL(url),
+			parts = header.split(';'),
+			iEq = parts[0].indexOf('=');
+		if (!location || iEq <= 0)
+			return this;
+		const cookie = {
+			name: parts[0].substr(0, iEq).trim(), value: parts[0].substr(iEq + 1).trim(),
+			domain: location.hostname, path: location.pathname.replace(/\/[^\/]*$/, '') || '/',
+			expires: null, hostOnly: true, secure: false, httpOnly: false,
+		};
+		parts.slice(1).forEach(part => {
+			const iEq = part.indexOf('='),
+				name  = (iEq < 0 ? part : part.substr(0, iEq)).trim().toLowerCase(),
+				value = iEq < 0 ? '' : part.substr(iEq + 1).trim();
+			if (name == 'domain' && value) {
+				cookie.domain = value.replace(/^\./, '').toLowerCase();
+				cookie.hostOnly = false;
+			} else if (name == 'path' && value.charAt(0) == '/') {
+				cookie.path = value;
+			} else if (name == 'expires' && cookie.maxAge === undefined) {
+				const time = Date.parse(value);
+				isNaN(time) || (cookie.expires = time);
+			} else if (name == 'max-age' && /^-?\d+$/.test(value)) {
+				cookie.maxAge  = parseInt(value);
+				cookie.expires = Date.now() + cookie.maxAge * 1000;
+			} else if (name == 'secure') {
+				cookie.secure = true;
+			} else if (name == 'httponly') {
+				cookie.httpOnly = true;
+			};
+		});
+		delete(cookie.maxAge);
+		if (!cookie.hostOnly && !domainMatch(location.hostname, cookie.domain))
+			return this;
+		if (!cookie.hostOnly && publicSuffix(cookie.domain)) {
+			if (cookie.domain != location.hostname.toLowerCase())
+				return this;
+			cookie.hostOnly = true;
+		};
+		this.cookies = this.cookies.filter(item => item.name != cookie.name || item.domain != cookie.domain || item.path != cookie.path);
+		if (cookie.expires === null || cookie.expires > Date.now())
+			this.cookies.push(cookie);
+		return this;
+	};
+
+	/**
+	 * Get the list of stored cookies (not expired) matching url by domain, path and secure attribute.
+	 * The cookies with longer paths are listed first.
+	 * @param {string} url
+	 * @return {object[]}
+	 */
+	XHR.CookieJar.prototype.getCookies = function(url) {
+		const location = parseURL(url), now = Date.now();
+		if (!location)
+			return [];
+		this.cookies = this.cookies.filter(cookie => cookie.expires === null || cookie.expires > now);
+		return this.cookies.filter(cookie =>
+			(cookie.hostOnly ? location.hostname == cookie.domain : domainMatch(location.hostname, cookie.domain)) &&
+			(location.pathname == cookie.path || location.pathname.indexOf(cookie.path.replace(/\/?$/, '/')) == 0) &&
+			(!cookie.secure || location.protocol == 'https:')
+		).sort((a, b) => b.path.length - a.path.length);
+	};
+
+	/**
+	 * Get the "Cookie" request header value for url, or an empty string if there are no matching cookies
+	 * @param {string} url
+	 * @return {string}
+	 */
+	XHR.CookieJar.prototype.getCookieHeader = function(url) {
+		return this.getCookies(url).map(cookie => cookie.name + '=' + cookie.value).join('; ');
+	};
+
+	/**
+	 * Remove all cookies from the jar
+	 * @return {CookieJar} this
+	 */
+	XHR.CookieJar.prototype.clear = function() {
+		this.cookies = [];
+		return this;
+	};
+
+	/**
+	 * Get the serializable state of the jar, used by JSON.stringify(). The session cookies are included too.
+	 * @return {{cookies: object[]}}
+	 */
+	XHR.CookieJar.prototype.toJSON = function() {
+		const now = Date.now();
+		return {cookies: this.cookies.filter(cookie => cookie.expires === null || cookie.expires > now)};
+	};
+
+	/**
+	 * Save the jar into the file as JSON
+	 * 
+	 * > Requires Node.JS API.
+	 * 
+	 * @param {string} file
+	 * @return {CookieJar} this
+	 */
+	XHR.CookieJar.prototype.save = function(file) {
+		require('fs').writeFileSync(file, JSON.stringify(this));
+		return this;
+	};
+
+	/**
+	 * Create the jar from JSON string or object (the result of this.toJSON())
+	 * @param {string|object} json
+	 * @return {CookieJar}
+	 */
+	XHR.CookieJar.fromJSON = function(json) {
+		const state = (typeof json == 'string') ? JSON.parse(json) : json;
+		return new XHR.CookieJar(state && state.cookies);
+	};
+
+	/**
+	 * Create the jar loaded from the file saved by this.save(). If the file does not exist then the jar is empty.
+	 * 
+	 * > Requires Node.JS API.
+	 * 
+	 * @param {string} file
+	 * @return {CookieJar}
+	 */
+	XHR.CookieJar.load = function(file) {
+		const fs = require('fs');
+		return fs.existsSync(file) ? XHR.CookieJar.fromJSON(fs.readFileSync(file, 'utf8')) : new XHR.CookieJar();
+	};
+
+	/**
+	 * The public suffixes (in addition to the names without dots, e.g. "com"), the cookies can not be set for their domains.
+	 * See this.setCookie(). The list contains the common ones only, the caller can add the others
+	 * (see https://publicsuffix.org/list/).
+	 * 
+	 * ```javascript
+	 * XHR.CookieJar.publicSuffixes.push('co.il', 'org.il');
+	 * ```
+	 * @type {string[]}
+	 * @x-id XHR.CookieJar.publicSuffixes
+	 */
+	XHR.CookieJar.publicSuffixes = [
+		'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'com.au', 'net.au', 'org.au', 'co.nz', 'co.jp', 'ne.jp', 'or.jp', 'co.kr',
+		'com.cn', 'com.hk', 'com.tw', 'com.sg', 'co.in', 'com.br', 'com.mx', 'com.ar', 'com.tr', 'co.za', 'com.ua',
+		'github.io', 'gitlab.io', 'herokuapp.com', 'appspot.com', 'blogspot.com', 'netlify.app', 'vercel.app', 'pages.dev',
+		'workers.dev', 'azurewebsites.net', 'cloudfront.net', 'amazonaws.com',
+	];
+
+	// Parse the URL (relative to the base URL or to the document URL in browser), returns null if it fails
+	function parseURL(url, base) {
+		try {
+			const URLClass = (typeof URL == 'function') ? URL : require('url').URL;
+			return new URLClass(url, base || (ENV_BROWSER ? document.baseURI : undefined));
+		} catch (e) {
+			return null;
+		};
+	};
+
+	// Check if the host matches the cookie domain (the same host or its subdomain)
+	function domainMatch(host, domain) {
+		host = host.toLowerCase();
+		return host == domain || (host.length > domain.length && host.substr(-domain.length - 1) == '.' + domain);
+	};
+
+	// Check if the cookie domain is the public suffix (see XHR.CookieJar.publicSuffixes)
+	function publicSuffix(domain) {
+		return domain.indexOf('.') < 0 || XHR.CookieJar.publicSuffixes.indexOf(domain) >= 0;
+	};
+
+	/**
+	 * The HTTP response cache for GET requests. See this.useCache().
+	 * 
+	 * The cache entries are kept in the store: XHR.Cache.MemoryStore (default), XHR.Cache.LocalStorageStore (browser),
+	 * XHR.Cache.FileStore (Node.JS) or any object implementing their get(key), set(key, value), delete(key), clear() methods.
+	 * The freshness of the response is calculated from the "Cache-Control" (max-age, no-cache, no-store, stale-while-revalidate)
+	 * and "Expires" response headers, the responses without them are stale immediately (but they can be revalidated).
+	 * 
+	 * In the stale-while-revalidate mode the stale response is returned immediately (this.cacheStatus == "stale"),
+	 * while the conditional request updating the cache is sent in background, with the settings of the original request
+	 * (headers, interceptors, transport, timeout, retry policy etc, but not its event handlers).
+	 * 
+	 * @param {object} [options]
+	 * @param {object} [options.store] The cache store, XHR.Cache.MemoryStore by default
+	 * @param {number|boolean} [options.staleWhileRevalidate] For how long (milliseconds) after expiration the stale response
+	 *   can be returned while revalidating, true means forever. By default the "stale-while-revalidate" Cache-Control directive is used.
+	 * @param {number} [options.maxVariants=8] Max number of the response variants (see "Vary" header) stored for the URL
+	 * 
+	 * @property {object} store
+	 * @property {number|boolean} staleWhileRevalidate
+	 * @property {number} maxVariants
+	 */
+	XHR.Cache = function(options) {
+		if ((typeof this != 'object') || !(this instanceof XHR.Cache))
+			return new XHR.Cache(options);
+		options = options || {};
+		this.store = options.store || new XHR.Cache.MemoryStore();
+		this.staleWhileRevalidate = options.staleWhileRevalidate || 0;
+		this.maxVariants = options.maxVariants || 8;
+		this.revalidating = {};
+	};
+
+	/**
+	 * Find the cache entry (fresh or not) for the request, matching its URL and the headers listed in "Vary"
+	 * @param {XHR} xhr
+	 * @return {object|null} entry
+	 */
+	XHR.Cache.prototype.lookup = function(xhr) {
+		const variants = this.store.get('GET ' + xhr.requestURL()) || [];
+		return variants.filter(entry => varyMatch(entry, xhr.headers))[0] || null;
+	};
+
+	/**
+	 * Store the completed response of the request, if it is allowed by its headers
+	 * @param {XHR} xhr
+	 * @return {object|null} entry stored
+	 */
+	XHR.Cache.prototype.put = function(xhr) {
+		const cacheControl = parseCacheControl(xhr.responseHeader('Cache-Control')),
+			vary = (xhr.responseHeader('Vary') || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+		if (('no-store' in cacheControl) || vary.indexOf('*') >= 0)
+			return null;
+		// the response to the authenticated request can be personal
+		if ((xhr.userName || hasHeader(xhr.headers, 'Authorization')) && !('public' in cacheControl))
+			return null;
+		const entry = {
+			status: xhr.status(),
+			headers: parseHeaders(xhr.responseHeaders()),
+			// the serialized body, so the parsed one returned by the cache can be changed by the caller
+			body: xhr.responseType() == 'json' ? JSON.stringify(xhr.response()) : xhr.responseText(),
+			vary: {},
+		};
+		vary.forEach(name => entry.vary[name] = headerValue(xhr.headers, name) || '');
+		return this.refresh(xhr, entry);
+	};
+
+	/**
+	 * Update the freshness and validators of the cache entry from the response headers of the request (e.g. "304 Not Modified")
+	 * and save it into the store
+	 * @param {XHR} xhr
+	 * @param {object} entry
+	 * @return {object} entry
+	 */
+	XHR.Cache.prototype.refresh = function(xhr, entry) {
+		const cacheControl = parseCacheControl(xhr.responseHeader('Cache-Control')),
+			age = parseInt(xhr.responseHeader('Age')) || 0,
+			expires = Date.parse(xhr.responseHeader('Expires') || '');
+		entry.etag = xhr.responseHeader('ETag') || entry.etag || '';
+		entry.lastModified = xhr.responseHeader('Last-Modified') || entry.lastModified || '';
+		entry.storedAt = Date.now();
+		entry.expires = ('no-cache' in cacheControl) ? 0
+			: ('max-age' in cacheControl) ? entry.storedAt + (parseInt(cacheControl['max-age']) - age) * 1000
+			: !isNaN(expires) ? expires : 0;
+		entry.staleWhileRevalidate = (parseInt(cacheControl['stale-while-revalidate']) || 0) * 1000;
+		const key = 'GET ' + xhr.requestURL(),
+			variants = (this.store.get(key) || []).filter(item => !varyMatch(item, entry.vary, true));
+		this.store.set(key, [entry].concat(variants).slice(0, this.maxVariants));
+		return entry;
+	};
+
+	/**
+	 * Remove the cached responses for url (all variants), or all cached responses if url is not given
+	 * @param {string} [url]
+	 * @return {Cache} this
+	 */
+	XHR.Cache.prototype.clear = function(url) {
+		url ? this.store.delete('GET ' + url) : this.store.clear();
+		return this;
+	};
+
+	/**
+	 * The in-memory cache store (default)
+	 */
+	XHR.Cache.MemoryStore = function() {
+		this.entries = {};
+	};
+	XHR.Cache.MemoryStore.prototype.get    = function(key) { return this.entries.hasOwnProperty(key) ? this.entries[key] : undefined; };
+	XHR.Cache.MemoryStore.prototype.set    = function(key, value) { this.entries[key] = value; };
+	XHR.Cache.MemoryStore.prototype.delete = function(key) { delete(this.entries[key]); };
+	XHR.Cache.MemoryStore.prototype.clear  = function() { this.entries = {}; };
+
+	/**
+	 * The cache store keeping the entries in localStorage (or another Storage), as JSON
+	 * 
+	 * > Requires browser API.
+	 * 
+	 * @param {string} [prefix="xhrless:"] The prefix of the storage keys
+	 * @param {Storage} [storage=localStorage]
+	 */
+	XHR.Cache.LocalStorageStore = function(prefix, storage) {
+		this.prefix  = prefix || 'xhrless:';
+		// @ts-ignore
+		this.storage = storage || localStorage;
+	};
+	XHR.Cache.LocalStorageStore.prototype.get = function(key) {
+		try { return JSON.parse(this.storage.getItem(this.prefix + key)) || undefined; } catch (e) { return undefined; };
+	};
+	XHR.Cache.LocalStorageStore.prototype.set = function(key, value) {
+		try { this.storage.setItem(this.prefix + key, JSON.stringify(value)); } catch (e) {}; // Quota exceeded
+	};
+	XHR.Cache.LocalStorageStore.prototype.delete = function(key) {
+		this.storage.removeItem(this.prefix + key);
+	};
+	XHR.Cache.LocalStorageStore.prototype.clear = function() {
+		for (let i = this.storage.length - 1; i >= 0; i--) {
+			const key = this.storage.key(i);
+			key && (key.indexOf(this.prefix) == 0) && this.storage.removeItem(key);
+		};
+	};
+
+	/**
+	 * The cache store keeping the entries in the directory given, one JSON file per URL
+	 * 
+	 * > Requires Node.JS API.
+	 * 
+	 * @param {string} dir
+	 */
+	XHR.Cache.FileStore = function(dir) {
+		this.dir = dir;
+		makeDir(dir);
+	};
+	XHR.Cache.FileStore.prototype.file = function(key) {
+		return require('path').join(this.dir, require('crypto').createHash('sha1').update(key).digest('hex') + '.json');
+	};
+	XHR.Cache.FileStore.prototype.get = function(key) {
+		try { return JSON.parse(require('fs').readFileSync(this.file(key), 'utf8')); } catch (e) { return undefined; };
+	};
+	XHR.Cache.FileStore.prototype.set = function(key, value) {
+		require('fs').writeFileSync(this.file(key), JSON.stringify(value));
+	};
+	XHR.Cache.FileStore.prototype.delete = function(key) {
+		try { require('fs').unlinkSync(this.file(key)); } catch (e) {};
+	};
+	XHR.Cache.FileStore.prototype.clear = function() {
+		const fs = require('fs'), path = require('path');
+		fs.readdirSync(this.dir).filter(name => /^[\da-f]{40}\.json$/.test(name)).forEach(name => fs.unlinkSync(path.join(this.dir, name)));
+	};
+
+	// Create the directory with the missing parent directories (the "recursive" option of fs.mkdirSync() requires Node.JS 10.12)
+	function makeDir(dir) {
+		const fs = require('fs'), path = require('path');
+		if (fs.existsSync(dir))
+			return;
+		makeDir(path.dirname(dir));
+		fs.mkdirSync(dir);
+	};
+
+	// Check if the request headers (or the vary map of another entry, if asVary) match the vary map of the cache entry
+	function varyMatch(entry, headers, asVary) {
+		const names = Object.keys(entry.vary || {});
+		if (asVary && names.length != Object.keys(headers).length)
+			return false;
+		return names.every(name => (asVary ? headers[name] : headerValue(headers, name) || '') === entry.vary[name]);
+	};
+
+	// Parse the "Cache-Control" header into the directive -> value map
+	function parseCacheControl(header) {
+		const directives = {};
+		(header || '').split(',').forEach(item => {
+			const iEq = item.indexOf('='),
+				name = (iEq < 0 ? item : item.substr(0, iEq)).trim().toLowerCase();
+			name && (directives[name] = iEq < 0 ? '' : item.substr(iEq + 1).trim().replace(/^"|"$/g, ''));
+		});
+		return directives;
+	};
+
+	// Parse the response headers string (see this.responseHeaders()) into the name -> value map
+	function parseHeaders(headers) {
+		const parsed = {};
+		(headers || '').split(/\r?\n/).forEach(line => {
+			const iColon = line.indexOf(':');
+			(iColon > 0) && (parsed[line.substr(0, iColon).trim().toLowerCase()] = line.substr(iColon + 1).trim());
+		});
+		return parsed;
+	};
+
+	/**
+	 * The request scheduler: deduplication of the identical GET requests in flight and concurrency limit. See this.useScheduler().
+	 * 
+	 * The GET requests are identical if they have the same URL (this.requestURL()), headers, response type and credentials.
+	 * The requests sharing the response get the copy of its status, headers and body (the "json" response body is cloned,
+	 * the ArrayBuffer/Blob/Document one is shared), and their own response interceptors and handlers are called as usual.
+	 * If the request shared is aborted or expires (see this.setDeadline()), the rest of requests are sent again.
+	 * 
+	 * The requests served from the cache (see this.useCache()) don't use the scheduler.
+	 * 
+	 * @param {object} [options]
+	 * @param {number} [options.concurrency=Infinity] Max number of requests sent at the same time, including the retries
+	 * @param {boolean} [options.dedupe=true] Share the responses of the identical GET requests
+	 * 
+	 * @property {number} concurrency
+	 * @property {boolean} dedupe
+	 */
+	XHR.Scheduler = function(options) {
+		if ((typeof this != 'object') || !(this instanceof XHR.Scheduler))
+			return new XHR.Scheduler(options);
+		options = options || {};
+		this.concurrency = options.concurrency > 0 ? options.concurrency : Infinity;
+		this.dedupe = options.dedupe !== false;
+		this.active = [];
+		this.queue = [];
+		this.inFlight = {};
+		this.counters = {sent: 0, deduped: 0, queued: 0};
+	};
+
+	/**
+	 * Get the scheduler statistics:
+	 * 
+	 * - active: the number of requests running (taking the concurrency slots)
+	 * - queued: the number of requests waiting in the queue for a free slot
+	 * - waiting: the number of requests waiting for the response of an identical request in flight
+	 * - sent: the total number of requests sent by the scheduler
+	 * - deduped: the total number of requests that got the response of an identical request
+	 * - totalQueued: the total number of requests that have waited in the queue
+	 * 
+	 * @return {object}
+	 */
+	XHR.Scheduler.prototype.stats = function() {
+		return {
+			active:      this.active.length,
+			queued:      this.queue.length,
+			waiting:     Object.keys(this.inFlight).reduce((count, key) => count + this.inFlight[key].followers.length, 0),
+			sent:        this.counters.sent,
+			deduped:     this.counters.deduped,
+			totalQueued: this.counters.queued,
+		};
+	};
+
+	// Send the request through this.scheduler: wait for the identical request in flight, take a free slot or wait in the queue
+	function scheduleRequest(self) {
+		const scheduler = self._scheduler = self.scheduler;
+		if (!scheduler)
+			return sendAttempt(self);
+		if (joinRequest(scheduler, self))
+			return self;
+		if (scheduler.active.length >= scheduler.concurrency) {
+			const index = scheduler.queue.findIndex(item => item.priority < self.priority);
+			scheduler.queue.splice(index < 0 ? scheduler.queue.length : index, 0, self);
+			scheduler.counters.queued++;
+			return self;
+		};
+		return startRequest(scheduler, self);
+	};
+
+	// Make the request wait for the response of the identical request in flight, if any
+	function joinRequest(scheduler, self) {
+		const group = scheduler.inFlight[dedupeKey(scheduler, self)];
+		if (!group)
+			return false;
+		group.followers.push(self);
+		self._group = group;
+		scheduler.counters.deduped++;
+		return true;
+	};
+
+	// Send the request taking the concurrency slot
+	function startRequest(scheduler, self) {
+		const key = dedupeKey(scheduler, self);
+		scheduler.active.push(self);
+		scheduler.counters.sent++;
+		key && (scheduler.inFlight[key] = self._group = {key: key, leader: self, followers: []});
+		return sendAttempt(self);
+	};
+
+	// Get the key identifying the identical GET requests, or an empty string if the request is not deduplicated
+	function dedupeKey(scheduler, self) {
+		if (!scheduler.dedupe || requestMethod(self) != 'GET')
+			return '';
+		const headers = Object.keys(self.headers).sort().map(name => name.toLowerCase() + ': ' + self.headers[name]);
+		return JSON.stringify([self.requestURL(), self.responseType(), self.userName || '', !!self.xhr.withCredentials, headers]);
+	};
+
+	// Complete the requests waiting for the response received by the request.
+	// The aborted or expired request does not share its response, the requests waiting for it are sent again by releaseRequest().
+	function shareResponse(scheduler, self) {
+		const group = self._group;
+		if (!group || group.leader !== self || self._aborted || self._expired)
+			return;
+		delete(scheduler.inFlight[group.key]);
+		const body = self.responseType() == 'json' ? JSON.stringify(self.response()) : null;
+		group.followers.splice(0).forEach(follower => {
+			follower._group = null;
+			follower._override = {
+				status: self.status(),
+				headers: parseHeaders(self.responseHeaders()),
+				body: self.responseType() == 'json' ? JSON.parse(body) : self.response(),
+			};
+			follower.cacheStatus = self.cacheStatus;
+			follower._completing = true;
+			completeRequest(follower);
+		});
+	};
+
+	// Remove the completed (or re-sent) request from the scheduler, send the requests waiting for it or for a free slot
+	function releaseRequest(scheduler, self) {
+		self._scheduler = null;
+		const group = self._group;
+		self._group = null;
+		[scheduler.active, scheduler.queue, group ? group.followers : []].forEach(list => {
+			const index = list.indexOf(self);
+			(index >= 0) && list.splice(index, 1);
+		});
+		if (group && group.leader === self && scheduler.inFlight[group.key] === group) {
+			// Failed before the response: send the rest again
+			delete(scheduler.inFlight[group.key]);
+			group.followers.forEach(follower => {
+				follower._group = null;
+				scheduler.counters.deduped--;
+			});
+			scheduler.queue.unshift.apply(scheduler.queue, group.followers);
+		};
+		while (scheduler.queue.length && scheduler.active.length < scheduler.concurrency) {
+			const next = scheduler.queue.shift();
+			try {
+				joinRequest(scheduler, next) || startRequest(scheduler, next);
+			} catch (error) {
+				failRequest(next, error);
+			};
+		};
+	};
+
+	/**
+	 * The transport adapters: the factories of XMLHttpRequest instances or compatible objects. See this.useTransport(), XHR.transport.
+	 * 
+	 * - xhr: XMLHttpRequest (browser)
+	 * - xhr2: XMLHttpRequest implemented by "xhr2" package (Node.JS), loaded on first use
+	 * - fetch: fetch() API (browser, Node.JS 18+), the response body is streamed
+	 * - http: the built-in "http"/"https" modules (Node.JS), the redirects are followed, the response body is streamed.
+	 *   The "Authorization", "Proxy-Authorization" and "Cookie" headers are not sent to another origin after redirect,
+	 *   the "Content-Type" and "Content-Length" headers are not sent after the redirect changing the method to GET.
+	 * 
+	 * All adapters follow the XMLHttpRequest events sequence, so this.status(), this.responseHeader(), this.response(),
+	 * this.errorState() and the rest of API work the same way with any of them. The "fetch" and "http" adapters send
+	 * the "Authorization: Basic" header for this.httpAuth(), and they don't report the upload progress.
+	 * 
+	 * @type {object}
+	 * @x-id XHR.adapters
+	 * @x-rowspan javascript
+	 */
+	XHR.adapters = {
+		xhr:   () => new XMLHttpRequest(),
+		xhr2:  () => new (loadXHR2())(),
+		fetch: () => new FetchRequest(),
+		http:  () => new NodeRequest(),
+	};
+
+	/**
+	 * The default transport: the factory of XMLHttpRequest instances (or compatible objects) used by all XHR instances
+	 * without their own transport (see this.useTransport()). It can be replaced to send all requests with another transport,
+	 * e.g. XHR.adapters.fetch or XHR.MockTransport, the replacement is applied to the XHR instances created after that.
+	 * 
+	 * By default it is XHR.adapters.xhr if XMLHttpRequest is available, otherwise XHR.adapters.xhr2 in Node.JS
+	 * if "xhr2" package is installed or XHR.adapters.http if it is not, otherwise XHR.adapters.fetch.
+	 * 
+	 * @param {XHR} xhr The XHR instance
+	 * @return {XMLHttpRequest}
+	 */
+	XHR.transport = HAS_XHR ? XHR.adapters.xhr
+		: ENV_NODEJS ? (moduleExists('xhr2') ? XHR.adapters.xhr2 : XHR.adapters.http)
+		: XHR.adapters.fetch;
+
+	// Check if Node.JS module can be loaded
+	function moduleExists(name) {
+		try {
+			return !!require.resolve(name);
+		} catch (e) {
+			return false;
+		};
+	};
+
+	// The base of XMLHttpRequest-compatible objects created by the adapters (see XHR.adapters) and XHR.MockTransport.
+	// The subclass implements this.transmit(request, seq) and reports the response by this.receiveHeaders(),
+	// this.receiveChunk(), this.finish() or this.fail(). The result of this.transmit() is ignored after this.seq is changed.
+	function TransportRequest() {
+		this.readyState = 0;
+		this.status = 0;
+		this.statusText = '';
+		this.response = null;
+		this.responseText = '';
+		this.responseType = '';
+		this.responseURL = '';
+		this.timeout = 0;
+		this.withCredentials = false;
+		this.upload = {onprogress: null};
+		this.request = null;
+		this.responseHeaders = {};
+		this.chunks = [];
+		this.loaded = 0;
+		this.decoder = null;
+		this.timers = [];
+		this.cancelTransmit = null;
+		this.sent = false;
+		this.seq = 0;
+		this.streaming = false;
+	};
+	TransportRequest.prototype.UNSENT = 0;
+	TransportRequest.prototype.OPENED = 1;
+	TransportRequest.prototype.HEADERS_RECEIVED = 2;
+	TransportRequest.prototype.LOADING = 3;
+	TransportRequest.prototype.DONE = 4;
+
+	TransportRequest.prototype.open = function(method, url, async, userName, password) {
+		this.stop();
+		this.request = {method: (method || 'GET').toUpperCase(), url: url, headers: {}, body: null, userName: userName, password: password};
+		this.status = 0;
+		this.statusText = '';
+		this.response = null;
+		this.responseText = '';
+		this.responseURL = '';
+		this.responseHeaders = {};
+		this.setState(1);
+	};
+
+	TransportRequest.prototype.setRequestHeader = function(name, value) {
+		this.request.headers[name] = value;
+	};
+
+	TransportRequest.prototype.send = function(body) {
+		const seq = ++this.seq;
+		this.sent = true;
+		this.request.body = (body === undefined) ? null : body;
+		this.request.time = Date.now();
+		this.timeout > 0 && this.timers.push(setTimeout(() => this.fail('timeout'), this.timeout));
+		this.transmit(this.request, seq);
+	};
+
+	TransportRequest.prototype.abort = function() {
+		if (this.sent && this.readyState < 4)
+			this.fail('abort');
+		this.stop();
+		this.readyState = 0;
+	};
+
+	TransportRequest.prototype.getResponseHeader = function(name) {
+		const value = headerValue(this.responseHeaders, name);
+		return (value === undefined || this.readyState < 2) ? null : [].concat(value).join(', ');
+	};
+
+	TransportRequest.prototype.getAllResponseHeaders = function() {
+		return this.readyState < 2 ? '' : Object.keys(this.responseHeaders).map(name =>
+			[].concat(this.responseHeaders[name]).map(value => name + ': ' + value + '\r\n').join('')).join('');
+	};
+
+	// The response status and headers are received
+	TransportRequest.prototype.receiveHeaders = function(status, statusText, headers, url) {
+		this.status = status;
+		this.statusText = statusText || '';
+		this.responseURL = url || this.request.url;
+		this.responseHeaders = Object.assign({}, headers);
+		this.chunks = [];
+		this.loaded = 0;
+		this.streaming = false;
+		const Decoder = (typeof TextDecoder == 'function') ? TextDecoder : require('util').TextDecoder;
+		this.decoder = new Decoder();
+		this.setState(2);
+	};
+
+	// The part of response body is received (string or Uint8Array).
+	// It is passed to this.onchunk(bytes, text), and it is not kept if this.streaming is set (see this.onChunk()).
+	// Return the result of this.onchunk(): the Promise to wait for before receiving the next part, if any.
+	TransportRequest.prototype.receiveChunk = function(chunk) {
+		const bytes = (typeof chunk == 'string') ? encodeText(chunk) : chunk,
+			total = parseInt(this.getResponseHeader('Content-Length')) || 0,
+			text = (this.responseType == '' || this.responseType == 'text') ? this.decoder.decode(bytes, {stream: true}) : '';
+		this.loaded += bytes.length;
+		if (!this.streaming) {
+			this.chunks.push(bytes);
+			text && (this.response = this.responseText += text);
+		};
+		this.setState(3);
+		const wait = this.onchunk && this.onchunk(bytes, text);
+		this.emit(this, 'progress', this.loaded, total);
+		return wait;
+	};
+
+	// The response body is received completely
+	TransportRequest.prototype.finish = function() {
+		this.stop();
+		const text = () => this.decoder.decode(concatBytes(this.chunks));
+		if (this.streaming) {
+			const rest = this.decoder.decode();
+			rest && this.onchunk && this.onchunk(null, rest);
+		} else if (this.responseType == '' || this.responseType == 'text') {
+			this.response = this.responseText += this.decoder.decode();
+		} else if (this.responseType == 'json') {
+			try { this.response = JSON.parse(text()); } catch (e) { this.response = null; };
+			this.responseText = '';
+		} else if (this.responseType == 'arraybuffer') {
+			this.response = concatBytes(this.chunks).buffer;
+		} else if (this.responseType == 'blob') {
+			this.response = (typeof Blob == 'function') ? new Blob(this.chunks) : concatBytes(this.chunks);
+		} else if (this.responseType == 'document') {
+			this.response = (typeof DOMParser == 'function') ? new DOMParser().parseFromString(text(), 'text/html') : null;
+		};
+		this.setState(4);
+		this.emit(this, 'load');
+		this.emit(this, 'loadend');
+	};
+
+	// The request failed: "error", "timeout" or "abort"
+	TransportRequest.prototype.fail = function(type) {
+		this.stop();
+		this.status = 0;
+		this.response = null;
+		this.setState(4);
+		this.emit(this, type);
+		this.emit(this, 'loadend');
+	};
+
+	// Cancel the timers and ignore the pending result of this.transmit()
+	TransportRequest.prototype.stop = function() {
+		this.sent = false;
+		this.seq++;
+		this.timers.splice(0).forEach(timer => clearTimeout(timer));
+		this.cancelTransmit && this.cancelTransmit();
+		this.cancelTransmit = null;
+	};
+
+	TransportRequest.prototype.setState = function(state) {
+		this.readyState = state;
+		this.emit(this, 'readystatechange');
+	};
+
+	TransportRequest.prototype.emit = function(target, type, loaded, total) {
+		const handler = target['on' + type];
+		handler && handler.call(target, {type: type, target: target, loaded: loaded || 0, total: total || 0, lengthComputable: total > 0});
+	};
+
+	// Define the TransportRequest subclass
+	function defineTransport(constructor) {
+		constructor.prototype = Object.create(TransportRequest.prototype);
+		constructor.prototype.constructor = constructor;
+		return constructor;
+	};
+
+	// The XMLHttpRequest-compatible object sending requests with fetch(). See XHR.adapters.
+	const FetchRequest = defineTransport(function FetchRequest() {
+		TransportRequest.call(this);
+	});
+
+	FetchRequest.prototype.transmit = function(request, seq) {
+		const controller = (typeof AbortController == 'function') ? new AbortController() : null,
+			hasBody = request.body !== null && request.method != 'GET' && request.method != 'HEAD';
+		this.cancelTransmit = () => controller && controller.abort();
+		fetch(request.url, {
+			method: request.method,
+			headers: Object.assign(authHeader(request), request.headers),
+			body: hasBody ? request.body : undefined,
+			credentials: this.withCredentials ? 'include' : 'same-origin',
+			signal: controller ? controller.signal : undefined,
+		}).then(response => {
+			if (this.seq !== seq)
+				return;
+			const headers = {};
+			response.headers.forEach((value, name) => headers[name] = value);
+			(typeof response.headers.getSetCookie == 'function') && (headers['set-cookie'] = response.headers.getSetCookie());
+			this.receiveHeaders(response.status, response.statusText, headers, response.url);
+			const reader = response.body && response.body.getReader();
+			const read = () => reader.read().then(result => {
+				if (this.seq !== seq)
+					return reader.cancel();
+				return result.done ? this.finish() : Promise.resolve(this.receiveChunk(result.value)).then(read);
+			});
+			return reader ? read() : this.finish();
+		}).catch(error => (this.seq === seq) && this.fail('error'));
+	};
+
+	// The XMLHttpRequest-compatible object sending requests with Node.JS "http"/"https" modules. See XHR.adapters.
+	const NodeRequest = defineTransport(function NodeRequest() {
+		TransportRequest.call(this);
+	});
+
+	NodeRequest.prototype.transmit = function(request, seq) {
+		const headers = Object.assign(authHeader(request), request.headers);
+		this.transmitTo(request.method, request.url, request.body === null ? null : toBuffer(request.body), headers, 20, seq);
+	};
+
+	// Send the request to url, following the redirects.
+	// The credentials are not sent to another origin, the body headers are not sent with the body dropped by the redirect.
+	NodeRequest.prototype.transmitTo = function(method, url, body, headers, redirects, seq) {
+		const target = parseURL(url);
+		if (!target || !/^https?:$/.test(target.protocol))
+			return this.timers.push(setTimeout(() => this.fail('error'), 0));
+		(body === null) || hasHeader(headers, 'Content-Length') || (headers = Object.assign({'Content-Length': body.length}, headers));
+		// Node.JS before 10.9 does not support request(url, options, callback)
+		const options = {
+			protocol: target.protocol,
+			hostname: target.hostname.replace(/^\[|\]$/g, ''),
+			port:     target.port,
+			path:     target.pathname + target.search,
+			method:   method,
+			headers:  headers,
+		};
+		target.username && (options.auth = decodeURIComponent(target.username) + ':' + decodeURIComponent(target.password));
+		const client = require(target.protocol == 'https:' ? 'https' : 'http').request(options, response => {
+			if (this.seq !== seq)
+				return response.resume();
+			const location = response.headers.location;
+			if ([301, 302, 303, 307, 308].indexOf(response.statusCode) >= 0 && location && redirects > 0) {
+				response.resume();
+				const keep = response.statusCode >= 307 || method == 'GET' || method == 'HEAD',
+					next = require('url').resolve(target.href, location),
+					sameOrigin = (parseURL(next) || {}).origin === target.origin;
+				var nextHeaders = sameOrigin ? headers : omitHeaders(headers, ['Authorization', 'Proxy-Authorization', 'Cookie']);
+				keep || (nextHeaders = omitHeaders(nextHeaders, ['Content-Type', 'Content-Length']));
+				return this.transmitTo(keep ? method : 'GET', next, keep ? body : null, nextHeaders, redirects - 1, seq);
+			};
+			this.receiveHeaders(response.statusCode, response.statusMessage, response.headers, target.href);
+			response.on('data', chunk => {
+				const wait = (this.seq === seq) && this.receiveChunk(chunk);
+				wait && (response.pause(), wait.then(() => response.resume()));
+			});
+			response.on('end', () => (this.seq === seq) && this.finish());
+			response.on('aborted', () => (this.seq === seq) && this.fail('error'));
+		});
+		client.on('error', () => (this.seq === seq) && this.fail('error'));
+		this.cancelTransmit = () => client.destroy();
+		client.end(body === null ? undefined : body);
+	};
+
+	// Copy the set of headers without the headers listed (case-insensitive)
+	function omitHeaders(headers, names) {
+		names = names.map(name => name.toLowerCase());
+		return Object.keys(headers).reduce((result, name) => {
+			(names.indexOf(name.toLowerCase()) < 0) && (result[name] = headers[name]);
+			return result;
+		}, {});
+	};
+
+	// Get the "Authorization" request header for the user name and password passed to open() (see this.httpAuth())
+	function authHeader(request) {
+		if (!request.userName || hasHeader(request.headers, 'Authorization'))
+			return {};
+		const credentials = request.userName + ':' + (request.password || '');
+		return {Authorization: 'Basic ' + ((typeof Buffer == 'function') ? Buffer.from(credentials).toString('base64') : btoa(unescape(encodeURIComponent(credentials))))};
+	};
+
+	// Convert the request body to Buffer (Node.JS)
+	function toBuffer(body) {
+		if (Buffer.isBuffer(body))
+			return body;
+		if (body instanceof ArrayBuffer)
+			return Buffer.from(body);
+		if (ArrayBuffer.isView(body))
+			return Buffer.from(body.buffer, body.byteOffset, body.byteLength);
+		return Buffer.from(String(body));
+	};
+
+	// Encode the string to UTF-8 bytes
+	function encodeText(text) {
+		return (typeof TextEncoder == 'function') ? new TextEncoder().encode(text) : Buffer.from(text);
+	};
+
+	// Join the list of byte arrays into one Uint8Array
+	function concatBytes(chunks) {
+		const bytes = new Uint8Array(chunks.reduce((size, chunk) => size + chunk.length, 0));
+		chunks.reduce((offset, chunk) => (bytes.set(chunk, offset), offset + chunk.length), 0);
+		return bytes;
+	};
+
+	/**
+	 * The in-process mock transport for testing. See this.useTransport(), XHR.transport.
+	 * 
+	 * The requests sent are matched against the routes added by this.route(), the first matching route gives the response.
+	 * The mock objects follow the XMLHttpRequest events sequence (readystatechange, progress, timeout, error, loadend),
+	 * so this.status(), this.errorState(), retries, timeouts, interceptors and event handlers work the same way as with network.
+	 * All requests sent are recorded in this.history.
+	 * 
+	 * ```javascript
+	 * const mock = new XHR.MockTransport()
+	 *   .route('GET', '/api/user', {body: {name: 'test'}, delay: 50})
+	 *   .route('POST', /\/api\/items$/, request => ({status: 201, body: JSON.parse(request.body)}))
+	 *   .route('*', '/api/down', {error: true})
+	 *   .install();
+	 * await XHR('/api/user').responseType('json').promise();
+	 * assert(mock.history[0].method == 'GET');
+	 * mock.uninstall();
+	 * ```
+	 * 
+	 * @param {object} [fallback={status: 404}] The response for the requests not matching any route
+	 * 
+	 * @property {object[]} routes  The list of routes: {method, url, response}
+	 * @property {object[]} history The list of requests sent: {method, url, headers, body, userName, password, time}
+	 * @property {function(XHR):object} transport The transport factory to use with this.useTransport()
+	 */
+	XHR.MockTransport = function(fallback) {
+		if ((typeof this != 'object') || !(this instanceof XHR.MockTransport))
+			return new XHR.MockTransport(fallback);
+		this.fallback  = fallback || {status: 404};
+		this.routes    = [];
+		this.history   = [];
+		this.transport = () => new MockRequest(this);
+		this.previous  = null;
+	};
+
+	/**
+	 * Add the route. The response is either an object or a function called with the request (see this.history)
+	 * and returning the object or a Promise resolved with it. The response object:
+	 * 
+	 * - status: HTTP status code, 200 by default
+	 * - statusText: HTTP status text
+	 * - headers: the response headers name -> value map. "Content-Type: application/json" is set for the non-string body.
+	 * - body: the response body, string or object (sent as JSON)
+	 * - delay: the delay before the response, milliseconds
+	 * - timeout: true to never respond, so the request times out (see this.setTimeout(), this.setDeadline())
+	 * - error: true to fail as a connection error (status 0)
+	 * 
+	 * @param {string} method The request method or "*" for any method
+	 * @param {string|RegExp|function(object):boolean} url The full URL, the URL path (with or without query string),
+	 *   the regular expression tested against the full URL or the function called with the request
+	 * @param {object|function(object):(object|Promise)} [response]
+	 * @return {MockTransport} this
+	 */
+	XHR.MockTransport.prototype.route = function(method, url, response) {
+		this.routes.push({method: (method || '*').toUpperCase(), url: url, response: response || {}});
+		return this;
+	};
+
+	/**
+	 * Find the route matching the request
+	 * @param {object} request See this.history
+	 * @return {object|null} route
+	 */
+	XHR.MockTransport.prototype.match = function(request) {
+		const url = parseURL(request.url), path = url ? url.pathname + url.search : request.url;
+		return this.routes.filter(route => {
+			if (route.method != '*' && route.method != request.method)
+				return false;
+			if (route.url instanceof RegExp)
+				return route.url.test(request.url);
+			if (typeof route.url == 'function')
+				return !!route.url(request);
+			return route.url == request.url || route.url == path || route.url == path.split('?')[0];
+		})[0] || null;
+	};
+
+	/**
+	 * Remove all routes and clear the history
+	 * @return {MockTransport} this
+	 */
+	XHR.MockTransport.prototype.reset = function() {
+		this.routes  = [];
+		this.history = [];
+		return this;
+	};
+
+	/**
+	 * Use the mock as the default transport for the XHR instances created after that (see XHR.transport)
+	 * @return {MockTransport} this
+	 */
+	XHR.MockTransport.prototype.install = function() {
+		(XHR.transport !== this.transport) && (this.previous = XHR.transport);
+		XHR.transport = this.transport;
+		return this;
+	};
+
+	/**
+	 * Restore the default transport replaced by this.install()
+	 * @return {MockTransport} this
+	 */
+	XHR.MockTransport.prototype.uninstall = function() {
+		if (XHR.transport === this.transport && this.previous)
+			XHR.transport = this.previous;
+		this.previous = null;
+		return this;
+	};
+
+	// The XMLHttpRequest-compatible object created by XHR.MockTransport
+	const MockRequest = defineTransport(function MockRequest(mock) {
+		TransportRequest.call(this);
+		this.mock = mock;
+	});
+
+	MockRequest.prototype.transmit = function(request, seq) {
+		this.mock.history.push(request);
+		const size = bodySize(request.body);
+		size && this.timers.push(setTimeout(() => this.emit(this.upload, 'progress', size, size), 0));
+		const route = this.mock.match(request),
+			response = route ? route.response : this.mock.fallback;
+		Promise.resolve(typeof response == 'function' ? response(request) : response).then(result => {
+			if (this.seq !== seq)
+				return;
+			result = result || {};
+			if (result.timeout)
+				return;
+			this.timers.push(setTimeout(() => result.error ? this.fail('error') : this.respond(result), result.delay || 0));
+		}).catch(error => (this.seq === seq) && this.fail('error'));
+	};
+
+	// Complete the request with the route response
+	MockRequest.prototype.respond = function(result) {
+		const body = result.body,
+			headers = Object.assign({}, result.headers);
+		(typeof body == 'object') && body !== null && !hasHeader(headers, 'Content-Type') && (headers['Content-Type'] = 'application/json');
+		this.receiveHeaders(result.status || 200, result.statusText, headers, this.request.url);
+		(body === undefined || body === null || body === '') || this.receiveChunk((typeof body == 'string') ? body : JSON.stringify(body));
+		this.finish();
+	};
+
+	/**
+	 * Create the Server-Sent Events client (XHR.EventSource) and connect it. See XHR.EventSource.
+	 * 
+	 * ```javascript
+	 * const source = XHR.eventSource(url_events, {headers: {'Authorization': 'Bearer ' + token}});
+	 * source.addEventListener('price', event => console.log(event.data));
+	 * source.onerror = event => console.warn('Reconnecting...', event.xhr.errorState(true));
+	 * ```
+	 * @param {string} url
+	 * @param {object} [options] See XHR.EventSource
+	 * @return {EventSource}
+	 */
+	XHR.eventSource = function(url, options) {
+		return new XHR.EventSource(url, options);
+	};
+
+	/**
+	 * The Server-Sent Events client, the replacement of the browser's EventSource supporting custom headers, authentication
+	 * and cookies, available in Node.JS too. The connection is made by the XHR instance (this.xhr), so it can be configured
+	 * with this.xhr.setHeader(), this.xhr.httpAuth(), this.xhr.setCookie() etc. before the connection is opened (asynchronously).
+	 * 
+	 * The "text/event-stream" response is parsed into events (fields: event, data, id, retry), which are dispatched
+	 * to the listeners of their type ("message" by default) added by this.addEventListener() or set as this["on" + type].
+	 * The "open" event is dispatched when the connection is opened, the "error" event - when it fails or ends.
+	 * The connection lost is restored after this.reconnectDelay milliseconds (it can be changed by the "retry" field),
+	 * sending the "Last-Event-ID" header. The response with status other than 200 or with the wrong Content-Type closes
+	 * the client without reconnecting. The event object: {type, data, lastEventId, origin, target, xhr}.
+	 * 
+	 * In Node.JS the "http" adapter is used instead of "xhr2" one (see XHR.adapters), because "xhr2" doesn't stream the response.
+	 * The "http", "fetch" adapters and XHR.MockTransport do not keep the events dispatched (see this.onChunk()),
+	 * while the browser's XMLHttpRequest keeps the response text until the connection is closed, so the "fetch" adapter
+	 * is preferable for the long-lived connections in browser.
+	 * The error thrown by a listener does not stop the other listeners, it is reported the same way as the errors
+	 * of XHR event handlers (see XHR.onHandlerError(), the type is "eventsource:" + event type).
+	 * 
+	 * @param {string} url
+	 * @param {object} [options] The defaults applied to this.xhr (see XHR.create()) and the options:
+	 * @param {number} [options.reconnectDelay=3000] The delay before reconnecting, milliseconds
+	 * @param {string} [options.lastEventId] The initial "Last-Event-ID" header value
+	 * @param {boolean} [options.withCredentials] See XMLHttpRequest.withCredentials (browser)
+	 * 
+	 * @property {string} url
+	 * @property {XHR}    xhr            The XHR instance making the connection
+	 * @property {number} readyState     The state of the client: XHR.EventSource.CONNECTING, OPEN or CLOSED
+	 * @property {string} lastEventId    The last event ID received
+	 * @property {number} reconnectDelay The delay before reconnecting, milliseconds
+	 */
+	XHR.EventSource = function(url, options) {
+		if ((typeof this != 'object') || !(this instanceof XHR.EventSource))
+			return new XHR.EventSource(url, options);
+		options = options || {};
+		this.url = url;
+		this.readyState = XHR.EventSource.CONNECTING;
+		this.lastEventId = options.lastEventId || '';
+		this.reconnectDelay = options.reconnectDelay >= 0 ? options.reconnectDelay : 3000;
+		this.listeners = {};
+		this.onopen = this.onmessage = this.onerror = null;
+		this.xhr = new XHR(url);
+		applyDefaults(this.xhr, options);
+		(XHR.transport === XHR.adapters.xhr2) && !options.transport && this.xhr.useTransport(XHR.adapters.http);
+		options.withCredentials && (this.xhr.xhr.withCredentials = true);
+		// The cached response would be kept in memory with all events
+		this.xhr.useCache();
+		this.xhr.setHeader('Accept', 'text/event-stream').setHeader('Cache-Control', 'no-cache');
+		this.xhr.onChunk((xhr, text) => parseEvents(this, text));
+		this.xhr.onChange(() => {
+			if (this.xhr.isCompleted())
+				return onEventStreamEnd(this);
+			if (this.readyState == XHR.EventSource.CONNECTING && this.xhr.readyState() >= 2 && isEventStream(this.xhr)) {
+				this.readyState = XHR.EventSource.OPEN;
+				dispatchEvent(this, {type: 'open'});
+			};
+		});
+		this._reconnectTimer = setTimeout(() => connectEventSource(this), 0);
+	};
+
+	/**
+	 * The states of XHR.EventSource (this.readyState)
+	 * @type {number}
+	 * @x-id const XHR.EventSource.*
+	 * @x-rowspan javascript
+	 */
+	XHR.EventSource.CONNECTING = 0;
+	XHR.EventSource.OPEN       = 1;
+	XHR.EventSource.CLOSED     = 2;
+
+	/**
+	 * Add the listener of the events of type given ("message", "open", "error" or the type sent by the server)
+	 * @param {string} type
+	 * @param {function(object)} listener
+	 * @return {EventSource} this
+	 */
+	XHR.EventSource.prototype.addEventListener = function(type, listener) {
+		const listeners = this.listeners[type] = this.listeners[type] || [];
+		(typeof listener == 'function') && listeners.indexOf(listener) < 0 && listeners.push(listener);
+		return this;
+	};
+
+	/**
+	 * Remove the listener of the events of type given
+	 * @param {string} type
+	 * @param {function(object)} listener
+	 * @return {EventSource} this
+	 */
+	XHR.EventSource.prototype.removeEventListener = function(type, listener) {
+		this.listeners[type] = (this.listeners[type] || []).filter(item => item !== listener);
+		return this;
+	};
+
+	/**
+	 * Close the connection and stop reconnecting
+	 * @return {EventSource} this
+	 */
+	XHR.EventSource.prototype.close = function() {
+		this.readyState = XHR.EventSource.CLOSED;
+		clearTimeout(this._reconnectTimer);
+		this.xhr.abort();
+		return this;
+	};
+
+	// Open the connection of XHR.EventSource
+	function connectEventSource(source) {
+		if (source.readyState == XHR.EventSource.CLOSED)
+			return;
+		source.readyState = XHR.EventSource.CONNECTING;
+		source._parser = {buffer: '', data: '', type: '', id: source.lastEventId, started: false};
+		source.lastEventId ? source.xhr.setHeader('Last-Event-ID', source.lastEventId) : delete(source.xhr.headers['Last-Event-ID']);
+		try {
+			source.xhr.send();
+		} catch (error) {
+			source.readyState = XHR.EventSource.CLOSED;
+			dispatchEvent(source, {type: 'error', error: error});
+		};
+	};
+
+	// Handle the end of XHR.EventSource connection: reconnect or close
+	function onEventStreamEnd(source) {
+		if (source.readyState == XHR.EventSource.CLOSED)
+			return;
+		const xhr = source.xhr,
+			fatal = xhr.status() == 204 || (xhr.status() && !(xhr.status() == 200 && isEventStream(xhr)));
+		source.readyState = fatal ? XHR.EventSource.CLOSED : XHR.EventSource.CONNECTING;
+		dispatchEvent(source, {type: 'error'});
+		if (source.readyState == XHR.EventSource.CONNECTING)
+			source._reconnectTimer = setTimeout(() => connectEventSource(source), source.reconnectDelay);
+	};
+
+	// Check if the response is the event stream
+	function isEventStream(xhr) {
+		return xhr.status() == 200 && /^text\/event-stream\b/i.test(xhr.responseHeader('Content-Type') || '');
+	};
+
+	// Parse the part of "text/event-stream" response, dispatch the complete events
+	function parseEvents(source, text) {
+		const parser = source._parser;
+		var buffer = parser.buffer + text;
+		if (!parser.started && buffer) {
+			parser.started = true;
+			buffer = buffer.replace(/^\uFEFF/, '');
+		};
+		// Keep the trailing CR, it may be followed by LF in the next part
+		const end = buffer.slice(-1) == '\r' ? buffer.length - 1 : buffer.length,
+			lines = buffer.substr(0, end).split(/\r\n|\r|\n/);
+		parser.buffer = lines.pop() + buffer.substr(end);
+		for (let line of lines) {
+			if (source.readyState == XHR.EventSource.CLOSED)
+				return;
+			if (line === '') {
+				source.lastEventId = parser.id;
+				if (parser.data)
+					dispatchEvent(source, {type: parser.type || 'message', data: parser.data.slice(0, -1), lastEventId: parser.id});
+				parser.data = parser.type = '';
+				continue;
+			};
+			const iColon = line.indexOf(':');
+			if (iColon == 0) // Comment
+				continue;
+			const name = iColon < 0 ? line : line.substr(0, iColon),
+				value = iColon < 0 ? '' : line.substr(iColon + 1).replace(/^ /, '');
+			if (name == 'event')
+				parser.type = value;
+			else if (name == 'data')
+				parser.data += value + '\n';
+			else if (name == 'id' && value.indexOf('\0') < 0)
+				parser.id = value;
+			else if (name == 'retry' && /^\d+$/.test(value))
+				source.reconnectDelay = parseInt(value);
+		};
+	};
+
+	// Dispatch the event to XHR.EventSource listeners and this["on" + type] handler
+	function dispatchEvent(source, event) {
+		const url = parseURL(source.xhr.requestURL());
+		event = Object.assign({data: undefined, lastEventId: source.lastEventId, origin: url ? url.origin : '', target: source, xhr: source.xhr}, event);
+		const handler = source['on' + event.type];
+		[].concat((typeof handler == 'function') ? handler : [], source.listeners[event.type] || []).forEach(listener => {
+			try {
+				listener.call(source, event);
+			} catch (error) {
+				reportError(error, source.xhr, 'eventsource:' + event.type);
+			};
+		});
+	};
+
+	// Apply the client defaults (see XHR.create()) to the new XHR instance
+	function applyDefaults(self, defaults) {
+		(typeof defaults.baseURL == 'string') && (self.baseURL = defaults.baseURL);
+		self.headers = Object.assign({}, defaults.headers);
+		self.data    = Object.assign({}, defaults.data);
+		self.query   = Object.assign({}, defaults.query);
+		(typeof defaults.timeout == 'number') && self.setTimeout(defaults.timeout);
+		defaults.auth && self.httpAuth(defaults.auth.userName, defaults.auth.password);
+		(typeof defaults.responseType == 'string') && self.responseType(defaults.responseType);
+		(typeof defaults.bodyType == 'string') && self.bodyType(defaults.bodyType);
+		defaults.cookies && self.setCookies(defaults.cookies);
+		defaults.retry && self.retry(defaults.retry);
+		defaults.signal && self.signal(defaults.signal);
+		defaults.cookieJar && self.useCookieJar(defaults.cookieJar);
+		defaults.cache && self.useCache(defaults.cache);
+		defaults.scheduler && self.useScheduler(defaults.scheduler);
+		defaults.transport && self.useTransport(defaults.transport);
+		(typeof defaults.rejectWithError == 'boolean') && self.setRejectWithError(defaults.rejectWithError);
+		(typeof defaults.autoParse == 'boolean') && self.setAutoParse(defaults.autoParse);
+		(defaults.tracer !== undefined) && self.useTracer(defaults.tracer);
+	};
+
+	// Merge the client defaults, the name -> value maps are merged by name
+	function mergeDefaults(base, defaults) {
+		const merged = Object.assign({}, base, defaults);
+		['headers', 'data', 'query', 'cookies'].forEach(key => {
+			if (base[key] && defaults && defaults[key])
+				merged[key] = Object.assign({}, base[key], defaults[key]);
+		});
+		return merged;
+	};
+
 	// =========================================================================
 	/* ## Exports ## */
 
@@ -1,11 +1 @@
-(function(g){var e="object"==typeof window&&"object"==typeof document,f="object"==typeof module&&"function"==typeof require;if("undefined"==typeof XMLHttpRequest)if(f)XMLHttpRequest=require("xhr2"),["cookie","cookie2","referer","user-agent"].forEach(function(a){return delete XMLHttpRequest.prototype._restrictedHeaders[a]});else throw Error("XMLHttpRequest is not defined in this environment");var b=function(a,c,d){if("object"!=typeof this||!(this instanceof b))return new b(a,c,d);this.xhr=new XMLHttpRequest;
-this.method=d||"";this.url=a||"";this.postData=c||void 0;this.password=this.userName=void 0;this.headers={};this.data={}};b.prototype.ERR_NONE=0;b.prototype.ERR_CONNECTION=1;b.prototype.ERR_HTTPSTATUS=2;b.prototype.ERR_BODYTYPE=3;b.prototype.reset=function(a,c,b){this.method=b||"";this.url=a||"";this.postData=c||void 0;return this};b.prototype.httpAuth=function(a,c){this.userName=a;this.password=c;return this};b.prototype.setTimeout=function(a){this.xhr.timeout="number"==typeof a&&0<a?a:0;return this};
-b.prototype.setData=function(a,c){"string"==typeof a&&a.length&&(void 0!==c?this.data[a]=c:this.data.hasOwnProperty(a)&&delete this.data[a]);return this};b.prototype.setHeader=function(a,c){"string"==typeof a&&a.length&&("string"==typeof c&&c.length?this.headers[a]=c:this.headers.hasOwnProperty(a)&&delete this.headers[a]);return this};b.prototype.setCookie=function(a,c){"string"==typeof a&&a.length&&"string"==typeof c&&c.length&&(this.headers.Cookie="Cookie"in this.headers?this.headers.Cookie+("; "+
-a+"="+encodeURIComponent(c)):a+"="+encodeURIComponent(c));return this};b.prototype.setCookies=function(a){var c=[];if("object"==typeof a)for(var b in a)a.hasOwnProperty(b)&&"string"==typeof a[b]&&a[b].length&&c.push(b+"="+encodeURIComponent(a[b]));c.length?this.headers.Cookie=c.join("; "):this.headers.hasOwnProperty("Cookie")&&delete this.headers.Cookie;return this};b.prototype.onTimeout=function(a){var c=this;this.xhr.ontimeout=function(b){return"function"==typeof a&&a.call(c,c)};return this};b.prototype.onChange=
-function(a){var c=this;this.xhr.onreadystatechange=function(b){return"function"==typeof a&&a.call(c,c)};return this};b.prototype.onReady=function(a){var c=this;this.xhr.onreadystatechange=function(b){return c.isCompleted()&&"function"==typeof a&&a.call(c,c)};return this};b.prototype.onSuccess=function(a,c){var b=this;this.xhr.onreadystatechange=function(d){b.isCompleted()&&(b.isSuccessResponse()?"function"==typeof a&&a.call(b,b):"function"==typeof c&&c.call(b,b))};return this};b.prototype.promise=
-function(a){var b=this;return new Promise(function(c,e){b.xhr.onreadystatechange=function(a){b.isCompleted()&&(b.isSuccessResponse()?c(b):e(b))};b.send(a)})};b.prototype.readyState=function(){return this.xhr.readyState};b.prototype.status=function(){return this.xhr.status};b.prototype.responseHeaders=function(){return this.xhr.getAllResponseHeaders()};b.prototype.responseHeader=function(a){return this.xhr.getResponseHeader(a)};b.prototype.responseText=function(){return this.xhr.responseText};b.prototype.response=
-function(){return this.xhr.response};b.prototype.responseType=function(a){if("string"!=typeof a)return this.xhr.responseType;this.xhr.responseType=a;return this};b.prototype.send=function(a){if(this.url)if(a||this.postData){this.xhr.open(this.method||"POST",this.url,!0,this.userName,this.password);for(var b in this.headers)this.xhr.setRequestHeader(b,this.headers[b]);this.xhr.send(a||this.postData)}else{this.xhr.open(this.method||"GET",this.url,!0,this.userName,this.password);for(var d in this.headers)this.xhr.setRequestHeader(d,
-this.headers[d]);this.xhr.send()}else throw Error("The request URL is empty");return this};b.prototype.abort=function(){this.xhr.abort();return this};b.prototype.isCompleted=function(){return this.xhr.readyState==XMLHttpRequest.DONE||this.xhr.readyState==this.xhr.DONE};b.prototype.isStatusOK=function(){return 200<=this.xhr.status&&300>this.xhr.status};b.prototype.isSuccessResponse=function(){return this.isStatusOK()&&(!this.xhr.responseType||null!==this.xhr.response&&void 0!==this.xhr.response)};
-b.prototype.errorState=function(a){return this.status()?this.isStatusOK()?this.isSuccessResponse()?a?"No error":this.ERR_NONE:a?"Unexpected response body format":this.ERR_BODYTYPE:a?"HTTP "+this.status():this.ERR_HTTPSTATUS:a?"Connection failed":this.ERR_CONNECTION};e&&(b.prototype.loadInto=function(a,b,d){b&&"function"==typeof this.showPreloader&&this.showPreloader(a);this.responseType("").onReady(function(){"string"==typeof a&&a.length&&(a=document.querySelector(a));if("object"!=typeof a||!(a instanceof
-Element))throw Error("Invalid node element / CSS selector");this.isStatusOK()?a.innerHTML=this.xhr.responseText:a.innerHTML="function"==typeof d?d(this)||"":d||""}).send();return this},b.prototype.showPreloader=function(a){"string"==typeof a&&a.length&&(a=document.querySelector(a));"object"==typeof a&&a instanceof Element&&(a.innerHTML='<div class="xhr_preloader" id="xhr_preloader_'+a.id+'" style="height:'+a.clientHeight+"px;width:"+a.clientWidth+'px;margin:0px;padding:0px;"></div>');return this});
-if(e)window[g]=b;else if(f)module.exports=b;else throw Error("Unsupported environment");})("XHR");
+!function(){const e="object"==typeof window&&"object"==typeof document,t="object"==typeof module&&"function"==typeof require,r="function"==typeof XMLHttpRequest||"object"==typeof XMLHttpRequest,o="function"==typeof fetch;if(!r&&!o&&!t)throw new Error("Neither XMLHttpRequest nor fetch is defined in this environment");var s=null;var n=function(e,t,r){if("object"!=typeof this||!(this instanceof n))return new n(e,t,r);this.transport=null,this.xhr=G(this),this.method=r||"",this.url=e||"",this.postData=t||void 0,this.baseURL="",this.userName=void 0,this.password=void 0,this.headers={},this.data={},this.query={},this.queryFormat="brackets",this.requestBodyType="",this.interceptors={request:new h,response:new h},this.interceptorError=void 0,this.responseSchema=null,this.schemaError=null,this.deadline=0,this.cookieJar=null,this.cache=null,this.cacheStatus="",this.scheduler=null,this.priority=0,this.abortSignal=null,this.rejectWithError=void 0,this.autoParse=void 0,this.retryPolicy=null,this.attempt=0,this.tracer=void 0,k(this)};function i(e,t,r){var o=[];for(let s in e){if(!e.hasOwnProperty(s)||void 0===e[s])continue;const n=e[s],a=void 0===r?s:Array.isArray(e)?r+("indices"==t?"["+s+"]":"repeat"==t?"":"[]"):r+"["+s+"]";n instanceof Date?o.push(encodeURIComponent(a)+"="+encodeURIComponent(n.toISOString())):"object"==typeof n&&n?o.push(i(n,t,a)):o.push(encodeURIComponent(a)+"="+encodeURIComponent(null===n?"":String(n)))}return o.filter(e=>e.length).join("&")}function a(e,t){const r=new n(t.url||e.url,e.postData,e.method);return e.transport&&r.useTransport(e.transport),r.baseURL=t.url?"":e.baseURL,r.userName=e.userName,r.password=e.password,r.headers=Object.assign({},e.headers),r.data=Object.assign({},e.data),r.query=t.url?{}:Object.assign({},e.query,t.query),["queryFormat","requestBodyType","deadline","cookieJar","cache","scheduler","priority","abortSignal","rejectWithError","autoParse","retryPolicy","responseSchema","tracer"].forEach(t=>r[t]=e[t]),["request","response"].forEach(t=>r.interceptors[t].handlers=e.interceptors[t].handlers.slice()),r.xhr.timeout=e.xhr.timeout,r.xhr.withCredentials=e.xhr.withCredentials,r.responseType(e.responseType())}function c(e,t){const r=re(t,e.xhr.responseURL||e.requestURL());return r?{url:r.href}:null}function u(e,t){const r=e.response();return"function"==typeof t?t.call(e,r,e):"string"==typeof t?t.split(".").reduce((e,t)=>"object"==typeof e&&e?e[t]:void 0,r):Array.isArray(r)?r:E(r)?["items","data","results"].map(e=>r[e]).filter(Array.isArray)[0]:void 0}function h(){this.handlers=[]}function p(e){l(e),e.abortSignal&&"function"==typeof e.abortSignal.addEventListener&&(e._signalListener=()=>e.abort(),e.abortSignal.addEventListener("abort",e._signalListener))}function l(e){e._signalListener&&e.abortSignal&&"function"==typeof e.abortSignal.removeEventListener&&e.abortSignal.removeEventListener("abort",e._signalListener),e._signalListener=null}function d(e){const t=e._seq=(e._seq||0)+1;return e._pending=!0,e._completing=!1,e._override=null,e.interceptorError=void 0,e.schemaError=null,e._parsed=null,e.cacheStatus="",e._scheduler&&le(e._scheduler,e),F(e,"request")?(z(e,"request",t).then(()=>{if(e._seq===t&&!e._aborted)return e._override?A(e):void f(e)}).catch(r=>e._seq===t&&J(e,r)),e):f(e)}function f(e){e._body=function(e,r){var o="";if("json"!=e.requestBodyType||!E(r)&&"string"!=typeof r)if("form"!=e.requestBodyType||!E(r)&&"string"!=typeof r){if("multipart"==e.requestBodyType&&E(r))if("function"!=typeof FormData||t){const e="----xhrless"+Math.random().toString(16).substr(2)+Date.now().toString(16);o="multipart/form-data; boundary="+e,r=function(e,t){var r=[];for(let o in e)e.hasOwnProperty(o)&&void 0!==e[o]&&[].concat(e[o]).map(x).forEach(e=>{const s='Content-Disposition: form-data; name="'+o.replace(/"/g,"%22")+'"';Buffer.isBuffer(e)?r.push(Buffer.from("--"+t+"\r\n"+s+'; filename="'+o.replace(/"/g,"%22")+'"\r\nContent-Type: application/octet-stream\r\n\r\n'),e,Buffer.from("\r\n")):r.push(Buffer.from("--"+t+"\r\n"+s+"\r\n\r\n"+(null===e?"":String(e))+"\r\n"))});return r.push(Buffer.from("--"+t+"--\r\n")),Buffer.concat(r)}(r,e)}else{const e=new FormData;for(let t in r)r.hasOwnProperty(t)&&void 0!==r[t]&&[].concat(r[t]).forEach(r=>e.append(t,x(r)));r=e}}else o="application/x-www-form-urlencoded; charset=UTF-8","string"!=typeof r&&(r=i(r,e.queryFormat));else o="application/json; charset=UTF-8","string"!=typeof r&&(r=JSON.stringify(r));return e._bodyContentType=o&&!v(e.headers,"Content-Type")?o:"",r}(e,e._postData),e._cacheEntry=e.cache&&"GET"==b(e)&&y(e)?e.cache.lookup(e):null;const r=e._cacheEntry;if(!r||e._revalidation)return ce(e);const o=Date.now();if(r.expires>o)e.cacheStatus="hit";else{if(!(!0===e.cache.staleWhileRevalidate||r.expires+(e.cache.staleWhileRevalidate||r.staleWhileRevalidate||0)>o))return ce(e);e.cacheStatus="stale"}e._override=m(e,r),e._completing=!0;const s=e._seq;return Promise.resolve().then(()=>e._seq===s&&A(e)),"stale"==e.cacheStatus&&function(e){const t="GET "+e.requestURL();if(e.cache.revalidating[t])return;e.cache.revalidating[t]=!0;const r=a(e,{url:e.requestURL()}).onReady(()=>delete e.cache.revalidating[t]);r._revalidation=!0,r.send()}(e),e}function y(e){return["","text","json"].indexOf(e.responseType())>=0}function m(e,t){var r=t.body;if("json"==e.responseType()&&"string"==typeof r)try{r=JSON.parse(r)}catch(e){r=null}return"json"!=e.responseType()&&"string"!=typeof r&&(r=JSON.stringify(r)),{status:t.status,headers:Object.assign({},t.headers),body:r}}function g(e){e._completing=!1,e._timedOut=!1,e._failedEvent=null,e._override=null,e.attempt++,e.xhr.open(b(e),e.requestURL(),!0,e.userName,e.password),e._cacheEntry&&(e._cacheEntry.etag&&!v(e.headers,"If-None-Match")&&e.xhr.setRequestHeader("If-None-Match",e._cacheEntry.etag),e._cacheEntry.lastModified&&!v(e.headers,"If-Modified-Since")&&e.xhr.setRequestHeader("If-Modified-Since",e._cacheEntry.lastModified)),e._cookieHeader=[S(e.headers,"Cookie"),e.cookieJar&&e.cookieJar.getCookieHeader(e.requestURL())].filter(Boolean).join("; ");for(let t in e.headers)"cookie"!=t.toLowerCase()&&e.xhr.setRequestHeader(t,e.headers[t]);return e._cookieHeader&&e.xhr.setRequestHeader("Cookie",e._cookieHeader),e._bodyContentType&&e.xhr.setRequestHeader("Content-Type",e._bodyContentType),e._timing=Object.assign(e._timing||{start:Date.now()},{sent:Date.now(),headers:0,loading:0,done:0,received:0}),e._uploadReported=!1,e._streamOffset=0,e._streamBuffer="",e._body?e.xhr.send(e._body):e.xhr.send(),e._seq++,e}function b(e){return(e.method||(e._postData?"POST":"GET")).toUpperCase()}function x(e){return E(e)?JSON.stringify(e):e}function E(e){if("object"!=typeof e||!e)return!1;const t=Object.getPrototypeOf(e);return Array.isArray(e)||t===Object.prototype||null===t}function v(e,t){return void 0!==S(e,t)}function S(e,t){t=t.toLowerCase();for(let r in e)if(e.hasOwnProperty(r)&&r.toLowerCase()==t)return e[r]}function T(e,t){return!!e._listeners&&!!e._listeners[t]&&e._listeners[t].length>0}function _(e,t,r){T(e,t)&&e._listeners[t].slice().forEach(o=>{try{void 0===r?o.call(e,e):o.call(e,e,r)}catch(r){C(r,e,t)}})}function C(e,t,r){if(n.handlerErrorHandler)try{return n.handlerErrorHandler.call(t,e,t,r)}catch(t){e=t}setTimeout(()=>{throw e},0)}function k(e){e.xhr.onreadystatechange=t=>{2==e.xhr.readyState?function(e){if(e._timing.headers=Date.now(),e.xhr instanceof de&&(e.xhr.streaming=!!e._chunkHandler&&!e.cache&&O(e)),e.cookieJar){const t=e.responseHeader("Set-Cookie");t&&[].concat(t).forEach(t=>e.cookieJar.setCookie(t,e.xhr.responseURL||e.requestURL()))}if(T(e,"uploadprogress")&&!e._uploadReported){const t=L(e._body);j(e,"uploadprogress",{loaded:t,total:t,lengthComputable:t>0},e._timing.sent)}}(e):3==e.xhr.readyState&&(e._timing.loading=e._timing.loading||Date.now()),e._chunkHandler&&w(e,4==e.xhr.readyState),e._aborted&&!e._pending||(e.isCompleted()?e.xhr.status?H(e,t):e._failedEvent=t:_(e,"change"))},e.xhr.ontimeout=t=>e._timedOut=!0,e.xhr.onloadend=t=>{const r=e._failedEvent;e._failedEvent=null,r&&H(e,r)},e.xhr.onprogress=t=>{e._timing.received=t.loaded,e._chunkHandler&&w(e,!1),T(e,"progress")&&j(e,"progress",t,e._timing.headers)},e.xhr.onchunk=(t,r)=>{if(e._chunkHandler&&O(e))return"buffer"==e._chunkMode?t&&t.length?e._chunkHandler.call(e,e,Buffer.from(t.buffer,t.byteOffset,t.byteLength)):void 0:void(e.xhr.streaming&&q(e,r,!1))},R(e)}function O(e){return!e._override&&e.xhr.status>=200&&e.xhr.status<300}function w(e,t){if(!O(e)||"buffer"==e._chunkMode&&e.xhr instanceof de)return;var r="";try{r=e.xhr.streaming?"":e.xhr.responseText||""}catch(e){}const o=r.substr(e._streamOffset);e._streamOffset=r.length,q(e,o,t)}function q(e,t,r){if("text"==e._chunkMode||"buffer"==e._chunkMode)return t&&e._chunkHandler.call(e,e,"buffer"==e._chunkMode?Buffer.from(t):t);const o=(e._streamBuffer+t).split(/\r?\n/);e._streamBuffer=r?"":o.pop(),r&&""===o[o.length-1]&&o.pop();for(let t of o){if("ndjson"==e._chunkMode){if(!t.trim())continue;try{t=JSON.parse(t)}catch(t){return e._streamError=t,e.abort()}}if(e._chunkHandler.call(e,e,t),!e._pending||e.xhr.readyState<2)return}}function R(e){e.xhr.upload&&(e.xhr.upload.onprogress=T(e,"uploadprogress")?t=>{e._uploadReported=!0,j(e,"uploadprogress",t,e._timing.sent)}:null)}function j(e,t,r,o){const s=r.lengthComputable&&r.total>0?r.total:null,n=(Date.now()-(o||Date.now()))/1e3,i=n>0?r.loaded/n:0;_(e,t,{loaded:r.loaded,total:s,percent:s?Math.min(r.loaded/s*100,100):null,rate:i,eta:s&&i?Math.max(s-r.loaded,0)/i:null,attempt:e.attempt})}function L(e){return"string"==typeof e?xe(e).length:e&&"number"==typeof e.byteLength?e.byteLength:e&&"number"==typeof e.size?e.size:0}function H(e,t){(function(e){const t=e.retryPolicy;if(!t||e._aborted||e._expired||e.attempt>t.count)return!1;const r=e.status();if(e.isStatusOK()||r&&("function"==typeof t.on?!t.on.call(e,e):t.on.indexOf(r)<0))return!1;let o=Math.min(t.delay*Math.pow(t.backoff,e.attempt-1),t.maxDelay);const s=r?e.responseHeader("Retry-After"):null;s&&(o=Math.min(/^\s*\d+\s*$/.test(s)?1e3*parseInt(s):Math.max(Date.parse(s)-Date.now(),0)||o,t.maxDelay));return!(e._deadlineAt&&Date.now()+o>=e._deadlineAt)&&(e._retryTimer=setTimeout(()=>{$(e),g(e)},o),!0)})(e)||(!function(e){e.cache&&"GET"==b(e)&&y(e)&&(304==e.status()&&e._cacheEntry?(e._cacheEntry=e.cache.refresh(e,e._cacheEntry),e._override=m(e,e._cacheEntry),e.cacheStatus="revalidated"):200==e.status()&&e.isSuccessResponse()&&e.cache.put(e))}(e),e._scheduler&&function(e,t){const r=t._group;if(!r||r.leader!==t||t._aborted||t._expired)return;delete e.inFlight[r.key];const o="json"==t.responseType()?JSON.stringify(t.response()):null;r.followers.splice(0).forEach(e=>{e._group=null,e._override={status:t.status(),headers:ae(t.responseHeaders()),body:"json"==t.responseType()?JSON.parse(o):t.response()},e.cacheStatus=t.cacheStatus,e._completing=!0,A(e)})}(e._scheduler,e),A(e,t))}function A(e,t){if(e._completing=!0,!F(e,"response"))return N(e,t);const r=e._seq;z(e,"response",r).catch(t=>{e.interceptorError=t,e._override={status:0,body:null}}).then(()=>e._seq===r&&N(e,t))}function N(e,t){if(e._pending){e._pending=!1,function(e){const t=e.response(),r=(e.responseHeader("Content-Type")||"").toLowerCase(),o=function(e){const t=/\+(json|xml)$/.exec(e);return n.parsers[e]||t&&n.parsers["application/"+t[1]]||/^text\//.test(e)&&n.parsers["text/plain"]||null}(r.split(";")[0].trim());if(e._parseError=null,!e.responseSchema&&!(void 0===e.autoParse?n.autoParse:e.autoParse))return;if(e.responseType()||"string"!=typeof t||!e.status()||e.xhr.streaming||!o)return;try{e._parsed={body:o(t,r)}}catch(t){e._parseError={message:t&&t.message||String(t)}}}(e),e.responseSchema&&e.isStatusOK()&&function(e){var t=e.response();if(e._parseError)return void(e.schemaError=P("$",(e.responseHeader("Content-Type")||"").toLowerCase().split(";")[0].trim(),e._parseError.message));if("function"==typeof e.responseSchema)try{const r=e.responseSchema.call(e,t,e);!1===r?e.schemaError=P("$","valid body",D(t)):!0!==r&&void 0!==r&&(t=r)}catch(r){e.schemaError=P("$","valid body",D(t),r&&r.message||String(r))}else e.schemaError=I(e.responseSchema,t,"$");e._parsed={body:t}}(e),e._scheduler&&le(e._scheduler,e),clearTimeout(e._deadlineTimer),l(e),e._timing.done=Date.now();try{n.metricsHandler&&n.metricsHandler.call(e,e.metrics(),e)}catch(t){C(t,e,"metrics")}!function(e){const t=void 0===e.tracer?n.tracer:e.tracer;if(!t)return;try{const r=function(e){const t=e.metrics(),r=Object.assign(ge(e.headers,["Cookie"]),be(e));e._cookieHeader&&(r.Cookie=e._cookieHeader),e._bodyContentType&&(r["Content-Type"]=e._bodyContentType);const o=e.responseType(),s=o&&"text"!=o?"json"==o&&null!=e.response()?JSON.stringify(e.response()):"":e.responseText()||"";return{startedDateTime:new Date(t.startTime||Date.now()).toISOString(),method:t.method,url:e.requestURL(),requestHeaders:r,requestBody:U(e._body),status:t.status,statusText:!e._override&&e.xhr.statusText||"",responseHeaders:ae(e.responseHeaders()),responseBody:s,error:t.errorState?e.errorState(!0):"",metrics:t}}(e);"function"==typeof t?t.call(e,r,e):t.record(r,e)}catch(t){C(t,e,"trace")}}(e),e.errorState()==e.ERR_TIMEOUT&&_(e,"timeout"),_(e,"change"),_(e,e.isSuccessResponse()?"success":"error"),_(e,"ready")}}function P(e,t,r,o){return{path:e,expected:t,actual:r,message:o||e+": expected "+t+", actual "+r}}function D(e){return null===e?"null":Array.isArray(e)?"array":typeof e}function I(e,t,r){const o=D(t);if(e.type){const s=[].concat(e.type);if(!s.some(e=>e==o||"integer"==e&&Number.isInteger(t)))return P(r,s.join(" | "),o)}if(Array.isArray(e.enum)&&!e.enum.some(e=>JSON.stringify(e)===JSON.stringify(t)))return P(r,"one of "+JSON.stringify(e.enum),JSON.stringify(t));if(e.hasOwnProperty("const")&&JSON.stringify(e.const)!==JSON.stringify(t))return P(r,JSON.stringify(e.const),JSON.stringify(t));if(Array.isArray(e.anyOf)&&!e.anyOf.some(e=>!I(e,t,r)))return P(r,"any of "+e.anyOf.length+" schemas",o);if("string"==o){if(e.minLength>=0&&t.length<e.minLength)return P(r,"length >= "+e.minLength,"length "+t.length);if(e.maxLength>=0&&t.length>e.maxLength)return P(r,"length <= "+e.maxLength,"length "+t.length);if(e.pattern&&!new RegExp(e.pattern).test(t))return P(r,"pattern "+e.pattern,JSON.stringify(t))}else if("number"==o){if("number"==typeof e.minimum&&t<e.minimum)return P(r,">= "+e.minimum,String(t));if("number"==typeof e.maximum&&t>e.maximum)return P(r,"<= "+e.maximum,String(t))}else if("array"==o){if(e.minItems>=0&&t.length<e.minItems)return P(r,"items >= "+e.minItems,"items "+t.length);if(e.maxItems>=0&&t.length>e.maxItems)return P(r,"items <= "+e.maxItems,"items "+t.length);if(E(e.items))for(let o=0;o<t.length;o++){const s=I(e.items,t[o],r+"["+o+"]");if(s)return s}}else if("object"==o){const o=E(e.properties)?e.properties:{};for(let o of Array.isArray(e.required)?e.required:[])if(!t.hasOwnProperty(o))return P(B(r,o),"required property","undefined");for(let s of Object.keys(t)){const n=o.hasOwnProperty(s)?o[s]:e.additionalProperties;if(!1===n)return P(B(r,s),"no additional properties",D(t[s]));const i=E(n)?I(n,t[s],B(r,s)):null;if(i)return i}}return null}function B(e,t){return/^[A-Za-z_$][\w$]*$/.test(t)?e+"."+t:e+"["+JSON.stringify(t)+"]"}function U(e){if(null==e)return"";if("string"==typeof e)return e;if("function"==typeof Buffer&&Buffer.isBuffer(e))return e.toString("utf8");if("function"==typeof URLSearchParams&&e instanceof URLSearchParams)return e.toString();const t=L(e);return"["+(e.constructor&&e.constructor.name||typeof e)+(t?", "+t+" bytes":"")+"]"}function J(e,t){e.interceptorError=t,e._override={status:0,body:null},A(e)}function M(e,t){return!!e._override&&e._override.hasOwnProperty(t)}function F(e,t){return n.interceptors[t].handlers.length>0||e.interceptors[t].handlers.length>0}function z(e,t,r){const o=n.interceptors[t].handlers.concat(e.interceptors[t].handlers);var s=0;const i=()=>{if(s>=o.length||e._seq!==r||e._aborted)return Promise.resolve();const n=o[s++];return new Promise(t=>t(n.call(e,e))).then(r=>{if("object"!=typeof r||!r||r===e||(e._override=Object.assign(e._override||{},r),"request"!=t))return i()})};return i()}function G(e){return(e.transport||n.transport)(e)}function $(e){const t=e.xhr;e.xhr=G(e),e.xhr.timeout=t.timeout,e.xhr.responseType=t.responseType,e.xhr.withCredentials=t.withCredentials,k(e)}function W(e,t,r){t=Array.isArray(t)?t.join("."):t,r=[].concat(r).filter(e=>"string"==typeof e),t&&("string"==typeof t||"number"==typeof t)&&r.length&&(e[t]=(e[t]||[]).concat(r))}if(n.prototype.ERR_NONE=0,n.prototype.ERR_CONNECTION=1,n.prototype.ERR_HTTPSTATUS=2,n.prototype.ERR_BODYTYPE=3,n.prototype.ERR_ABORTED=4,n.prototype.ERR_TIMEOUT=5,n.prototype.reset=function(e,t,r){return this.method=r||"",this.url=e||"",this.postData=t||void 0,this},n.prototype.httpAuth=function(e,t){return this.userName=e,this.password=t,this},n.prototype.setTimeout=function(e){return this.xhr.timeout="number"==typeof e&&e>0?e:0,this},n.prototype.setDeadline=function(e){return this.deadline="number"==typeof e&&e>0?e:0,this},n.prototype.useCache=function(e){return this.cache="object"==typeof e&&e?e:null,this},n.prototype.useScheduler=function(e){return this.scheduler="object"==typeof e&&e?e:null,this},n.prototype.setPriority=function(e){return this.priority=e||0,this},n.prototype.useTransport=function(e){return this.transport="function"==typeof e?e:null,$(this),this},n.prototype.retry=function(e){return this.retryPolicy="object"==typeof e&&e?{count:"number"==typeof e.count&&e.count>=0?e.count:3,delay:"number"==typeof e.delay&&e.delay>=0?e.delay:1e3,backoff:"number"==typeof e.backoff&&e.backoff>0?e.backoff:2,maxDelay:"number"==typeof e.maxDelay&&e.maxDelay>=0?e.maxDelay:3e4,on:"function"==typeof e.on?e.on:Array.isArray(e.on)?e.on.slice():[429,502,503,504]}:null,this},n.prototype.setRejectWithError=function(e){return this.rejectWithError="boolean"==typeof e?e:void 0,this},n.prototype.setAutoParse=function(e){return this.autoParse="boolean"==typeof e?e:void 0,this},n.prototype.signal=function(e){return l(this),this.abortSignal="object"==typeof e&&e?e:null,this._pending&&p(this),this},n.prototype.setData=function(e,t){return"string"==typeof e&&e.length&&(void 0!==t?this.data[e]=t:this.data.hasOwnProperty(e)&&delete this.data[e]),this},n.prototype.setHeader=function(e,t){return"string"==typeof e&&e.length&&("string"==typeof t&&t.length?this.headers[e]=t:this.headers.hasOwnProperty(e)&&delete this.headers[e]),this},n.prototype.setQuery=function(e,t){return"string"==typeof e&&e.length&&(void 0!==t?this.query[e]=t:this.query.hasOwnProperty(e)&&delete this.query[e]),this},n.prototype.setQueryParams=function(e){if("object"==typeof e&&e)for(let t in e)e.hasOwnProperty(t)&&this.setQuery(t,e[t]);else this.query={};return this},n.prototype.setQueryFormat=function(e){return this.queryFormat="indices"==e||"repeat"==e?e:"brackets",this},n.prototype.requestURL=function(){const e=!this.baseURL||/^([a-z][a-z\d+.-]*:)?\/\//i.test(this.url)?this.url:this.url?this.baseURL.replace(/\/+$/,"")+"/"+this.url.replace(/^\/+/,""):this.baseURL,t=i(this.query,this.queryFormat);if(!t)return e;const r=e.indexOf("#"),o=r<0?e:e.substr(0,r),s=r<0?"":e.substr(r);return o+(o.indexOf("?")<0?"?":/[?&]$/.test(o)?"":"&")+t+s},n.prototype.setCookie=function(e,t){return"string"==typeof e&&e.length&&"string"==typeof t&&t.length&&("Cookie"in this.headers?this.headers.Cookie+="; "+e+"="+encodeURIComponent(t):this.headers.Cookie=e+"="+encodeURIComponent(t)),this},n.prototype.setCookies=function(e){var t=[];if("object"==typeof e)for(let r in e)e.hasOwnProperty(r)&&"string"==typeof e[r]&&e[r].length&&t.push(r+"="+encodeURIComponent(e[r]));return t.length?this.headers.Cookie=t.join("; "):this.headers.hasOwnProperty("Cookie")&&delete this.headers.Cookie,this},n.prototype.useCookieJar=function(e){return this.cookieJar="object"==typeof e&&e?e:null,this},n.prototype.useTracer=function(e){return this.tracer="object"==typeof e&&e||"function"==typeof e||!1===e?e:void 0,this},n.prototype.on=function(e,t){return"string"==typeof e&&"function"==typeof t&&(this._listeners=this._listeners||{},(this._listeners[e]=this._listeners[e]||[]).push(t),"uploadprogress"==e&&R(this)),this},n.prototype.once=function(e,t){if("function"!=typeof t)return this;const r=function(){return this.off(e,r),t.apply(this,arguments)};return r.handler=t,this.on(e,r)},n.prototype.off=function(e,t){return this._listeners?("string"!=typeof e?this._listeners={}:"function"!=typeof t?delete this._listeners[e]:this._listeners[e]&&(this._listeners[e]=this._listeners[e].filter(e=>e!==t&&e.handler!==t)),R(this),this):this},n.prototype.onTimeout=function(e){return this.on("timeout",e)},n.prototype.onUploadProgress=function(e){return"function"==typeof e?this.on("uploadprogress",e):this.off("uploadprogress")},n.prototype.onDownloadProgress=function(e){return"function"==typeof e?this.on("progress",e):this.off("progress")},n.prototype.onChunk=function(e,t){return this._chunkHandler="function"==typeof e?e:null,this._chunkMode=t||"text",this},n.prototype.onChange=function(e){return this.on("change",e)},n.prototype.onReady=function(e){return this.on("ready",e)},n.prototype.onSuccess=function(e,t){return this.on("success",e).on("error",t)},n.prototype.promise=function(e){return new Promise((t,r)=>{this.once("ready",()=>{this.isSuccessResponse()?t(this):r((void 0===this.rejectWithError?n.rejectWithError:this.rejectWithError)?this.error():this)}),this.send(e)})},n.prototype.stream=function(e,t){const r=[],o=[],s={done:!1,failed:!1,error:void 0},n=()=>{for(;o.length&&(r.length||s.done);){const e=o.shift();r.length?e.resolve({value:r.shift(),done:!1}):s.failed?(s.failed=!1,e.reject(s.error)):e.resolve({value:void 0,done:!0})}};this.onChunk((e,t)=>(r.push(t),n()),e),this.promise(t).then(()=>{s.done=!0,n()},e=>{Object.assign(s,{done:!0,failed:!0,error:this._streamError||e}),n()});const i={next:()=>new Promise((e,t)=>(o.push({resolve:e,reject:t}),n())),return:e=>(s.done||this.abort(),r.length=0,s.done=!0,s.failed=!1,Promise.resolve({value:e,done:!0}))};return Symbol.asyncIterator&&(i[Symbol.asyncIterator]=()=>i),i},n.prototype.pipe=function(e,t,r){const o=!t||!1!==t.end,s=()=>this.abort();return e.on("error",s),this.onChunk((t,r)=>e.write(r)?void 0:new Promise(t=>e.once("drain",t)),"buffer"),this.promise(r).then(t=>(e.removeListener("error",s),o&&e.end(),t),t=>{throw e.destroyed||e.destroy(this.error()),t})},n.prototype.paginate=function(e){const t=(e="string"==typeof e?{type:e}:"function"==typeof e?{next:e}:"object"==typeof e&&e?e:{}).type||"link",r=e.limit>0?e.limit:0,o=e.param||("link"==t?"":t),s={next:{},number:0,pages:0,items:0,done:!1,buffer:[],queue:Promise.resolve()},n=t=>{const s={};return s[o]=t,r&&(s[e.limitParam||"limit"]=r),s};"page"!=t&&"offset"!=t||(s.number="number"==typeof e.start?e.start:"page"==t?1:0,s.next={query:n(s.number)});const i=(i,a)=>{if("function"==typeof e.next){const t=e.next.call(this,i,a);return"string"==typeof t?c(i,t):"object"==typeof t&&t?{query:t}:null}if("link"==t){const e=function(e){const t={};return[].concat(e||[]).join(",").replace(/<([^>]*)>((?:\s*;\s*[^;,]+)*)/g,(e,r,o)=>{const s=/;\s*rel\s*=\s*(?:"([^"]*)"|([^\s;,]+))/i.exec(o);return s&&(s[1]||s[2]).split(/\s+/).forEach(e=>t[e.toLowerCase()]||(t[e.toLowerCase()]=r)),e}),t}(i.responseHeader("Link")).next;return e?c(i,e):null}if("cursor"==t){const t=u(i,e.cursor||"next_cursor"),r={};return r[o]=t,null==t||""===t?null:{query:r}}return!a.length||r&&a.length<r?null:(s.number+="page"==t?1:a.length,{query:n(s.number)})},h=()=>{if(s.buffer.length)return{value:s.buffer.shift(),done:!1};if(s.done||!s.next||e.maxPages>0&&s.pages>=e.maxPages||e.maxItems>0&&s.items>=e.maxItems)return s.done=!0,{value:void 0,done:!0};const t=p.request=a(this,s.next);return s.pages++,t.promise().then(()=>{if(!s.done){var r=u(t,e.items);if(r=Array.isArray(r)?r:[],s.next=i(t,r),e.pages)return s.buffer.push(t);r=e.maxItems>0?r.slice(0,e.maxItems-s.items):r,s.items+=r.length,s.buffer.push.apply(s.buffer,r)}},()=>s.done=!0).then(h)},p={request:null,next:()=>s.queue=s.queue.then(h),return:e=>(s.done||p.request&&p.request.abort(),s.done=!0,s.buffer.length=0,Promise.resolve({value:e,done:!0}))};return Symbol.asyncIterator&&(p[Symbol.asyncIterator]=()=>p),p},h.prototype.use=function(e){return"function"==typeof e&&this.handlers.push(e),this},h.prototype.eject=function(e){return this.handlers=this.handlers.filter(t=>t!==e),this},h.prototype.clear=function(){return this.handlers=[],this},n.interceptors={request:new h,response:new h},n.prototype.readyState=function(){return this._override?4:this.xhr.readyState},n.prototype.status=function(){return M(this,"status")?this._override.status:this.xhr.status},n.prototype.responseHeaders=function(){return M(this,"headers")?Object.keys(this._override.headers||{}).map(e=>e+": "+this._override.headers[e]+"\r\n").join(""):this.xhr.getAllResponseHeaders()},n.prototype.responseHeader=function(e){if(M(this,"headers")){const t=S(this._override.headers||{},e);return void 0===t?null:t}return this.xhr.getResponseHeader(e)},n.prototype.responseText=function(){return M(this,"body")?"string"==typeof this._override.body?this._override.body:JSON.stringify(this._override.body):this.xhr.responseText},n.prototype.response=function(){return this._parsed?this._parsed.body:M(this,"body")?this._override.body:this.xhr.response},n.prototype.responseType=function(e){return"string"!=typeof e?this.xhr.responseType:(this.xhr.responseType=e,this)},n.prototype.bodyType=function(e){return"string"!=typeof e?this.requestBodyType:(this.requestBodyType="json"==e||"form"==e||"multipart"==e?e:"",this)},n.prototype.validate=function(e){return this.responseSchema="object"==typeof e&&e||"function"==typeof e?e:null,this},n.prototype.send=function(e){if(!this.url&&!this.baseURL)throw new Error("The request URL is empty");return clearTimeout(this._retryTimer),this._aborted=!1,this._postData=e||this.postData,this.attempt=0,this._timing={start:Date.now()},this._expired=!1,this._streamError=null,this._cookieHeader="",clearTimeout(this._deadlineTimer),this._deadlineAt=this.deadline?Date.now()+this.deadline:0,this._deadlineTimer=this.deadline?setTimeout(()=>function(e){if(!e._pending)return;clearTimeout(e._retryTimer),e._expired=e._timedOut=!0,e.xhr.abort(),e._pending&&!e._completing&&(e._override={status:0,body:null},A(e))}(this),this.deadline):void 0,this.abortSignal&&this.abortSignal.aborted?(this._pending=!0,this.abort()):(p(this),d(this))},n.prototype.replay=function(){return clearTimeout(this._retryTimer),this._aborted=!1,$(this),d(this)},n.prototype.abort=function(){return this._pending?(clearTimeout(this._retryTimer),this._aborted=!0,this.xhr.abort(),this._pending&&!this._completing&&(this._override={status:0,body:null},A(this)),this):(this.xhr.abort(),this)},n.prototype.isCompleted=function(){return!!this._override||4==this.xhr.readyState},n.prototype.isStatusOK=function(){return this.status()>=200&&this.status()<300},n.prototype.isSuccessResponse=function(){return this.isStatusOK()&&!this.schemaError&&(!this.xhr.responseType||null!==this.response()&&void 0!==this.response())},n.prototype.errorState=function(e){return this._aborted?e?"Request aborted":this.ERR_ABORTED:this._timedOut?e?"Request timed out":this.ERR_TIMEOUT:this.status()?this.isStatusOK()?this.isSuccessResponse()?e?"No error":this.ERR_NONE:e?"Unexpected response body format"+(this.schemaError?": "+this.schemaError.message:""):this.ERR_BODYTYPE:e?"HTTP "+this.status():this.ERR_HTTPSTATUS:e?"Connection failed":this.ERR_CONNECTION},n.prototype.error=function(){switch(this.errorState()){case this.ERR_CONNECTION:return new n.ConnectionError(this);case this.ERR_HTTPSTATUS:return new n.HTTPStatusError(this);case this.ERR_BODYTYPE:return new n.BodyTypeError(this);case this.ERR_ABORTED:return new n.AbortError(this);case this.ERR_TIMEOUT:return new n.TimeoutError(this);default:return null}},n.prototype.validationErrors=function(){var e=this.isStatusOK()?null:this.response();const t={};if("string"==typeof e)try{e=JSON.parse(e)}catch(t){e=null}if(!E(e))return t;const r=Array.isArray(e.errors)?e.errors:Array.isArray(e.detail)?e.detail:null;if(r)r.filter(E).forEach(e=>W(t,e.source&&e.source.pointer?e.source.pointer.replace(/^\/(data\/attributes\/)?/,"").split("/"):Array.isArray(e.loc)?e.loc.slice("body"==e.loc[0]||"query"==e.loc[0]?1:0):e.field||e.param||e.path||e.name,e.message||e.msg||e.detail));else{const r=E(e.errors)?e.errors:e;Object.keys(r).forEach(e=>W(t,e,r[e]))}return t},n.prototype.metrics=function(){const e=this._timing||{},t=this.isCompleted()&&e.done?e.done:0,r=parseInt(this.responseHeader("Content-Length"));return{startTime:e.start||null,firstByte:e.sent&&e.headers?e.headers-e.sent:null,download:e.headers&&t?t-e.headers:null,total:e.start&&t?t-e.start:null,bytesSent:L(this._body),bytesReceived:e.received||(r>=0?r:null),attempts:this.attempt,method:b(this),url:this.xhr.responseURL||this.requestURL(),status:this.status(),errorState:this.errorState(),cacheStatus:this.cacheStatus}},e){function X(e){return"string"==typeof e&&e.length?document.querySelector(e):e instanceof Element?e:null}function V(e,t,r,o){return e.dispatchEvent(new CustomEvent(t,{bubbles:!0,cancelable:!!o,detail:{xhr:r}}))}function Q(e){const t=(e.getAttribute("data-xhr-trigger")||"").split(",").map(e=>e.trim()).filter(Boolean);return t.length?t:["FORM"==e.tagName?"submit":"click"]}function K(e){e.setCustomValidity(""),e.removeAttribute("aria-invalid")}n.prototype.loadInto=function(e,t,r){t="object"==typeof t&&t?t:{showPreloader:t,onError:r};const o=X(e);if(o&&!V(o,"xhr:beforeload",this,!0))return this;const s=o?o.innerHTML:null;return t.showPreloader&&"function"==typeof this.showPreloader&&this.showPreloader(e),this.responseType("").once("ready",function(){if("object"!=typeof(e=X(e)||e)||!(e instanceof Element))throw new Error("Invalid node element / CSS selector");if(null!==s&&t.showPreloader&&(e.innerHTML=s),this.isStatusOK()){const r=e.parentNode;!function(e,t,r,o){const s=o?Array.prototype.slice.call(t.querySelectorAll("script")):[];switch(r){case"append":e.appendChild(t);break;case"prepend":e.insertBefore(t,e.firstChild);break;case"before":e.parentNode.insertBefore(t,e);break;case"after":e.parentNode.insertBefore(t,e.nextSibling);break;case"outerHTML":e.parentNode.replaceChild(t,e);break;default:e.innerHTML="",e.appendChild(t)}s.forEach(e=>{const t=document.createElement("script");Array.prototype.slice.call(e.attributes).forEach(e=>t.setAttribute(e.name,e.value)),t.text=e.text,e.parentNode.replaceChild(t,e)})}(e,function(e,t){const r=document.createElement("template");if(r.innerHTML=e,!t)return r.content;const o=document.createDocumentFragment();return Array.prototype.slice.call(r.content.querySelectorAll(t)).forEach(e=>o.appendChild(e)),o}(this.xhr.responseText,t.select),t.swap||"replace",t.scripts),V(e.parentNode||!r?e:r,"xhr:load",this)}else{const r="function"==typeof t.onError?t.onError(this):t.onError;e.innerHTML=r||(t.restore&&null!==s?s:""),V(e,"xhr:error",this)}}).send(),this},n.prototype.showPreloader=function(e){return"string"==typeof e&&e.length&&(e=document.querySelector(e)),"object"==typeof e&&e instanceof Element&&(e.innerHTML='<div class="xhr_preloader" id="xhr_preloader_'+e.id+'" style="height:'+e.clientHeight+"px;width:"+e.clientWidth+'px;margin:0px;padding:0px;"></div>'),this},n.autoBind=function(e,t){e=e||document,t=t||n;const r=new WeakSet,o=new WeakMap,s={},i=[],a="[data-xhr-get], form[data-xhr-submit]",c=e=>{o.has(e)&&o.get(e).abort();const r=function(e,t){const r=e.getAttribute("data-xhr-get");return"FORM"!=e.tagName?t(r):n.fromForm(e,null!==r?{client:t,url:r,method:"GET"}:{client:t,url:e.getAttribute("data-xhr-submit")})}(e,t);o.set(e,r),r.loadInto(e.getAttribute("data-xhr-target")||e,{swap:e.getAttribute("data-xhr-swap")||"",select:e.getAttribute("data-xhr-select")||"",showPreloader:e.hasAttribute("data-xhr-preloader"),scripts:e.hasAttribute("data-xhr-scripts"),restore:e.hasAttribute("data-xhr-restore")})},u=e=>{const t=e.target instanceof Element?e.target.closest(a):null;!t||!r.has(t)||Q(t).indexOf(e.type)<0||(e.preventDefault(),c(t))},h=t=>{const o=Array.prototype.slice.call(t.querySelectorAll(a));t instanceof Element&&t.matches(a)&&o.unshift(t),o.filter(e=>!r.has(e)).forEach(t=>{r.add(t),Q(t).forEach(r=>{const o=/^every\s+(\d+(?:\.\d+)?)\s*(ms|s)$/.exec(r);if("load"==r)c(t);else if(o){const r=setInterval(()=>e.contains(t)?c(t):clearInterval(r),parseFloat(o[1])*("s"==o[2]?1e3:1));i.push(r)}else s[n=r]||e.addEventListener(n,s[n]=u,!0);var n})})},p=e=>h(e.target);return e.addEventListener("xhr:load",p),h(e),()=>{e.removeEventListener("xhr:load",p),Object.keys(s).forEach(t=>e.removeEventListener(t,s[t],!0)),i.forEach(e=>clearInterval(e))}},n.fromForm=function(e,t){if(t=t||{},!(e="string"==typeof e?document.querySelector(e):e)||"FORM"!=e.tagName)throw new Error("The form is not found");const r=t.client||n,o=t.url||e.getAttribute("action")||location.href,s=(t.method||e.getAttribute("method")||"GET").toUpperCase(),i=(e.getAttribute("enctype")||"").toLowerCase(),a="GET"!=s&&"multipart/form-data"==i,c=function(e,t){const r={},o=(e,t,o)=>{r.hasOwnProperty(e)||o?r[e]=[].concat(r.hasOwnProperty(e)?r[e]:[],t):t.length&&(r[e]=t[0])};return Array.prototype.forEach.call(e.elements,e=>{const r=e.name,s=(e.type||"").toLowerCase();if(!r||e.matches(":disabled")||["INPUT","SELECT","TEXTAREA"].indexOf(e.tagName)<0||["submit","button","reset","image"].indexOf(s)>=0||("checkbox"==s||"radio"==s)&&!e.checked)return;const n=/\[\]$/.test(r);"select-multiple"==s?o(r,Array.prototype.filter.call(e.options,e=>e.selected&&!e.disabled).map(e=>e.value),!0):"file"==s?o(r,Array.prototype.map.call(e.files||[],e=>t?e:e.name),n||e.multiple):o(r,[e.value],n)}),r}(e,a),u="GET"==s?r(o).setQueryParams(c).setQueryFormat("repeat"):r(o,c,s).setQueryFormat("repeat").bodyType(a?"multipart":"application/json"==i?"json":"form");return!1!==t.validation&&(u.interceptors.request.use(()=>function(e){Array.prototype.forEach.call(e.elements,e=>"true"==e.getAttribute("aria-invalid")&&K(e)),Array.prototype.forEach.call(e.querySelectorAll("[data-xhr-error]"),e=>e.textContent="")}(e)),u.interceptors.response.use(()=>(422==u.status()||400==u.status())&&function(e,t){const r=[];var o=!1;Object.keys(t).forEach(s=>{const n=t[s].join("\n"),i=function(e,t){const r=t.replace(/\.([^.]+)/g,"[$1]"),o=e.elements.namedItem(t)||e.elements.namedItem(r)||e.elements.namedItem(r+"[]");return o?o instanceof Element?[o]:Array.prototype.slice.call(o):[]}(e,s),a=Array.prototype.filter.call(e.querySelectorAll("[data-xhr-error]"),e=>e.getAttribute("data-xhr-error")==s)[0];i.length||a?(a&&(a.textContent=n),i.forEach(e=>{o=!0,e.setCustomValidity(n),e.setAttribute("aria-invalid","true"),e.addEventListener("input",()=>i.forEach(K),{once:!0})})):r.push(n)});const s=e.querySelector('[data-xhr-error=""]');s&&r.length&&(s.textContent=r.join("\n")),o&&e.reportValidity()}(e,u.validationErrors()))),u}}function Y(e,t,r){return t=t>0?t:1/0,new Promise((o,s)=>{const i=new Array(e.length),a=[];var c=0,u=0,h=!1;const p=e=>{h=!0,a.slice().forEach(e=>e.abort()),s(e)},l=()=>{if(h||a.length>=t||c>=e.length)return;const s=c++;let d;try{d=function(e,t){if("function"==typeof e&&(e=e(t)),e instanceof n)return e;if(!E(e))throw new TypeError("The batch request is neither XHR instance nor config object");const r=new n(e.url,e.postData,e.method);return Ce(r,e),r}(e[s],i[s-1])}catch(e){return p(e)}const f=()=>{if(a.splice(a.indexOf(d),1),h)return;const t=i[s]=function(e,t){return{index:t,xhr:e,ok:e.errorState()==e.ERR_NONE,errorState:e.errorState(),status:e.status(),response:e.response(),error:e.error(),metrics:e.metrics()}}(d,s);if(u++,r(t)||u==e.length)return h=!0,a.slice().forEach(e=>e.abort()),o(i);l()};a.push(d),d.promise().then(f,e=>e===d||e instanceof n.XHRError&&e.xhr===d?f():(a.splice(a.indexOf(d),1),p(e))),Promise.resolve().then(l)};e.length?l():o(i)})}function Z(e){const t=e.filter(e=>e&&!e.ok)[0];return t?Promise.reject(t):e}function ee(e,t){if(!t.length)return e;t=t.map(e=>e.toLowerCase());const r=e=>Object.keys(e).reduce((r,o)=>(r[o]=t.indexOf(o.toLowerCase())>=0?"[redacted]":e[o],r),{});return Object.assign({},e,{requestHeaders:r(e.requestHeaders),responseHeaders:r(e.responseHeaders)})}function te(e){const t=e.metrics||{},r=re(e.url),o=[],s=e=>Object.keys(e).map(t=>({name:t,value:String(e[t])}));r&&r.searchParams.forEach((e,t)=>o.push({name:t,value:e}));const n={method:e.method,url:e.url,httpVersion:"HTTP/1.1",cookies:[],headers:s(e.requestHeaders),queryString:o,headersSize:-1,bodySize:e.requestBody?t.bytesSent||L(e.requestBody):0};return e.requestBody&&(n.postData={mimeType:S(e.requestHeaders,"Content-Type")||"",text:e.requestBody}),{startedDateTime:e.startedDateTime,time:t.total||0,request:n,response:{status:e.status,statusText:e.statusText,httpVersion:"HTTP/1.1",cookies:[],headers:s(e.responseHeaders),content:{size:L(e.responseBody),mimeType:S(e.responseHeaders,"Content-Type")||"",text:e.responseBody},redirectURL:S(e.responseHeaders,"Location")||"",headersSize:-1,bodySize:null===t.bytesReceived||void 0===t.bytesReceived?-1:t.bytesReceived},cache:{},timings:{blocked:-1,dns:-1,connect:-1,ssl:-1,send:0,wait:t.firstByte||0,receive:t.download||0},comment:e.error}}function re(t,r){try{return new("function"==typeof URL?URL:require("url").URL)(t,r||(e?document.baseURI:void 0))}catch(e){return null}}function oe(e,t){return(e=e.toLowerCase())==t||e.length>t.length&&e.substr(-t.length-1)=="."+t}function se(e){const t=require("fs"),r=require("path");t.existsSync(e)||(se(r.dirname(e)),t.mkdirSync(e))}function ne(e,t,r){const o=Object.keys(e.vary||{});return(!r||o.length==Object.keys(t).length)&&o.every(o=>(r?t[o]:S(t,o)||"")===e.vary[o])}function ie(e){const t={};return(e||"").split(",").forEach(e=>{const r=e.indexOf("="),o=(r<0?e:e.substr(0,r)).trim().toLowerCase();o&&(t[o]=r<0?"":e.substr(r+1).trim().replace(/^"|"$/g,""))}),t}function ae(e){const t={};return(e||"").split(/\r?\n/).forEach(e=>{const r=e.indexOf(":");r>0&&(t[e.substr(0,r).trim().toLowerCase()]=e.substr(r+1).trim())}),t}function ce(e){const t=e._scheduler=e.scheduler;if(!t)return g(e);if(ue(t,e))return e;if(t.active.length>=t.concurrency){const r=t.queue.findIndex(t=>t.priority<e.priority);return t.queue.splice(r<0?t.queue.length:r,0,e),t.counters.queued++,e}return he(t,e)}function ue(e,t){const r=e.inFlight[pe(e,t)];return!!r&&(r.followers.push(t),t._group=r,e.counters.deduped++,!0)}function he(e,t){const r=pe(e,t);return e.active.push(t),e.counters.sent++,r&&(e.inFlight[r]=t._group={key:r,leader:t,followers:[]}),g(t)}function pe(e,t){if(!e.dedupe||"GET"!=b(t))return"";const r=Object.keys(t.headers).sort().map(e=>e.toLowerCase()+": "+t.headers[e]);return JSON.stringify([t.requestURL(),t.responseType(),t.userName||"",!!t.xhr.withCredentials,r])}function le(e,t){t._scheduler=null;const r=t._group;for(t._group=null,[e.active,e.queue,r?r.followers:[]].forEach(e=>{const r=e.indexOf(t);r>=0&&e.splice(r,1)}),r&&r.leader===t&&e.inFlight[r.key]===r&&(delete e.inFlight[r.key],r.followers.forEach(t=>{t._group=null,e.counters.deduped--}),e.queue.unshift.apply(e.queue,r.followers));e.queue.length&&e.active.length<e.concurrency;){const t=e.queue.shift();try{ue(e,t)||he(e,t)}catch(e){J(t,e)}}}function de(){this.readyState=0,this.status=0,this.statusText="",this.response=null,this.responseText="",this.responseType="",this.responseURL="",this.timeout=0,this.withCredentials=!1,this.upload={onprogress:null},this.request=null,this.responseHeaders={},this.chunks=[],this.loaded=0,this.decoder=null,this.timers=[],this.cancelTransmit=null,this.sent=!1,this.seq=0,this.streaming=!1}function fe(e){return e.prototype=Object.create(de.prototype),e.prototype.constructor=e,e}n.create=function(e){var t=function(e,r,o){if("object"!=typeof this||!(this instanceof t))return new t(e,r,o);n.call(this,e,r,o),Ce(this,t.defaults)};return t.prototype=Object.create(n.prototype),t.prototype.constructor=t,t.defaults=Object.assign({},e),t.create=e=>n.create(function(e,t){const r=Object.assign({},e,t);return["headers","data","query","cookies"].forEach(o=>{e[o]&&t&&t[o]&&(r[o]=Object.assign({},e[o],t[o]))}),r}(t.defaults,e)),t},n.onMetrics=function(e){return n.metricsHandler="function"==typeof e?e:null,n},n.metricsHandler=null,n.onHandlerError=function(e){return n.handlerErrorHandler="function"==typeof e?e:null,n},n.handlerErrorHandler=null,n.useTracer=function(e){return n.tracer="object"==typeof e&&e||"function"==typeof e?e:null,n},n.tracer=null,n.version="1.0.0",n.rejectWithError=!1,n.autoParse=!1,n.parsers={"application/json":e=>JSON.parse(e),"application/xml":(e,t)=>{if("function"!=typeof DOMParser)return e;const r=(new DOMParser).parseFromString(e,t.split(";")[0].trim()),o=r.getElementsByTagName("parsererror")[0];if(o)throw new SyntaxError(o.textContent);return r},"text/csv":(e,t)=>{const r=function(e){const t=[];var r=[],o="",s=!1;for(let n=0;n<e.length;n++){const i=e[n];s?'"'==i&&'"'==e[n+1]?(o+=i,n++):'"'==i?s=!1:o+=i:'"'==i?s=!0:","==i?(r.push(o),o=""):"\n"==i||"\r"==i?("\r"==i&&"\n"==e[n+1]&&n++,r.push(o),t.push(r),r=[],o=""):o+=i}if(s)throw new SyntaxError("Unterminated quoted field in CSV");return(o||r.length)&&(r.push(o),t.push(r)),t}(e);if(!/;\s*header=present/.test(t))return r;const o=r.shift()||[];return r.map(e=>o.reduce((t,r,o)=>(t[r]=e[o],t),{}))},"text/plain":e=>e},n.parsers["text/xml"]=n.parsers["application/xml"],n.all=function(e,t){return Y(e,(t=t||{}).concurrency,e=>!e.ok&&!1!==t.failFast).then(Z)},n.allSettled=function(e,t){return Y(e,(t||{}).concurrency,()=>!1)},n.race=function(e){return e.length?Y(e,0,()=>!0).then(e=>e.filter(Boolean)[0]).then(e=>e.ok?e:Promise.reject(e)):Promise.reject(new TypeError("The list of requests to race is empty"))},n.sequence=function(e,t){return t=t||{},Y(e,1,e=>!e.ok&&!1!==t.failFast).then(Z)},n.ConsoleTracer=function(e){if("object"!=typeof this||!(this instanceof n.ConsoleTracer))return new n.ConsoleTracer(e);e=e||{},this.redact=Array.isArray(e.redact)?e.redact:["Authorization","Proxy-Authorization","Cookie","Set-Cookie"],this.maxBody="number"==typeof e.maxBody&&e.maxBody>=0?e.maxBody:1e3,this.output="function"==typeof e.output?e.output:e=>console.log(e)},n.ConsoleTracer.prototype.record=function(e){const t=[(e=ee(e,this.redact)).method+" "+e.url+" -> "+(e.status?e.status+(e.statusText?" "+e.statusText:""):"-")+(e.error?" ["+e.error+"]":"")+" ("+e.metrics.total+"ms"+(e.metrics.attempts>1?", "+e.metrics.attempts+" attempts":"")+")"],r=(e,r,o)=>{Object.keys(r).forEach(o=>t.push("  "+e+" "+o+": "+r[o])),o&&this.maxBody&&t.push("  "+e+" "+(o.length>this.maxBody?o.substr(0,this.maxBody)+"...":o))};r(">",e.requestHeaders,e.requestBody),r("<",e.responseHeaders,e.responseBody),this.output(t.join("\n"))},n.TraceLog=function(e){if("object"!=typeof this||!(this instanceof n.TraceLog))return new n.TraceLog(e);e=e||{},this.entries=[],this.size=e.size>0?e.size:100,this.redact=Array.isArray(e.redact)?e.redact:["Authorization","Proxy-Authorization","Cookie","Set-Cookie"]},n.TraceLog.prototype.record=function(e){this.entries.push(ee(e,this.redact)),this.entries.length>this.size&&this.entries.splice(0,this.entries.length-this.size)},n.TraceLog.prototype.clear=function(){return this.entries=[],this},n.TraceLog.prototype.toHAR=function(){return n.toHAR(this.entries)},n.TraceLog.prototype.save=function(e){return require("fs").writeFileSync(e,JSON.stringify(this.toHAR(),null,"\t")),this},n.toHAR=function(e){return{log:{version:"1.2",creator:{name:"xhrless",version:n.version},entries:[].concat(e||[]).map(te)}}},n.XHRError=function(e){this.name=this.constructor.name||"XHRError",this.code=e.errorState(),this.status=e.status(),this.method=b(e),this.url=e.requestURL(),this.response=e.response(),this.attempt=e.attempt,this.cause=e.interceptorError,this.schemaError=e.schemaError,this.xhr=e,this.message=e.errorState(!0)+": "+this.method+" "+this.url,"function"==typeof Error.captureStackTrace?Error.captureStackTrace(this,this.constructor):this.stack=new Error(this.message).stack},n.XHRError.prototype=Object.create(Error.prototype),n.XHRError.prototype.constructor=n.XHRError,["ConnectionError","HTTPStatusError","BodyTypeError","AbortError","TimeoutError"].forEach(function(e){const t=n[e]=function(e){n.XHRError.call(this,e)};Object.defineProperty(t,"name",{value:e}),t.prototype=Object.create(n.XHRError.prototype),t.prototype.constructor=t}),Object.defineProperty(n.XHRError,"name",{value:"XHRError"}),n.CancelToken=function(){if("object"!=typeof this||!(this instanceof n.CancelToken))return new n.CancelToken;this.aborted=!1,this.reason=void 0,this.listeners=[]},n.CancelToken.prototype.cancel=function(e){return this.aborted||(this.aborted=!0,this.reason=e,this.listeners.slice().forEach(e=>e.call(this,{type:"abort",target:this}))),this},n.CancelToken.prototype.addEventListener=function(e,t){"abort"==e&&"function"==typeof t&&this.listeners.indexOf(t)<0&&this.listeners.push(t)},n.CancelToken.prototype.removeEventListener=function(e,t){this.listeners=this.listeners.filter(e=>e!==t)},n.CookieJar=function(e){if("object"!=typeof this||!(this instanceof n.CookieJar))return new n.CookieJar(e);this.cookies=Array.isArray(e)?e.map(e=>Object.assign({},e)):[]},n.CookieJar.prototype.setCookie=function(e,t){if("string"!=typeof e||!e.length)return this;if(/,\s*[^;,=\s]+=/.test(e))return e.split(/,(?=\s*[^;,=\s]+=)/).forEach(e=>this.setCookie(e,t)),this;const r=re(t),o=e.split(";"),s=o[0].indexOf("=");if(!r||s<=0)return this;const i={name:o[0].substr(0,s).trim(),value:o[0].substr(s+1).trim(),domain:r.hostname,path:r.pathname.replace(/\/[^\/]*$/,"")||"/",expires:null,hostOnly:!0,secure:!1,httpOnly:!1};if(o.slice(1).forEach(e=>{const t=e.indexOf("="),r=(t<0?e:e.substr(0,t)).trim().toLowerCase(),o=t<0?"":e.substr(t+1).trim();if("domain"==r&&o)i.domain=o.replace(/^\./,"").toLowerCase(),i.hostOnly=!1;else if("path"==r&&"/"==o.charAt(0))i.path=o;else if("expires"==r&&void 0===i.maxAge){const e=Date.parse(o);isNaN(e)||(i.expires=e)}else"max-age"==r&&/^-?\d+$/.test(o)?(i.maxAge=parseInt(o),i.expires=Date.now()+1e3*i.maxAge):"secure"==r?i.secure=!0:"httponly"==r&&(i.httpOnly=!0)}),delete i.maxAge,!i.hostOnly&&!oe(r.hostname,i.domain))return this;if(!i.hostOnly&&((a=i.domain).indexOf(".")<0||n.CookieJar.publicSuffixes.indexOf(a)>=0)){if(i.domain!=r.hostname.toLowerCase())return this;i.hostOnly=!0}var a;return this.cookies=this.cookies.filter(e=>e.name!=i.name||e.domain!=i.domain||e.path!=i.path),(null===i.expires||i.expires>Date.now())&&this.cookies.push(i),this},n.CookieJar.prototype.getCookies=function(e){const t=re(e),r=Date.now();return t?(this.cookies=this.cookies.filter(e=>null===e.expires||e.expires>r),this.cookies.filter(e=>(e.hostOnly?t.hostname==e.domain:oe(t.hostname,e.domain))&&(t.pathname==e.path||0==t.pathname.indexOf(e.path.replace(/\/?$/,"/")))&&(!e.secure||"https:"==t.protocol)).sort((e,t)=>t.path.length-e.path.length)):[]},n.CookieJar.prototype.getCookieHeader=function(e){return this.getCookies(e).map(e=>e.name+"="+e.value).join("; ")},n.CookieJar.prototype.clear=function(){return this.cookies=[],this},n.CookieJar.prototype.toJSON=function(){const e=Date.now();return{cookies:this.cookies.filter(t=>null===t.expires||t.expires>e)}},n.CookieJar.prototype.save=function(e){return require("fs").writeFileSync(e,JSON.stringify(this)),this},n.CookieJar.fromJSON=function(e){const t="string"==typeof e?JSON.parse(e):e;return new n.CookieJar(t&&t.cookies)},n.CookieJar.load=function(e){const t=require("fs");return t.existsSync(e)?n.CookieJar.fromJSON(t.readFileSync(e,"utf8")):new n.CookieJar},n.CookieJar.publicSuffixes=["co.uk","org.uk","ac.uk","gov.uk","com.au","net.au","org.au","co.nz","co.jp","ne.jp","or.jp","co.kr","com.cn","com.hk","com.tw","com.sg","co.in","com.br","com.mx","com.ar","com.tr","co.za","com.ua","github.io","gitlab.io","herokuapp.com","appspot.com","blogspot.com","netlify.app","vercel.app","pages.dev","workers.dev","azurewebsites.net","cloudfront.net","amazonaws.com"],n.Cache=function(e){if("object"!=typeof this||!(this instanceof n.Cache))return new n.Cache(e);e=e||{},this.store=e.store||new n.Cache.MemoryStore,this.staleWhileRevalidate=e.staleWhileRevalidate||0,this.maxVariants=e.maxVariants||8,this.revalidating={}},n.Cache.prototype.lookup=function(e){return(this.store.get("GET "+e.requestURL())||[]).filter(t=>ne(t,e.headers))[0]||null},n.Cache.prototype.put=function(e){const t=ie(e.responseHeader("Cache-Control")),r=(e.responseHeader("Vary")||"").split(",").map(e=>e.trim().toLowerCase()).filter(Boolean);if("no-store"in t||r.indexOf("*")>=0)return null;if((e.userName||v(e.headers,"Authorization"))&&!("public"in t))return null;const o={status:e.status(),headers:ae(e.responseHeaders()),body:"json"==e.responseType()?JSON.stringify(e.response()):e.responseText(),vary:{}};return r.forEach(t=>o.vary[t]=S(e.headers,t)||""),this.refresh(e,o)},n.Cache.prototype.refresh=function(e,t){const r=ie(e.responseHeader("Cache-Control")),o=parseInt(e.responseHeader("Age"))||0,s=Date.parse(e.responseHeader("Expires")||"");t.etag=e.responseHeader("ETag")||t.etag||"",t.lastModified=e.responseHeader("Last-Modified")||t.lastModified||"",t.storedAt=Date.now(),t.expires="no-cache"in r?0:"max-age"in r?t.storedAt+1e3*(parseInt(r["max-age"])-o):isNaN(s)?0:s,t.staleWhileRevalidate=1e3*(parseInt(r["stale-while-revalidate"])||0);const n="GET "+e.requestURL(),i=(this.store.get(n)||[]).filter(e=>!ne(e,t.vary,!0));return this.store.set(n,[t].concat(i).slice(0,this.maxVariants)),t},n.Cache.prototype.clear=function(e){return e?this.store.delete("GET "+e):this.store.clear(),this},n.Cache.MemoryStore=function(){this.entries={}},n.Cache.MemoryStore.prototype.get=function(e){return this.entries.hasOwnProperty(e)?this.entries[e]:void 0},n.Cache.MemoryStore.prototype.set=function(e,t){this.entries[e]=t},n.Cache.MemoryStore.prototype.delete=function(e){delete this.entries[e]},n.Cache.MemoryStore.prototype.clear=function(){this.entries={}},n.Cache.LocalStorageStore=function(e,t){this.prefix=e||"xhrless:",this.storage=t||localStorage},n.Cache.LocalStorageStore.prototype.get=function(e){try{return JSON.parse(this.storage.getItem(this.prefix+e))||void 0}catch(e){return}},n.Cache.LocalStorageStore.prototype.set=function(e,t){try{this.storage.setItem(this.prefix+e,JSON.stringify(t))}catch(e){}},n.Cache.LocalStorageStore.prototype.delete=function(e){this.storage.removeItem(this.prefix+e)},n.Cache.LocalStorageStore.prototype.clear=function(){for(let e=this.storage.length-1;e>=0;e--){const t=this.storage.key(e);t&&0==t.indexOf(this.prefix)&&this.storage.removeItem(t)}},n.Cache.FileStore=function(e){this.dir=e,se(e)},n.Cache.FileStore.prototype.file=function(e){return require("path").join(this.dir,require("crypto").createHash("sha1").update(e).digest("hex")+".json")},n.Cache.FileStore.prototype.get=function(e){try{return JSON.parse(require("fs").readFileSync(this.file(e),"utf8"))}catch(e){return}},n.Cache.FileStore.prototype.set=function(e,t){require("fs").writeFileSync(this.file(e),JSON.stringify(t))},n.Cache.FileStore.prototype.delete=function(e){try{require("fs").unlinkSync(this.file(e))}catch(e){}},n.Cache.FileStore.prototype.clear=function(){const e=require("fs"),t=require("path");e.readdirSync(this.dir).filter(e=>/^[\da-f]{40}\.json$/.test(e)).forEach(r=>e.unlinkSync(t.join(this.dir,r)))},n.Scheduler=function(e){if("object"!=typeof this||!(this instanceof n.Scheduler))return new n.Scheduler(e);e=e||{},this.concurrency=e.concurrency>0?e.concurrency:1/0,this.dedupe=!1!==e.dedupe,this.active=[],this.queue=[],this.inFlight={},this.counters={sent:0,deduped:0,queued:0}},n.Scheduler.prototype.stats=function(){return{active:this.active.length,queued:this.queue.length,waiting:Object.keys(this.inFlight).reduce((e,t)=>e+this.inFlight[t].followers.length,0),sent:this.counters.sent,deduped:this.counters.deduped,totalQueued:this.counters.queued}},n.adapters={xhr:()=>new XMLHttpRequest,xhr2:()=>new(s||(s=require("xhr2"),["cookie","cookie2","referer","user-agent"].forEach(e=>delete s.prototype._restrictedHeaders[e]),["set-cookie","set-cookie2"].forEach(e=>delete s.prototype._privateHeaders[e])),s),fetch:()=>new ye,http:()=>new me},n.transport=r?n.adapters.xhr:t?function(e){try{return!!require.resolve(e)}catch(e){return!1}}("xhr2")?n.adapters.xhr2:n.adapters.http:n.adapters.fetch,de.prototype.UNSENT=0,de.prototype.OPENED=1,de.prototype.HEADERS_RECEIVED=2,de.prototype.LOADING=3,de.prototype.DONE=4,de.prototype.open=function(e,t,r,o,s){this.stop(),this.request={method:(e||"GET").toUpperCase(),url:t,headers:{},body:null,userName:o,password:s},this.status=0,this.statusText="",this.response=null,this.responseText="",this.responseURL="",this.responseHeaders={},this.setState(1)},de.prototype.setRequestHeader=function(e,t){this.request.headers[e]=t},de.prototype.send=function(e){const t=++this.seq;this.sent=!0,this.request.body=void 0===e?null:e,this.request.time=Date.now(),this.timeout>0&&this.timers.push(setTimeout(()=>this.fail("timeout"),this.timeout)),this.transmit(this.request,t)},de.prototype.abort=function(){this.sent&&this.readyState<4&&this.fail("abort"),this.stop(),this.readyState=0},de.prototype.getResponseHeader=function(e){const t=S(this.responseHeaders,e);return void 0===t||this.readyState<2?null:[].concat(t).join(", ")},de.prototype.getAllResponseHeaders=function(){return this.readyState<2?"":Object.keys(this.responseHeaders).map(e=>[].concat(this.responseHeaders[e]).map(t=>e+": "+t+"\r\n").join("")).join("")},de.prototype.receiveHeaders=function(e,t,r,o){this.status=e,this.statusText=t||"",this.responseURL=o||this.request.url,this.responseHeaders=Object.assign({},r),this.chunks=[],this.loaded=0,this.streaming=!1;const s="function"==typeof TextDecoder?TextDecoder:require("util").TextDecoder;this.decoder=new s,this.setState(2)},de.prototype.receiveChunk=function(e){const t="string"==typeof e?xe(e):e,r=parseInt(this.getResponseHeader("Content-Length"))||0,o=""==this.responseType||"text"==this.responseType?this.decoder.decode(t,{stream:!0}):"";this.loaded+=t.length,this.streaming||(this.chunks.push(t),o&&(this.response=this.responseText+=o)),this.setState(3);const s=this.onchunk&&this.onchunk(t,o);return this.emit(this,"progress",this.loaded,r),s},de.prototype.finish=function(){this.stop();const e=()=>this.decoder.decode(Ee(this.chunks));if(this.streaming){const e=this.decoder.decode();e&&this.onchunk&&this.onchunk(null,e)}else if(""==this.responseType||"text"==this.responseType)this.response=this.responseText+=this.decoder.decode();else if("json"==this.responseType){try{this.response=JSON.parse(e())}catch(e){this.response=null}this.responseText=""}else"arraybuffer"==this.responseType?this.response=Ee(this.chunks).buffer:"blob"==this.responseType?this.response="function"==typeof Blob?new Blob(this.chunks):Ee(this.chunks):"document"==this.responseType&&(this.response="function"==typeof DOMParser?(new DOMParser).parseFromString(e(),"text/html"):null);this.setState(4),this.emit(this,"load"),this.emit(this,"loadend")},de.prototype.fail=function(e){this.stop(),this.status=0,this.response=null,this.setState(4),this.emit(this,e),this.emit(this,"loadend")},de.prototype.stop=function(){this.sent=!1,this.seq++,this.timers.splice(0).forEach(e=>clearTimeout(e)),this.cancelTransmit&&this.cancelTransmit(),this.cancelTransmit=null},de.prototype.setState=function(e){this.readyState=e,this.emit(this,"readystatechange")},de.prototype.emit=function(e,t,r,o){const s=e["on"+t];s&&s.call(e,{type:t,target:e,loaded:r||0,total:o||0,lengthComputable:o>0})};const ye=fe(function(){de.call(this)});ye.prototype.transmit=function(e,t){const r="function"==typeof AbortController?new AbortController:null,o=null!==e.body&&"GET"!=e.method&&"HEAD"!=e.method;this.cancelTransmit=()=>r&&r.abort(),fetch(e.url,{method:e.method,headers:Object.assign(be(e),e.headers),body:o?e.body:void 0,credentials:this.withCredentials?"include":"same-origin",signal:r?r.signal:void 0}).then(e=>{if(this.seq!==t)return;const r={};e.headers.forEach((e,t)=>r[t]=e),"function"==typeof e.headers.getSetCookie&&(r["set-cookie"]=e.headers.getSetCookie()),this.receiveHeaders(e.status,e.statusText,r,e.url);const o=e.body&&e.body.getReader(),s=()=>o.read().then(e=>this.seq!==t?o.cancel():e.done?this.finish():Promise.resolve(this.receiveChunk(e.value)).then(s));return o?s():this.finish()}).catch(e=>this.seq===t&&this.fail("error"))};const me=fe(function(){de.call(this)});function ge(e,t){return t=t.map(e=>e.toLowerCase()),Object.keys(e).reduce((r,o)=>(t.indexOf(o.toLowerCase())<0&&(r[o]=e[o]),r),{})}function be(e){if(!e.userName||v(e.headers,"Authorization"))return{};const t=e.userName+":"+(e.password||"");return{Authorization:"Basic "+("function"==typeof Buffer?Buffer.from(t).toString("base64"):btoa(unescape(encodeURIComponent(t))))}}function xe(e){return"function"==typeof TextEncoder?(new TextEncoder).encode(e):Buffer.from(e)}function Ee(e){const t=new Uint8Array(e.reduce((e,t)=>e+t.length,0));return e.reduce((e,r)=>(t.set(r,e),e+r.length),0),t}me.prototype.transmit=function(e,t){const r=Object.assign(be(e),e.headers);var o;this.transmitTo(e.method,e.url,null===e.body?null:(o=e.body,Buffer.isBuffer(o)?o:o instanceof ArrayBuffer?Buffer.from(o):ArrayBuffer.isView(o)?Buffer.from(o.buffer,o.byteOffset,o.byteLength):Buffer.from(String(o))),r,20,t)},me.prototype.transmitTo=function(e,t,r,o,s,n){const i=re(t);if(!i||!/^https?:$/.test(i.protocol))return this.timers.push(setTimeout(()=>this.fail("error"),0));null===r||v(o,"Content-Length")||(o=Object.assign({"Content-Length":r.length},o));const a={protocol:i.protocol,hostname:i.hostname.replace(/^\[|\]$/g,""),port:i.port,path:i.pathname+i.search,method:e,headers:o};i.username&&(a.auth=decodeURIComponent(i.username)+":"+decodeURIComponent(i.password));const c=require("https:"==i.protocol?"https":"http").request(a,t=>{if(this.seq!==n)return t.resume();const a=t.headers.location;if([301,302,303,307,308].indexOf(t.statusCode)>=0&&a&&s>0){t.resume();const u=t.statusCode>=307||"GET"==e||"HEAD"==e,h=require("url").resolve(i.href,a);var c=(re(h)||{}).origin===i.origin?o:ge(o,["Authorization","Proxy-Authorization","Cookie"]);return u||(c=ge(c,["Content-Type","Content-Length"])),this.transmitTo(u?e:"GET",h,u?r:null,c,s-1,n)}this.receiveHeaders(t.statusCode,t.statusMessage,t.headers,i.href),t.on("data",e=>{const r=this.seq===n&&this.receiveChunk(e);r&&(t.pause(),r.then(()=>t.resume()))}),t.on("end",()=>this.seq===n&&this.finish()),t.on("aborted",()=>this.seq===n&&this.fail("error"))});c.on("error",()=>this.seq===n&&this.fail("error")),this.cancelTransmit=()=>c.destroy(),c.end(null===r?void 0:r)},n.MockTransport=function(e){if("object"!=typeof this||!(this instanceof n.MockTransport))return new n.MockTransport(e);this.fallback=e||{status:404},this.routes=[],this.history=[],this.transport=()=>new ve(this),this.previous=null},n.MockTransport.prototype.route=function(e,t,r){return this.routes.push({method:(e||"*").toUpperCase(),url:t,response:r||{}}),this},n.MockTransport.prototype.match=function(e){const t=re(e.url),r=t?t.pathname+t.search:e.url;return this.routes.filter(t=>("*"==t.method||t.method==e.method)&&(t.url instanceof RegExp?t.url.test(e.url):"function"==typeof t.url?!!t.url(e):t.url==e.url||t.url==r||t.url==r.split("?")[0]))[0]||null},n.MockTransport.prototype.reset=function(){return this.routes=[],this.history=[],this},n.MockTransport.prototype.install=function(){return n.transport!==this.transport&&(this.previous=n.transport),n.transport=this.transport,this},n.MockTransport.prototype.uninstall=function(){return n.transport===this.transport&&this.previous&&(n.transport=this.previous),this.previous=null,this};const ve=fe(function(e){de.call(this),this.mock=e});function Se(e){if(e.readyState!=n.EventSource.CLOSED){e.readyState=n.EventSource.CONNECTING,e._parser={buffer:"",data:"",type:"",id:e.lastEventId,started:!1},e.lastEventId?e.xhr.setHeader("Last-Event-ID",e.lastEventId):delete e.xhr.headers["Last-Event-ID"];try{e.xhr.send()}catch(t){e.readyState=n.EventSource.CLOSED,_e(e,{type:"error",error:t})}}}function Te(e){return 200==e.status()&&/^text\/event-stream\b/i.test(e.responseHeader("Content-Type")||"")}function _e(e,t){const r=re(e.xhr.requestURL());t=Object.assign({data:void 0,lastEventId:e.lastEventId,origin:r?r.origin:"",target:e,xhr:e.xhr},t);const o=e["on"+t.type];[].concat("function"==typeof o?o:[],e.listeners[t.type]||[]).forEach(r=>{try{r.call(e,t)}catch(r){C(r,e.xhr,"eventsource:"+t.type)}})}function Ce(e,t){"string"==typeof t.baseURL&&(e.baseURL=t.baseURL),e.headers=Object.assign({},t.headers),e.data=Object.assign({},t.data),e.query=Object.assign({},t.query),"number"==typeof t.timeout&&e.setTimeout(t.timeout),t.auth&&e.httpAuth(t.auth.userName,t.auth.password),"string"==typeof t.responseType&&e.responseType(t.responseType),"string"==typeof t.bodyType&&e.bodyType(t.bodyType),t.cookies&&e.setCookies(t.cookies),t.retry&&e.retry(t.retry),t.signal&&e.signal(t.signal),t.cookieJar&&e.useCookieJar(t.cookieJar),t.cache&&e.useCache(t.cache),t.scheduler&&e.useScheduler(t.scheduler),t.transport&&e.useTransport(t.transport),"boolean"==typeof t.rejectWithError&&e.setRejectWithError(t.rejectWithError),"boolean"==typeof t.autoParse&&e.setAutoParse(t.autoParse),void 0!==t.tracer&&e.useTracer(t.tracer)}if(ve.prototype.transmit=function(e,t){this.mock.history.push(e);const r=L(e.body);r&&this.timers.push(setTimeout(()=>this.emit(this.upload,"progress",r,r),0));const o=this.mock.match(e),s=o?o.response:this.mock.fallback;Promise.resolve("function"==typeof s?s(e):s).then(e=>{this.seq===t&&((e=e||{}).timeout||this.timers.push(setTimeout(()=>e.error?this.fail("error"):this.respond(e),e.delay||0)))}).catch(e=>this.seq===t&&this.fail("error"))},ve.prototype.respond=function(e){const t=e.body,r=Object.assign({},e.headers);"object"==typeof t&&null!==t&&!v(r,"Content-Type")&&(r["Content-Type"]="application/json"),this.receiveHeaders(e.status||200,e.statusText,r,this.request.url),null==t||""===t||this.receiveChunk("string"==typeof t?t:JSON.stringify(t)),this.finish()},n.eventSource=function(e,t){return new n.EventSource(e,t)},n.EventSource=function(e,t){if("object"!=typeof this||!(this instanceof n.EventSource))return new n.EventSource(e,t);t=t||{},this.url=e,this.readyState=n.EventSource.CONNECTING,this.lastEventId=t.lastEventId||"",this.reconnectDelay=t.reconnectDelay>=0?t.reconnectDelay:3e3,this.listeners={},this.onopen=this.onmessage=this.onerror=null,this.xhr=new n(e),Ce(this.xhr,t),n.transport===n.adapters.xhr2&&!t.transport&&this.xhr.useTransport(n.adapters.http),t.withCredentials&&(this.xhr.xhr.withCredentials=!0),this.xhr.useCache(),this.xhr.setHeader("Accept","text/event-stream").setHeader("Cache-Control","no-cache"),this.xhr.onChunk((e,t)=>function(e,t){const r=e._parser;var o=r.buffer+t;!r.started&&o&&(r.started=!0,o=o.replace(/^\uFEFF/,""));const s="\r"==o.slice(-1)?o.length-1:o.length,i=o.substr(0,s).split(/\r\n|\r|\n/);r.buffer=i.pop()+o.substr(s);for(let t of i){if(e.readyState==n.EventSource.CLOSED)return;if(""===t){e.lastEventId=r.id,r.data&&_e(e,{type:r.type||"message",data:r.data.slice(0,-1),lastEventId:r.id}),r.data=r.type="";continue}const o=t.indexOf(":");if(0==o)continue;const s=o<0?t:t.substr(0,o),i=o<0?"":t.substr(o+1).replace(/^ /,"");"event"==s?r.type=i:"data"==s?r.data+=i+"\n":"id"==s&&i.indexOf("\0")<0?r.id=i:"retry"==s&&/^\d+$/.test(i)&&(e.reconnectDelay=parseInt(i))}}(this,t)),this.xhr.onChange(()=>{if(this.xhr.isCompleted())return function(e){if(e.readyState==n.EventSource.CLOSED)return;const t=e.xhr,r=204==t.status()||t.status()&&!(200==t.status()&&Te(t));e.readyState=r?n.EventSource.CLOSED:n.EventSource.CONNECTING,_e(e,{type:"error"}),e.readyState==n.EventSource.CONNECTING&&(e._reconnectTimer=setTimeout(()=>Se(e),e.reconnectDelay))}(this);this.readyState==n.EventSource.CONNECTING&&this.xhr.readyState()>=2&&Te(this.xhr)&&(this.readyState=n.EventSource.OPEN,_e(this,{type:"open"}))}),this._reconnectTimer=setTimeout(()=>Se(this),0)},n.EventSource.CONNECTING=0,n.EventSource.OPEN=1,n.EventSource.CLOSED=2,n.EventSource.prototype.addEventListener=function(e,t){const r=this.listeners[e]=this.listeners[e]||[];return"function"==typeof t&&r.indexOf(t)<0&&r.push(t),this},n.EventSource.prototype.removeEventListener=function(e,t){return this.listeners[e]=(this.listeners[e]||[]).filter(e=>e!==t),this},n.EventSource.prototype.close=function(){return this.readyState=n.EventSource.CLOSED,clearTimeout(this._reconnectTimer),this.xhr.abort(),this},e)window.XHR=n;else{if(!t)throw new Error("Unsupported environment");module.exports=n}}();
\ No newline at end of file